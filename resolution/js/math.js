@@ -12,7 +12,7 @@ const MathUtils = {
         } else {
             let y = 3.0 / ax;
             let f0 = 0.79788456 + y * (-0.00000077 + y * (-0.00552740 + y * (-0.00009512 + y * (0.00137237 + y * (-0.00072805 + y * 0.00014476)))));
-            let theta0 = x - 0.78539816 + y * (-0.04166397 + y * (-0.00003954 + y * (0.00262573 + y * (-0.00054125 + y * (-0.00029333 + y * 0.00013558)))));
+            let theta0 = ax - 0.78539816 + y * (-0.04166397 + y * (-0.00003954 + y * (0.00262573 + y * (-0.00054125 + y * (-0.00029333 + y * 0.00013558)))));
             return Math.sqrt(1.0 / ax) * f0 * Math.cos(theta0);
         }
     },
@@ -139,3 +139,7 @@ const MathUtils = {
         return kernel;
     }
 };
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MathUtils };
+}
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+// cli.js
+
+// Evaluates a lens prescription from the command line:
+//
+//   node sim/cli.js design.json [--format json|table]
+//   cat design.json | node sim/cli.js - --format table
+//
+// The input is a prescription (see OpticalSystem.fromPrescription) with an optional
+// object: { "z": -200, "y": 5 } for a point, or { "z": null, "angle": 2 } for an
+// object at infinity (field angle in degrees). Prints the system matrix, cardinal
+// points, image and pupils. Non-finite values are written as null in JSON.
+
+const fs = require('fs');
+const { OpticalSystem } = require('./js/optics.js');
+
+const USAGE = 'Usage: optics-lab <prescription.json | -> [--format json|table]';
+
+function parseArgs(argv) {
+    const args = { file: null, format: 'json' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--format') {
+            args.format = argv[++i];
+        } else if (arg.startsWith('--format=')) {
+            args.format = arg.slice('--format='.length);
+        } else if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (args.file === null) {
+            args.file = arg;
+        } else {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+    }
+    if (!['json', 'table'].includes(args.format)) throw new Error(`Unknown format "${args.format}"`);
+    return args;
+}
+
+// Object position and field: z = null (or "-Infinity") is an object at infinity
+function parseObject(object = {}) {
+    const infinite = object.z === null || object.z === '-Infinity' || (object.z === undefined && object.angle !== undefined);
+    const z = infinite
+        ? -Infinity
+        : Number(object.z === undefined ? -200 : object.z);
+    if (Number.isNaN(z)) throw new Error('Object "z" is not a number');
+    return isFinite(z)
+        ? { z, y: Number(object.y || 0) }
+        : { z, angle: Number(object.angle || 0) };
+}
+
+// Paraxial image height. For an object at infinity it is where the chief ray of
+// slope `field` meets the image plane: (B + d D / n') tan(angle), d from the last
+// element; efl tan(angle) for a thin lens.
+function imageHeight(system, image, objectZ, field) {
+    if (image.afocal || !isFinite(image.z)) return null;
+    if (isFinite(objectZ)) return image.mag * field;
+    const { B, D } = system.calculateSystemMatrix();
+    const d = image.z - system.lenses[system.lenses.length - 1].z;
+    return (B + d * D / system.imageIndex) * field;
+}
+
+function evaluate(system, object) {
+    if (system.lenses.length === 0) throw new Error('Prescription has no elements');
+    const objectZ = object.z;
+    const field = isFinite(objectZ) ? object.y : Math.tan(object.angle * Math.PI / 180);
+    const pupils = system.calculatePupils(objectZ);
+    const image = system.calculateImage(objectZ);
+
+    return {
+        wavelength: system.wavelength,
+        object,
+        matrix: system.calculateSystemMatrix(),
+        cardinal: system.calculateCardinalPoints(),
+        image: image && {
+            z: image.z,
+            mag: image.mag,
+            height: imageHeight(system, image, objectZ, field),
+            isVirtual: image.isVirtual,
+            afocal: !!image.afocal
+        },
+        pupils: pupils && {
+            stop: pupils.stopIndex + 1,
+            fieldStop: pupils.fieldStopIndex >= 0 ? pupils.fieldStopIndex + 1 : null,
+            entrancePupil: pupils.entrancePupil,
+            exitPupil: pupils.exitPupil,
+            fNumber: pupils.fNumber,
+            workingFNumber: pupils.workingFNumber,
+            na: pupils.na
+        },
+        intermediateImages: system.calculateIntermediateImages(objectZ).map(im => ({
+            after: im.index + 1, z: im.z, mag: im.mag, kind: im.kind
+        }))
+    };
+}
+
+// Non-finite numbers have no JSON form
+function toJSON(result) {
+    return JSON.stringify(result, (key, value) => (typeof value === 'number' && !isFinite(value)) ? null : value, 2);
+}
+
+function toTable(result) {
+    const fmt = (v) => {
+        if (v === null || v === undefined || Number.isNaN(v)) return '--';
+        if (typeof v !== 'number') return String(v);
+        if (!isFinite(v)) return v > 0 ? 'Inf' : '-Inf';
+        return Number.isInteger(v) ? String(v) : v.toFixed(6);
+    };
+    const lines = [];
+    const section = (title, entries) => {
+        lines.push(title);
+        for (const [label, value] of entries) lines.push(`  ${label.padEnd(18)}${fmt(value)}`);
+        lines.push('');
+    };
+
+    const { object, matrix, cardinal, image, pupils } = result;
+    section('Object', isFinite(object.z)
+        ? [['z', object.z], ['y', object.y]]
+        : [['z', object.z], ['angle [deg]', object.angle]]);
+    section('System Matrix', [['A', matrix.A], ['B', matrix.B], ['C', matrix.C], ['D', matrix.D]]);
+    section('Cardinal Points', [
+        ['EFL', cardinal.efl], ['BFL', cardinal.bfl], ['FFL', cardinal.ffl],
+        ['F', cardinal.F], ["F'", cardinal.F_prime],
+        ['H', cardinal.H], ["H'", cardinal.H_prime],
+        ['N', cardinal.N], ["N'", cardinal.N_prime],
+        ['Afocal', cardinal.afocal ? 'yes' : 'no']
+    ]);
+    if (image) {
+        section('Image', [['z', image.z], ['Magnification', image.mag], ['Height', image.height],
+            ['Virtual', image.isVirtual ? 'yes' : 'no']]);
+    }
+    if (pupils) {
+        section('Pupils', [
+            ['Aperture stop', `element ${pupils.stop}`],
+            ['Field stop', pupils.fieldStop ? `element ${pupils.fieldStop}` : null],
+            ['Entrance pupil z', pupils.entrancePupil.z], ['Entrance pupil r', pupils.entrancePupil.r],
+            ['Exit pupil z', pupils.exitPupil.z], ['Exit pupil r', pupils.exitPupil.r],
+            ['f/#', pupils.fNumber], ['Working f/#', pupils.workingFNumber], ['Image NA', pupils.na]
+        ]);
+    }
+    if (result.intermediateImages.length > 0) {
+        section('Intermediate Images', result.intermediateImages.map(im =>
+            [`after element ${im.after}`, `z=${fmt(im.z)} m=${fmt(im.mag)} (${im.kind})`]));
+    }
+    return lines.join('\n');
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(`${err.message}\n${USAGE}`);
+        return 2;
+    }
+    if (args.help || args.file === null) {
+        console.log(USAGE);
+        return args.help ? 0 : 2;
+    }
+
+    try {
+        const text = fs.readFileSync(args.file === '-' ? 0 : args.file, 'utf8');
+        const data = JSON.parse(text);
+        const system = OpticalSystem.fromPrescription(data);
+        const result = evaluate(system, parseObject(data.object));
+        console.log(args.format === 'table' ? toTable(result) : toJSON(result));
+        return 0;
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main();
+}
+
+module.exports = { evaluate, parseObject, toJSON, toTable };
@@ -0,0 +1,128 @@
+// beam.js
+
+// Minimal complex arithmetic for the q-parameter
+class Complex {
+    constructor(re, im) {
+        this.re = re;
+        this.im = im;
+    }
+
+    add(x) {
+        return new Complex(this.re + x, this.im);
+    }
+
+    inverse() {
+        const d = this.re * this.re + this.im * this.im;
+        return new Complex(this.re / d, -this.im / d);
+    }
+
+    // (A q + B) / (C q + D) for real A, B, C, D
+    bilinear(A, B, C, D) {
+        const nRe = A * this.re + B, nIm = A * this.im;
+        const dRe = C * this.re + D, dIm = C * this.im;
+        const d = dRe * dRe + dIm * dIm;
+        return new Complex((nRe * dRe + nIm * dIm) / d, (nIm * dRe - nRe * dIm) / d);
+    }
+}
+
+// Fundamental-mode Gaussian beam propagated with the complex beam parameter
+// q = z + i zR. Lengths are in system units (mm), the wavelength in nm.
+// Inside a medium of index n the reduced parameter q/n is transformed by the
+// reduced ABCD matrices, so Im(q/n) = pi w0^2 / lambda everywhere.
+class GaussianBeam {
+    constructor(w0, zWaist, wavelength) {
+        this.w0 = parseFloat(w0); // Input waist radius (1/e^2)
+        this.zWaist = parseFloat(zWaist); // Input waist position
+        this.wavelength = parseFloat(wavelength); // Vacuum wavelength in nm
+    }
+
+    get lambda() {
+        return this.wavelength * 1e-6; // nm -> mm
+    }
+
+    // Beam radius for a reduced q-parameter
+    width(q) {
+        const inv = q.inverse();
+        return Math.sqrt(-this.lambda / (Math.PI * inv.im));
+    }
+
+    // Waist of the beam in a segment, from the reduced q at position z in index n
+    waistOf(q, z, n) {
+        return {
+            z: z - n * q.re,
+            w0: Math.sqrt(this.lambda * q.im / Math.PI),
+            zR: Math.abs(n) * q.im
+        };
+    }
+
+    // Propagate through every element of the system. Returns one segment per
+    // region between elements (reduced q at the segment start) and its waist.
+    propagate(system, endZ) {
+        return system.atWavelength(this.wavelength, () => this.propagateAtWavelength(system, endZ));
+    }
+
+    propagateAtWavelength(system, endZ) {
+        system.sortLenses();
+
+        const zR = Math.PI * this.w0 * this.w0 / this.lambda;
+        const startZ = system.lenses.length > 0 ? Math.min(this.zWaist, system.lenses[0].z) : this.zWaist;
+        let q = new Complex(startZ - this.zWaist, zR);
+        let z = startZ;
+        let n = 1;
+
+        const segments = [];
+        let started = false;
+        for (let i = 0; i < system.lenses.length; i++) {
+            const lens = system.lenses[i];
+            if (!started && lens.z < z) continue;
+            started = true;
+
+            segments.push(this.segment(z, lens.z, q, n));
+
+            // Translate to the element, then apply its refraction matrix
+            q = q.add((lens.z - z) / n);
+            const { A, B, C, D } = system.calculateMatrixRange(i, i);
+            q = q.bilinear(A, B, C, D);
+            z = lens.z;
+            n = system.indexAfter(i);
+        }
+
+        // Output space: run past the output waist so it is visible (in -z after an odd number of mirrors)
+        const waist = this.waistOf(q, z, n);
+        if (endZ === undefined) {
+            const dir = Math.sign(n);
+            const reach = Math.min(2000, Math.max(300, dir * (waist.z - z) + 2 * waist.zR));
+            endZ = z + dir * reach;
+        }
+        segments.push(this.segment(z, endZ, q, n));
+
+        return segments;
+    }
+
+    // A waist is virtual when it lies outside the region its beam occupies
+    segment(zStart, zEnd, q, n) {
+        const waist = this.waistOf(q, zStart, n);
+        waist.isVirtual = waist.z < Math.min(zStart, zEnd) - 1e-9 || waist.z > Math.max(zStart, zEnd) + 1e-9;
+        return { zStart, zEnd, q, n, waist };
+    }
+
+    // Sample the envelope w(z) along all segments
+    envelope(segments, samplesPerSegment = 60) {
+        const points = [];
+        for (const seg of segments) {
+            const zs = [];
+            for (let k = 0; k <= samplesPerSegment; k++) {
+                zs.push(seg.zStart + (seg.zEnd - seg.zStart) * k / samplesPerSegment);
+            }
+            // Tight foci are easily stepped over, so always include the waist itself
+            if (!seg.waist.isVirtual) zs.push(seg.waist.z);
+            zs.sort((a, b) => a - b);
+
+            for (const z of zs) {
+                const q = seg.q.add((z - seg.zStart) / seg.n);
+                points.push({ z, w: this.width(q), segment: seg });
+            }
+        }
+        return points;
+    }
+}
@@ -0,0 +1,154 @@
+// catalog.js
+
+// Bundled catalog of stock lenses. The parts are generic stock values (part number
+// = type code, diameter class and focal length), not any one vendor's: radii are
+// chosen so the thick-lens EFL at the d-line matches the nominal f, and the center
+// thickness leaves a 2 mm edge (3 mm above 50 mm diameter). Radii are listed in the
+// order light meets them with the lens in its usual orientation (curved side toward
+// the collimated beam); null is flat. Achromats are cemented doublets with the
+// crown glass first. Entries use plain JSON values, so the list can be exchanged for
+// another catalog in the same form.
+const LensCatalog = {
+    lenses: [
+        { part: 'PCX-12-020', type: 'plano-convex', f: 20, diameter: 12.7, glass: ['N-BK7'], R: [10.34, null], tc: [4.2] },
+        { part: 'PCX-12-030', type: 'plano-convex', f: 30, diameter: 12.7, glass: ['N-BK7'], R: [15.5, null], tc: [3.4] },
+        { part: 'PCX-12-050', type: 'plano-convex', f: 50, diameter: 12.7, glass: ['N-BK7'], R: [25.84, null], tc: [2.8] },
+        { part: 'PCX-12-075', type: 'plano-convex', f: 75, diameter: 12.7, glass: ['N-BK7'], R: [38.76, null], tc: [2.5] },
+        { part: 'PCX-12-100', type: 'plano-convex', f: 100, diameter: 12.7, glass: ['N-BK7'], R: [51.68, null], tc: [2.4] },
+        { part: 'PCX-25-035', type: 'plano-convex', f: 35, diameter: 25.4, glass: ['N-BK7'], R: [18.09, null], tc: [7.2] },
+        { part: 'PCX-25-050', type: 'plano-convex', f: 50, diameter: 25.4, glass: ['N-BK7'], R: [25.84, null], tc: [5.3] },
+        { part: 'PCX-25-075', type: 'plano-convex', f: 75, diameter: 25.4, glass: ['N-BK7'], R: [38.76, null], tc: [4.1] },
+        { part: 'PCX-25-100', type: 'plano-convex', f: 100, diameter: 25.4, glass: ['N-BK7'], R: [51.68, null], tc: [3.6] },
+        { part: 'PCX-25-125', type: 'plano-convex', f: 125, diameter: 25.4, glass: ['N-BK7'], R: [64.6, null], tc: [3.3] },
+        { part: 'PCX-25-150', type: 'plano-convex', f: 150, diameter: 25.4, glass: ['N-BK7'], R: [77.52, null], tc: [3] },
+        { part: 'PCX-25-200', type: 'plano-convex', f: 200, diameter: 25.4, glass: ['N-BK7'], R: [103.36, null], tc: [2.8] },
+        { part: 'PCX-25-250', type: 'plano-convex', f: 250, diameter: 25.4, glass: ['N-BK7'], R: [129.2, null], tc: [2.6] },
+        { part: 'PCX-25-300', type: 'plano-convex', f: 300, diameter: 25.4, glass: ['N-BK7'], R: [155.04, null], tc: [2.5] },
+        { part: 'PCX-25-400', type: 'plano-convex', f: 400, diameter: 25.4, glass: ['N-BK7'], R: [206.72, null], tc: [2.4] },
+        { part: 'PCX-25-500', type: 'plano-convex', f: 500, diameter: 25.4, glass: ['N-BK7'], R: [258.4, null], tc: [2.3] },
+        { part: 'PCX-25-750', type: 'plano-convex', f: 750, diameter: 25.4, glass: ['N-BK7'], R: [387.6, null], tc: [2.2] },
+        { part: 'PCX-25-1000', type: 'plano-convex', f: 1000, diameter: 25.4, glass: ['N-BK7'], R: [516.8, null], tc: [2.2] },
+        { part: 'PCX-50-075', type: 'plano-convex', f: 75, diameter: 50.8, glass: ['N-BK7'], R: [38.76, null], tc: [12.5] },
+        { part: 'PCX-50-100', type: 'plano-convex', f: 100, diameter: 50.8, glass: ['N-BK7'], R: [51.68, null], tc: [9.7] },
+        { part: 'PCX-50-150', type: 'plano-convex', f: 150, diameter: 50.8, glass: ['N-BK7'], R: [77.52, null], tc: [7.3] },
+        { part: 'PCX-50-200', type: 'plano-convex', f: 200, diameter: 50.8, glass: ['N-BK7'], R: [103.36, null], tc: [6.2] },
+        { part: 'PCX-50-250', type: 'plano-convex', f: 250, diameter: 50.8, glass: ['N-BK7'], R: [129.2, null], tc: [5.5] },
+        { part: 'PCX-50-300', type: 'plano-convex', f: 300, diameter: 50.8, glass: ['N-BK7'], R: [155.04, null], tc: [5.1] },
+        { part: 'PCX-50-500', type: 'plano-convex', f: 500, diameter: 50.8, glass: ['N-BK7'], R: [258.4, null], tc: [4.3] },
+        { part: 'PCXUV-25-050', type: 'plano-convex', f: 50, diameter: 25.4, glass: ['Fused Silica'], R: [22.92, null], tc: [5.8] },
+        { part: 'PCXUV-25-100', type: 'plano-convex', f: 100, diameter: 25.4, glass: ['Fused Silica'], R: [45.85, null], tc: [3.8] },
+        { part: 'PCXUV-25-200', type: 'plano-convex', f: 200, diameter: 25.4, glass: ['Fused Silica'], R: [91.69, null], tc: [2.9] },
+        { part: 'DCX-25-035', type: 'bi-convex', f: 35, diameter: 25.4, glass: ['N-BK7'], R: [34.98, -34.98], tc: [6.8] },
+        { part: 'DCX-25-050', type: 'bi-convex', f: 50, diameter: 25.4, glass: ['N-BK7'], R: [50.78, -50.78], tc: [5.2] },
+        { part: 'DCX-25-075', type: 'bi-convex', f: 75, diameter: 25.4, glass: ['N-BK7'], R: [76.82, -76.82], tc: [4.1] },
+        { part: 'DCX-25-100', type: 'bi-convex', f: 100, diameter: 25.4, glass: ['N-BK7'], R: [102.74, -102.74], tc: [3.6] },
+        { part: 'DCX-25-150', type: 'bi-convex', f: 150, diameter: 25.4, glass: ['N-BK7'], R: [154.53, -154.53], tc: [3] },
+        { part: 'DCX-25-200', type: 'bi-convex', f: 200, diameter: 25.4, glass: ['N-BK7'], R: [206.24, -206.24], tc: [2.8] },
+        { part: 'DCX-50-100', type: 'bi-convex', f: 100, diameter: 50.8, glass: ['N-BK7'], R: [101.73, -101.73], tc: [9.4] },
+        { part: 'DCX-50-200', type: 'bi-convex', f: 200, diameter: 50.8, glass: ['N-BK7'], R: [205.68, -205.68], tc: [6.1] },
+        { part: 'PCV-12-025', type: 'plano-concave', f: -25, diameter: 12.7, glass: ['N-BK7'], R: [-12.92, null], tc: [2] },
+        { part: 'PCV-12-050', type: 'plano-concave', f: -50, diameter: 12.7, glass: ['N-BK7'], R: [-25.84, null], tc: [2] },
+        { part: 'PCV-25-050', type: 'plano-concave', f: -50, diameter: 25.4, glass: ['N-BK7'], R: [-25.84, null], tc: [2] },
+        { part: 'PCV-25-075', type: 'plano-concave', f: -75, diameter: 25.4, glass: ['N-BK7'], R: [-38.76, null], tc: [2] },
+        { part: 'PCV-25-100', type: 'plano-concave', f: -100, diameter: 25.4, glass: ['N-BK7'], R: [-51.68, null], tc: [2] },
+        { part: 'PCV-25-150', type: 'plano-concave', f: -150, diameter: 25.4, glass: ['N-BK7'], R: [-77.52, null], tc: [2] },
+        { part: 'PCV-25-200', type: 'plano-concave', f: -200, diameter: 25.4, glass: ['N-BK7'], R: [-103.36, null], tc: [2] },
+        { part: 'PCV-50-100', type: 'plano-concave', f: -100, diameter: 50.8, glass: ['N-BK7'], R: [-51.68, null], tc: [3] },
+        { part: 'DCV-12-025', type: 'bi-concave', f: -25, diameter: 12.7, glass: ['N-BK7'], R: [-26.18, 26.18], tc: [2] },
+        { part: 'DCV-25-050', type: 'bi-concave', f: -50, diameter: 25.4, glass: ['N-BK7'], R: [-52.02, 52.02], tc: [2] },
+        { part: 'DCV-25-100', type: 'bi-concave', f: -100, diameter: 25.4, glass: ['N-BK7'], R: [-103.7, 103.7], tc: [2] },
+        { part: 'ACH-12-025', type: 'achromat', f: 25, diameter: 12.7, glass: ['N-BK7', 'F2'], R: [11.45, -11.45, -207.31], tc: [5.8, 2] },
+        { part: 'ACH-12-050', type: 'achromat', f: 50, diameter: 12.7, glass: ['N-BK7', 'F2'], R: [22.55, -22.55, -408.17], tc: [3.8, 2] },
+        { part: 'ACH-25-050', type: 'achromat', f: 50, diameter: 25.4, glass: ['N-BK7', 'F2'], R: [22.85, -22.85, -413.61], tc: [9.7, 2] },
+        { part: 'ACH-25-075', type: 'achromat', f: 75, diameter: 25.4, glass: ['N-BK7', 'F2'], R: [33.91, -33.91, -613.73], tc: [6.9, 2] },
+        { part: 'ACH-25-100', type: 'achromat', f: 100, diameter: 25.4, glass: ['N-BK7', 'F2'], R: [45.04, -45.04, -815.27], tc: [5.7, 2] },
+        { part: 'ACH-25-150', type: 'achromat', f: 150, diameter: 25.4, glass: ['N-BK7', 'F2'], R: [67.36, -67.36, -1219.35], tc: [4.4, 2] },
+        { part: 'ACH-25-200', type: 'achromat', f: 200, diameter: 25.4, glass: ['N-BK7', 'F2'], R: [89.72, -89.72, -1624.09], tc: [3.8, 2] },
+        { part: 'ACH-25-250', type: 'achromat', f: 250, diameter: 25.4, glass: ['N-BK7', 'F2'], R: [112.09, -112.09, -2029.01], tc: [3.4, 2] },
+        { part: 'ACH-50-150', type: 'achromat', f: 150, diameter: 50.8, glass: ['N-BK7', 'F2'], R: [67.78, -67.78, -1226.97], tc: [12.9, 3] },
+        { part: 'ACH-50-200', type: 'achromat', f: 200, diameter: 50.8, glass: ['N-BK7', 'F2'], R: [90.04, -90.04, -1629.86], tc: [10.3, 3] },
+        { part: 'ACH-50-300', type: 'achromat', f: 300, diameter: 50.8, glass: ['N-BK7', 'F2'], R: [134.69, -134.69, -2438.12], tc: [7.8, 3] },
+        { part: 'ACH-50-400', type: 'achromat', f: 400, diameter: 50.8, glass: ['N-BK7', 'F2'], R: [179.41, -179.41, -3247.58], tc: [6.6, 3] },
+    ],
+
+    types: ['plano-convex', 'bi-convex', 'plano-concave', 'bi-concave', 'achromat'],
+
+    find(part) {
+        return this.lenses.find(lens => lens.part === part) || null;
+    },
+
+    diameters() {
+        return [...new Set(this.lenses.map(lens => lens.diameter))].sort((a, b) => a - b);
+    },
+
+    // Lenses whose part, type or glass contains every word of the query, optionally
+    // limited to a type, a diameter and a focal length range
+    search(query = '', { type = '', diameter = null, fMin = -Infinity, fMax = Infinity } = {}) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        return this.lenses.filter(lens => {
+            const text = `${lens.part} ${lens.type} ${lens.glass.join(' ')} f${lens.f}`.toLowerCase();
+            return words.every(word => text.includes(word))
+                && (!type || lens.type === type)
+                && (!diameter || lens.diameter === diameter)
+                && lens.f >= fMin && lens.f <= fMax;
+        });
+    },
+
+    // Surfaces { R, t, glass } of a lens in the order light meets them: t and glass
+    // describe the medium after each surface. Reversed turns the lens around.
+    surfaces(lens, reversed = false) {
+        const radii = lens.R.map(R => R === null ? Infinity : R);
+        const surfaces = radii.map((R, i) => ({ R, t: lens.tc[i] || 0, glass: lens.glass[i] || null }));
+        if (!reversed) return surfaces;
+
+        const flipped = [...radii].reverse().map(R => isFinite(R) ? -R : Infinity);
+        const thickness = [...lens.tc].reverse();
+        const glass = [...lens.glass].reverse();
+        return flipped.map((R, i) => ({ R, t: thickness[i] || 0, glass: glass[i] || null }));
+    },
+
+    /**
+     * Adds a catalog lens to the system as real surfaces with its clear aperture.
+     * @param {OpticalSystem} system
+     * @param {Object} lens - Catalog entry
+     * @param {number} z - Position of the first surface
+     * @param {number} dir - Direction of travel there (-1 after a mirror)
+     * @param {boolean} reversed - Turn the lens around (flat side first)
+     * @returns {Surface[]} The surfaces added
+     */
+    insert(system, lens, z, dir = 1, reversed = false) {
+        const s = this.surfaces(lens, reversed).map(surface => ({ ...surface, R: surface.R * dir, t: surface.t * dir }));
+        const h = lens.diameter / 2;
+        let added;
+        if (s.length === 2) {
+            added = system.addSinglet(s[0].R, s[1].R, s[0].t, 1, z, h);
+            added[0].setGlass(s[0].glass);
+        } else {
+            added = system.addDoublet(s[0].R, s[1].R, s[2].R, s[0].t, s[1].t, s[0].glass, s[1].glass, z, h);
+        }
+        added.forEach(surface => surface.part = lens.part);
+        return added;
+    },
+
+    // Whether the surfaces of a lens in the system still have the catalog shape,
+    // glass and aperture (in either orientation and direction of travel)
+    isStock(lens, surfaces) {
+        if (surfaces.length !== lens.R.length) return false;
+        if (surfaces.some(s => Math.abs(s.h - lens.diameter / 2) > 1e-6)) return false;
+        const same = (a, b) => (!isFinite(a) && !isFinite(b)) || Math.abs(a - b) < 1e-6;
+
+        return [false, true].some(reversed => [1, -1].some(dir => {
+            const expected = this.surfaces(lens, reversed);
+            return expected.every((e, i) => {
+                const s = surfaces[i];
+                const t = i < surfaces.length - 1 ? surfaces[i + 1].z - s.z : 0;
+                return same(s.R, e.R * dir) && same(t, e.t * dir)
+                    && (i === surfaces.length - 1 || s.glass === e.glass);
+            });
+        }));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LensCatalog };
+}
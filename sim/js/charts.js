@@ -0,0 +1,211 @@
+// charts.js
+
+// Small plots drawn into sidebar canvases
+const Charts = {
+    /**
+     * Prepares a canvas for drawing at its displayed size.
+     * @returns {object} { ctx, w, h }
+     */
+    setup(canvas) {
+        canvas.width = canvas.clientWidth || canvas.width;
+        canvas.height = canvas.clientHeight || canvas.height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        return { ctx, w: canvas.width, h: canvas.height };
+    },
+
+    /**
+     * Grouped bar chart with a zero line, for signed values.
+     * @param {HTMLCanvasElement} canvas
+     * @param {string[]} groups - Label per group (x axis)
+     * @param {number[][]} values - values[group][series]
+     * @param {string[]} colors - Color per series
+     */
+    drawGroupedBars(canvas, groups, values, colors) {
+        const { ctx, w, h } = this.setup(canvas);
+        const pad = 16;
+
+        let maxAbs = 0;
+        values.forEach(row => row.forEach(v => maxAbs = Math.max(maxAbs, Math.abs(v))));
+        if (maxAbs === 0) maxAbs = 1;
+
+        const zeroY = h / 2;
+        const scaleY = (h / 2 - pad) / maxAbs;
+        const groupWidth = (w - pad) / Math.max(1, groups.length);
+        const barWidth = (groupWidth - 6) / Math.max(1, colors.length);
+
+        ctx.strokeStyle = '#555';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, zeroY);
+        ctx.lineTo(w, zeroY);
+        ctx.stroke();
+
+        ctx.font = '10px monospace';
+        groups.forEach((label, g) => {
+            const x0 = pad / 2 + g * groupWidth + 3;
+            values[g].forEach((v, s) => {
+                ctx.fillStyle = colors[s];
+                const bh = v * scaleY;
+                ctx.fillRect(x0 + s * barWidth, Math.min(zeroY, zeroY - bh), barWidth - 1, Math.abs(bh));
+            });
+            ctx.fillStyle = '#aaa';
+            ctx.fillText(label, x0, h - 3);
+        });
+    },
+
+    /**
+     * Histogram of a sample with optional reference lines.
+     * @param {HTMLCanvasElement} canvas
+     * @param {number[]} values - Samples (non-finite values are ignored)
+     * @param {object} marks - { nominal, lo, hi } drawn as vertical lines
+     * @param {number} bins - Number of bins
+     */
+    drawHistogram(canvas, values, marks = {}, bins = 30) {
+        const { ctx, w, h } = this.setup(canvas);
+        const finite = values.filter(v => isFinite(v));
+        if (finite.length === 0) return;
+
+        const pad = 14;
+        let min = Math.min(...finite);
+        let max = Math.max(...finite);
+        for (const m of [marks.lo, marks.hi]) {
+            if (isFinite(m)) {
+                min = Math.min(min, m);
+                max = Math.max(max, m);
+            }
+        }
+        if (max - min < 1e-12) {
+            min -= 0.5;
+            max += 0.5;
+        }
+
+        const counts = new Array(bins).fill(0);
+        for (const v of finite) {
+            counts[Math.min(bins - 1, Math.floor((v - min) / (max - min) * bins))]++;
+        }
+        const peak = Math.max(...counts);
+        const toX = (v) => (v - min) / (max - min) * w;
+        const binWidth = w / bins;
+
+        ctx.fillStyle = '#4CAF50';
+        counts.forEach((c, i) => {
+            const bh = c / peak * (h - pad - 4);
+            ctx.fillRect(i * binWidth, h - pad - bh, binWidth - 1, bh);
+        });
+
+        const line = (v, color) => {
+            if (!isFinite(v)) return;
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(toX(v), 0);
+            ctx.lineTo(toX(v), h - pad);
+            ctx.stroke();
+        };
+        ctx.lineWidth = 1;
+        line(marks.nominal, '#fff');
+        line(marks.lo, '#f55');
+        line(marks.hi, '#f55');
+
+        ctx.fillStyle = '#aaa';
+        ctx.font = '10px monospace';
+        ctx.fillText(min.toPrecision(5), 2, h - 3);
+        const maxLabel = max.toPrecision(5);
+        ctx.fillText(maxLabel, w - ctx.measureText(maxLabel).width - 2, h - 3);
+    },
+
+    /**
+     * Scatter plot centered on the origin with equal x/y scale (spot diagrams).
+     * @param {HTMLCanvasElement} canvas
+     * @param {object[]} points - { x, y, color }
+     * @param {number} radius - Half-width of the plotted area (0 = fit the points)
+     */
+    drawScatter(canvas, points, radius = 0) {
+        const { ctx, w, h } = this.setup(canvas);
+        const pad = 14;
+
+        if (!(radius > 0)) {
+            points.forEach(p => radius = Math.max(radius, Math.abs(p.x), Math.abs(p.y)));
+            radius = radius > 0 ? radius * 1.1 : 1;
+        }
+        const scale = (Math.min(w, h) / 2 - pad) / radius;
+        const cx = w / 2, cy = h / 2;
+
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, cy);
+        ctx.lineTo(w, cy);
+        ctx.moveTo(cx, 0);
+        ctx.lineTo(cx, h);
+        ctx.stroke();
+
+        for (const p of points) {
+            ctx.fillStyle = p.color || '#ff6';
+            ctx.fillRect(cx + p.x * scale - 1, cy - p.y * scale - 1, 2, 2);
+        }
+
+        ctx.fillStyle = '#aaa';
+        ctx.font = '10px monospace';
+        ctx.fillText(`±${radius.toPrecision(3)}`, 2, h - 3);
+    },
+
+    /**
+     * Line plot of one or more series with axes through zero.
+     * @param {HTMLCanvasElement} canvas
+     * @param {object[]} series - { points: [{x, y}], color }
+     * @param {object} marker - Optional x position of a vertical marker line
+     */
+    drawLines(canvas, series, marker) {
+        const { ctx, w, h } = this.setup(canvas);
+        const pad = 14;
+        const all = series.flatMap(s => s.points).filter(p => isFinite(p.x) && isFinite(p.y));
+        if (all.length === 0) return;
+
+        let xMin = Math.min(...all.map(p => p.x)), xMax = Math.max(...all.map(p => p.x));
+        let yMin = Math.min(0, ...all.map(p => p.y)), yMax = Math.max(0, ...all.map(p => p.y));
+        if (xMax - xMin < 1e-12) { xMin -= 1; xMax += 1; }
+        if (yMax - yMin < 1e-12) { yMin -= 1; yMax += 1; }
+
+        const toX = (x) => (x - xMin) / (xMax - xMin) * (w - 2) + 1;
+        const toY = (y) => h - pad - (y - yMin) / (yMax - yMin) * (h - pad - 4);
+
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, toY(0));
+        ctx.lineTo(w, toY(0));
+        if (xMin < 0 && xMax > 0) {
+            ctx.moveTo(toX(0), 0);
+            ctx.lineTo(toX(0), h - pad);
+        }
+        ctx.stroke();
+
+        if (marker !== undefined && isFinite(marker)) {
+            ctx.strokeStyle = '#fff';
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(toX(marker), 0);
+            ctx.lineTo(toX(marker), h - pad);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        for (const s of series) {
+            if (s.points.length < 2) continue;
+            ctx.strokeStyle = s.color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            s.points.forEach((p, i) => i === 0 ? ctx.moveTo(toX(p.x), toY(p.y)) : ctx.lineTo(toX(p.x), toY(p.y)));
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = '#aaa';
+        ctx.font = '10px monospace';
+        ctx.fillText(yMax.toPrecision(3), 2, 10);
+        ctx.fillText(xMin.toPrecision(4), 2, h - 3);
+        const xLabel = xMax.toPrecision(4);
+        ctx.fillText(xLabel, w - ctx.measureText(xLabel).width - 2, h - 3);
+    }
+};
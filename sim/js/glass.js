@@ -0,0 +1,90 @@
+// glass.js
+
+// Bundled glass catalog. Wavelengths in the dispersion formulas are in micrometers.
+//   sellmeier: n^2 = 1 + sum(B_i l^2 / (l^2 - C_i))
+//   cauchy:    n   = A + B / l^2 + C / l^4
+const GlassCatalog = {
+    // Fraunhofer lines [nm]
+    lines: {
+        F: 486.13,
+        d: 587.56,
+        C: 656.27
+    },
+
+    glasses: {
+        'N-BK7': {
+            formula: 'sellmeier',
+            B: [1.03961212, 0.231792344, 1.01046945],
+            C: [0.00600069867, 0.0200179144, 103.560653]
+        },
+        'N-SK16': {
+            formula: 'sellmeier',
+            B: [1.34317774, 0.241144399, 0.994317969],
+            C: [0.00704687339, 0.0229005, 92.7508526]
+        },
+        'N-BAF10': {
+            formula: 'sellmeier',
+            B: [1.5851495, 0.143559385, 1.08521269],
+            C: [0.00926681282, 0.0424489805, 105.613573]
+        },
+        'F2': {
+            formula: 'sellmeier',
+            B: [1.34533359, 0.209073176, 0.937357162],
+            C: [0.00997743871, 0.0470450767, 111.886764]
+        },
+        'N-SF11': {
+            formula: 'sellmeier',
+            B: [1.73759695, 0.313747346, 1.89878101],
+            C: [0.013188707, 0.0623068142, 155.23629]
+        },
+        'Fused Silica': {
+            formula: 'sellmeier',
+            B: [0.6961663, 0.4079426, 0.8974794],
+            C: [0.00467914826, 0.0135120631, 97.9340025]
+        },
+        'PMMA': {
+            formula: 'cauchy',
+            A: 1.4786,
+            B: 0.00452,
+            C: 0
+        }
+    },
+
+    names() {
+        return Object.keys(this.glasses);
+    },
+
+    /**
+     * Refractive index of a catalog glass.
+     * @param {string} name - Catalog name, e.g. 'N-BK7'
+     * @param {number} wavelength - Vacuum wavelength in nm
+     * @returns {number} Refractive index (NaN for unknown glasses)
+     */
+    index(name, wavelength) {
+        const glass = this.glasses[name];
+        if (!glass) return NaN;
+
+        const l2 = Math.pow(wavelength / 1000, 2);
+        if (glass.formula === 'cauchy') {
+            return glass.A + glass.B / l2 + glass.C / (l2 * l2);
+        }
+
+        let n2 = 1;
+        for (let i = 0; i < glass.B.length; i++) {
+            n2 += glass.B[i] * l2 / (l2 - glass.C[i]);
+        }
+        return Math.sqrt(n2);
+    },
+
+    /**
+     * Abbe number V_d = (n_d - 1) / (n_F - n_C).
+     */
+    abbe(name) {
+        const nd = this.index(name, this.lines.d);
+        return (nd - 1) / (this.index(name, this.lines.F) - this.index(name, this.lines.C));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GlassCatalog };
+}
@@ -0,0 +1,58 @@
+// history.js
+
+// Undo and redo for the editor. Each step is a snapshot of the whole setup (a JSON
+// string); the state after the latest step is kept too, so recording a state that
+// did not change adds nothing. Undo returns the snapshot to restore.
+class UndoHistory {
+    constructor(limit = 100) {
+        this.limit = limit; // Oldest steps are dropped beyond this
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = null;
+    }
+
+    // Start over from a state, forgetting all steps
+    reset(snapshot) {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.current = snapshot;
+    }
+
+    // Record the state after an edit. Returns whether it made a new step.
+    record(snapshot) {
+        if (snapshot === this.current) return false;
+        if (this.current !== null) {
+            this.undoStack.push(this.current);
+            if (this.undoStack.length > this.limit) this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.current = snapshot;
+        return true;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        if (!this.canUndo) return null;
+        this.redoStack.push(this.current);
+        this.current = this.undoStack.pop();
+        return this.current;
+    }
+
+    redo() {
+        if (!this.canRedo) return null;
+        this.undoStack.push(this.current);
+        this.current = this.redoStack.pop();
+        return this.current;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UndoHistory };
+}
@@ -3,193 +3,1851 @@
 const canvas = document.getElementById('optics-canvas');
 const system = new OpticalSystem();
 const renderer = new Renderer(canvas, system);
+const optimizer = new Optimizer(system);
+const tolerancing = new ToleranceAnalysis(system);
+const spotAnalysis = new SpotAnalysis(system);
+const undoHistory = new UndoHistory();
+const measurements = new Measurements(system, elementLabel);
 
 // State
 const state = {
     object: {
-        mode: 'point', // 'point' or 'infinity'
+        mode: 'point', // 'point', 'infinity', 'extended' or 'beam'
         z: -200,
         y: 0,
-        angle: 0 // for infinity mode
+        angle: 0, // for infinity mode
+        height: 20, // for extended mode: object height
+        fields: 5, // for extended mode: number of field points
+        shape: 'arrow', // for extended mode: 'arrow' (0 to height) or 'line' (-height to height)
+        w0: 1, // for beam mode: waist radius [mm], waist at z
+        wavelength: 633, // for beam mode [nm]
+        beamScale: 10 // for beam mode: transverse exaggeration of the envelope
     },
     rayCount: 10,
+    traceMode: 'paraxial', // 'paraxial' or 'real'
+    view: 'yz', // 'yz' (meridional fan) or 'xz' (sagittal fan of skew rays)
+    spotZ: null, // Image-plane analysis plane, null = follow the paraxial image
+    spotGrid: 15,
+    spectrum: 'mono', // key of SPECTRA
+    optimizing: false,
+    optimizerStatus: null,
+    morph: null, // Animation frame of a running configuration morph
+    report: null, // Latest paraxial trace report, for CSV export and printing
+    reportSummary: [], // [label, value] system figures printed with it
+    legend: false, // Key to the colors on the diagram
+    dimensions: false, // Spacing, BFL and EFL dimension lines on the diagram
+    scene: null, // Draws the latest diagram again, for the exports
+    measuring: false, // Mouse measures on the diagram instead of dragging
+    measurement: null, // The one being made: { a, b } anchors (see measure.js)
+    snap: null, // Snap target under the cursor
+    measureScene: null, // Object and image points and rays to measure on
     rays: []
 };
 
+// Wavelength sets [nm] emitted by the object. 'mono' traces at the design wavelength.
+const SPECTRA = {
+    mono: [null],
+    fdc: [GlassCatalog.lines.F, GlassCatalog.lines.d, GlassCatalog.lines.C],
+    visible: [450, 500, 550, 600, 650]
+};
+
 // --- Initialization ---
 
-function init() {
-    // Add default lenses
-    system.addLens(100, 0, 50);
-    system.addLens(100, 150, 50);
-    
-    // Initial Render
-    update();
-    renderLensList();
-    
-    // Event Listeners
-    setupUI();
-    setupCanvasInteractions();
+function init() {
+    // A setup shared in the link replaces the default lenses
+    if (!loadSetupFromHash()) {
+        system.addLens(100, 0, 50);
+        system.addLens(100, 150, 50);
+    }
+    
+    // Initial Render
+    update();
+    renderLensList();
+    
+    // Event Listeners
+    setupUI();
+    setupOptimizerUI();
+    setupConfigUI();
+    setupReportUI();
+    setupSetupUI();
+    setupPresetUI();
+    setupCatalogUI();
+    setupDiagramUI();
+    setupMeasureUI();
+    setupHistoryUI();
+    setupCanvasInteractions();
+    undoHistory.reset(editSnapshot());
+    updateHistoryButtons();
+}
+
+// --- Core Logic ---
+
+function currentObjectZ() {
+    return state.object.mode === 'infinity' ? -Infinity : state.object.z;
+}
+
+// Object height (or field slope at infinity) used for the chief ray and the analyses
+function currentField() {
+    if (state.object.mode === 'infinity') return Math.tan(state.object.angle * Math.PI / 180);
+    if (state.object.mode === 'extended') return state.object.height;
+    return state.object.y;
+}
+
+// Heights of the field points of the extended object, bottom to top
+function fieldHeights() {
+    const { height, fields, shape } = state.object;
+    const bottom = shape === 'line' ? -height : 0;
+    return Array.from({ length: fields }, (_, k) => bottom + (height - bottom) * k / (fields - 1));
+}
+
+// Distinct color of field point k of `count`, red (bottom) to violet (top)
+function fieldColor(k, count, alpha = 1) {
+    const hue = count > 1 ? 270 * k / (count - 1) : 0;
+    return `hsla(${hue}, 90%, ${renderer.colors.fieldLightness}%, ${alpha})`;
+}
+
+function update() {
+    const objZ = currentObjectZ();
+
+    // Solves pin their quantities before anything is evaluated
+    if (optimizer.solves.length > 0) {
+        optimizer.prune();
+        optimizer.applySolves(objZ);
+    }
+
+    state.pupils = system.calculatePupils(objZ);
+
+    // 1. Generate Rays (or propagate the Gaussian beam)
+    if (state.object.mode === 'beam') {
+        const beam = new GaussianBeam(state.object.w0, state.object.z, state.object.wavelength);
+        state.beamSegments = system.lenses.length > 0 ? beam.propagate(system) : [];
+        state.beamEnvelope = beam.envelope(state.beamSegments);
+        state.rays = [];
+        state.pupilRays = [];
+    } else {
+        // One bundle per wavelength, colored by the renderer
+        state.rays = [];
+        for (const wavelength of SPECTRA[state.spectrum]) {
+            const bundle = generateRays();
+            bundle.forEach(ray => ray.wavelength = wavelength);
+            state.rays.push(...bundle);
+        }
+        state.pupilRays = generatePupilRays(objZ);
+    }
+    
+    // 2. Trace Rays
+    const trace = (ray) => state.traceMode === 'real' ? system.traceRealRay(ray) : system.traceRay(ray);
+    state.rays.forEach(trace);
+    state.pupilRays.forEach(trace);
+    
+    // 3. Calculate Results
+    const results = system.calculateCardinalPoints();
+    const imageInfo = system.calculateImage(objZ);
+    const aberration = system.calculateSphericalAberration(objZ);
+    const field = currentField();
+    const chromatic = system.calculateChromaticAberration(objZ, field);
+    const seidel = system.calculateSeidel(objZ);
+    const shift = system.calculateImageShift(objZ);
+    const intermediate = system.calculateIntermediateImages(objZ);
+    state.report = system.calculateParaxialReport(objZ);
+    
+    // 4. Update UI Results
+    updateResultsPanel(results, imageInfo, aberration, state.pupils, chromatic, shift);
+    updateSeidelPanel(seidel);
+    updateIntermediatePanel(intermediate);
+    updateReportPanel(results);
+    updateBillOfMaterials();
+    const planeZ = updateSpotPanel(objZ, field, imageInfo);
+    const fieldImages = updateFieldPanel(objZ, imageInfo);
+    if (!state.morph) updateConfigTable(objZ);
+    state.measureScene = { ...drawnPoints(imageInfo, shift, fieldImages), rays: [...state.rays, ...state.pupilRays] };
+    measurements.prune();
+    updateMeasureList();
+    
+    // 5. Draw
+    state.scene = () => {
+        draw(imageInfo, shift, fieldImages, intermediate);
+        if (isFinite(planeZ)) renderer.drawEvaluationPlane(planeZ);
+        if (state.dimensions) renderer.drawDimensions();
+        drawMeasurements();
+        if (state.legend) renderer.drawLegend(legendEntries(imageInfo, intermediate));
+    };
+    state.scene();
+}
+
+function generateRays() {
+    const rays = [];
+    const count = state.rayCount;
+    
+    // Find First Lens to target
+    if (system.lenses.length === 0) return [];
+    
+    system.sortLenses();
+    const firstLens = system.lenses[0];
+
+    // Fill the entrance pupil when it is known, otherwise the first lens aperture
+    const ep = state.pupils && state.pupils.entrancePupil;
+    const target = (ep && isFinite(ep.z) && isFinite(ep.r))
+        ? { z: ep.z, h: ep.r }
+        : { z: firstLens.z, h: firstLens.h };
+    
+    if (state.object.mode === 'point') {
+        rays.push(...pointFan(state.object.z, state.object.y, target, count));
+    } else if (state.object.mode === 'extended') {
+        // One fan per field point, each in its own color
+        const heights = fieldHeights();
+        heights.forEach((y, k) => {
+            for (const ray of pointFan(state.object.z, y, target, count)) {
+                ray.field = k;
+                ray.fieldColor = fieldColor(k, heights.length, 0.6);
+                rays.push(ray);
+            }
+        });
+    } else {
+        // Infinity Mode
+        // Parallel rays
+        const angleRad = state.object.angle * (Math.PI / 180);
+        const u = Math.tan(angleRad);
+        
+        // Start rays from left of the screen or left of first lens
+        const startZ = firstLens.z - 200; // Arbitrary start
+        
+        const h = target.h * 0.95;
+        for (let i = 0; i < count; i++) {
+            const t = count > 1 ? i / (count - 1) : 0.5;
+            const y = -h + (2 * h) * t;
+            // Adjust y so that at the lens plane it hits the target y
+            // y_lens = y_start + u * (z_lens - z_start)
+            // We want y_lens to be uniformly distributed
+            // So y_start = y_lens - u * dist
+            const targetY = -h + (2 * h) * t;
+            if (state.view === 'xz') {
+                // Sagittal fan: spread in x, crossing the axis in y at the target
+                rays.push(new Ray(startZ, -u * (target.z - startZ), u, targetY, 0));
+            } else {
+                const startY = targetY - u * (target.z - startZ);
+                rays.push(new Ray(startZ, startY, u));
+            }
+        }
+    }
+    
+    return rays;
+}
+
+// Fan of rays from an object point filling the target aperture { z, h }
+function pointFan(zObj, yObj, target, count) {
+    const rays = [];
+
+    // Target the first lens aperture
+    // We want to fill the aperture [-h, h]
+    // Slope u = (y_lens - y_obj) / (z_lens - z_obj)
+    
+    const zDist = target.z - zObj;
+    // Avoid division by zero if object is exactly at lens (unlikely)
+    if (Math.abs(zDist) < 1e-6) return [];
+    
+    const h = target.h * 0.95; // 95% of aperture to avoid edge issues
+    const uMin = (-h - yObj) / zDist;
+    const uMax = (h - yObj) / zDist;
+    
+    for (let i = 0; i < count; i++) {
+        const t = count > 1 ? i / (count - 1) : 0.5;
+        if (state.view === 'xz') {
+            // Sagittal fan: skew rays across the pupil in x, aimed at its center in y
+            rays.push(new Ray(zObj, yObj, -yObj / zDist, 0, (-h + 2 * h * t) / zDist));
+        } else {
+            const u = uMin + (uMax - uMin) * t;
+            rays.push(new Ray(zObj, yObj, u));
+        }
+    }
+    return rays;
+}
+
+// Marginal ray pair (axial point, edge of the stop) and chief ray (edge of the
+// field or the current object point, center of the stop)
+function generatePupilRays(objZ) {
+    const pupils = state.pupils;
+    if (!pupils) return [];
+
+    const rays = [];
+    const shrink = 1 - 1e-9; // Stay just inside the apertures being grazed
+    const startZ = system.lenses[0].z - 200; // Same start as the infinity bundle
+
+    // Marginal rays lie in the plane being viewed
+    const m = pupils.marginal;
+    const xz = state.view === 'xz';
+    for (const sign of [1, -1]) {
+        let ray;
+        if (isFinite(objZ)) {
+            const u = sign * m.u * shrink;
+            ray = xz ? new Ray(m.z, 0, 0, 0, u) : new Ray(m.z, 0, u);
+        } else {
+            const y = sign * m.y * shrink;
+            ray = xz ? new Ray(startZ, 0, 0, y, 0) : new Ray(startZ, y, 0);
+        }
+        ray.color = renderer.colors.marginalRay;
+        rays.push(ray);
+    }
+
+    let field;
+    if (isFinite(pupils.fieldLimit)) {
+        field = pupils.fieldLimit * shrink;
+    } else {
+        field = currentField();
+    }
+
+    const c = Math.abs(field) > 1e-12 ? system.chiefRayStart(objZ, field, pupils.stopIndex) : null;
+    if (c) {
+        const ray = isFinite(objZ)
+            ? new Ray(c.z, c.y, c.u)
+            : new Ray(startZ, c.y - c.u * (c.z - startZ), c.u);
+        ray.color = renderer.colors.chiefRay;
+        rays.push(ray);
+    }
+
+    return rays;
+}
+
+function draw(imageInfo, shift, fieldImages, intermediate = []) {
+    renderer.draw(); // Grid, Axis, Lenses, Principal Planes
+
+    // Dashed extensions to virtual images and virtual objects (including a virtual final image)
+    const virtuals = intermediate.filter(image => image.kind !== 'real');
+    if (imageInfo && imageInfo.isVirtual && isFinite(imageInfo.z)) {
+        virtuals.push({ index: system.lenses.length - 1, z: imageInfo.z, kind: 'virtual' });
+    }
+    renderer.drawRayExtensions(state.rays, virtuals);
+    renderer.drawRays(state.rays);
+    renderer.drawRays(state.pupilRays);
+    renderer.drawPupils(state.pupils);
+    if (state.optimizerStatus) renderer.drawStatus(state.optimizerStatus);
+    
+    const xz = state.view === 'xz';
+    if (state.object.mode === 'point') {
+        renderer.drawObjectPoint(state.object.z, xz ? 0 : state.object.y);
+    } else if (state.object.mode === 'extended') {
+        const heights = fieldHeights();
+        renderer.drawExtendedObject(state.object.z, heights.map((y, k) => ({
+            y: xz ? 0 : y,
+            color: fieldColor(k, heights.length)
+        })), state.object.shape === 'arrow');
+    } else if (state.object.mode === 'beam') {
+        renderer.drawBeam(state.beamEnvelope, state.beamSegments, state.object.beamScale);
+    }
+    
+    // Images between the elements, with the height of the object point (or the top of the extended object)
+    const objectHeight = state.object.mode === 'point' ? state.object.y
+        : (state.object.mode === 'extended' ? fieldHeights()[state.object.fields - 1] : null);
+    for (const image of intermediate) {
+        const y = (objectHeight !== null && !xz && image.mag !== null) ? objectHeight * image.mag : null;
+        renderer.drawIntermediateImage(image, y);
+    }
+
+    if (fieldImages) {
+        renderer.drawExtendedImage(fieldImages.z, fieldImages.points);
+    } else if (imageInfo && imageInfo.afocal) {
+        const last = system.lenses[system.lenses.length - 1];
+        renderer.drawAfocalMarker(last.z, imageInfo.angularMag);
+    } else if (imageInfo && Math.abs(imageInfo.z) < 1e5) {
+        // Calculate image Y
+        // (plus the displacement caused by misaligned elements)
+        let imgY = (state.object.mode === 'point' && !xz && imageInfo.mag !== null && isFinite(imageInfo.mag))
+            ? state.object.y * imageInfo.mag
+            : 0;
+        if (shift) imgY += xz ? shift.x : shift.y;
+
+        renderer.drawImagePoint(imageInfo.z, imageInfo.mag, imgY);
+    }
+}
+
+// What the diagram shows, for its legend
+function legendEntries(imageInfo, intermediate) {
+    const colors = renderer.colors;
+    const entries = [];
+    if (state.object.mode === 'beam') {
+        entries.push({ label: 'Beam radius w(z)', color: colors.beamEdge });
+    } else if (state.object.mode === 'extended') {
+        const heights = fieldHeights();
+        entries.push({ label: 'Rays, bottom field', color: fieldColor(0, heights.length) });
+        entries.push({ label: 'Rays, top field', color: fieldColor(heights.length - 1, heights.length) });
+    } else if (state.spectrum === 'mono') {
+        entries.push({ label: 'Rays', color: colors.ray });
+    } else {
+        for (const wavelength of SPECTRA[state.spectrum]) {
+            entries.push({ label: `Rays, ${wavelength} nm`, color: renderer.wavelengthColor(wavelength, 1, colors.spectrumBrightness) });
+        }
+    }
+    if (state.pupilRays.length > 0) {
+        entries.push({ label: 'Marginal ray', color: colors.marginalRay });
+        if (state.pupilRays.length > 2) entries.push({ label: 'Chief ray', color: colors.chiefRay });
+    }
+    if (state.object.mode !== 'infinity' && state.object.mode !== 'beam') entries.push({ label: 'Object', color: colors.object });
+    if (imageInfo && !imageInfo.afocal && state.object.mode !== 'beam') entries.push({ label: 'Image', color: colors.image });
+    if (intermediate.length > 0) entries.push({ label: 'Intermediate image', color: colors.intermediate, dash: [2, 4] });
+    const cardinal = system.calculateCardinalPoints(); // null without elements
+    if (cardinal && !cardinal.afocal) entries.push({ label: "Principal planes H, H'", color: colors.principal, dash: [2, 2] });
+    if (state.pupils) entries.push({ label: 'Pupils EP, XP', color: colors.pupil, dash: [4, 3] });
+    return entries;
+}
+
+function elementLabel(index) {
+    const names = { lens: 'Lens', surface: 'Surface', stop: 'Stop', mirror: 'Mirror', plate: 'Plate', prism: 'Prism', grin: 'GRIN' };
+    return `${names[system.lenses[index].type]} ${index + 1}`;
+}
+
+function updateResultsPanel(results, imageInfo, aberration, pupils, chromatic, shift) {
+    if (!results) return;
+    
+    const set = (id, val) => document.getElementById(id).textContent = val;
+    const fmt = (n) => n.toFixed(2);
+    
+    set('res-efl', results.afocal ? 'Inf (afocal)' : fmt(results.efl));
+    set('res-bfl', results.afocal ? '--' : fmt(results.bfl));
+    set('res-ffl', results.afocal ? '--' : fmt(results.ffl));
+
+    // Stops, pupils and f-numbers
+    const fmtF = (n) => isFinite(n) ? `f/${n.toFixed(2)}` : '--';
+    const fmtPupil = (p) => isFinite(p.z) ? `z=${fmt(p.z)}, r=${fmt(p.r)}` : 'Inf (telecentric)';
+    if (pupils) {
+        set('res-fno', fmtF(pupils.fNumber));
+        set('res-wfno', fmtF(pupils.workingFNumber));
+        set('res-na', pupils.na.toFixed(3));
+        set('res-fov', pupils.fov
+            ? (pupils.fov.type === 'angle' ? `±${fmt(pupils.fov.half)}°` : `±${fmt(pupils.fov.half)} (obj. height)`)
+            : '--');
+        set('res-as', elementLabel(pupils.stopIndex));
+        set('res-fs', pupils.fieldStopIndex >= 0 ? elementLabel(pupils.fieldStopIndex) : '--');
+        set('res-ep', fmtPupil(pupils.entrancePupil));
+        set('res-xp', fmtPupil(pupils.exitPupil));
+    } else {
+        ['res-fno', 'res-wfno', 'res-na', 'res-fov', 'res-as', 'res-fs', 'res-ep', 'res-xp'].forEach(id => set(id, '--'));
+    }
+    
+    set('res-mag', (imageInfo && imageInfo.mag !== null) ? fmt(imageInfo.mag) : 'N/A');
+    set('res-img-z', imageInfo ? (Math.abs(imageInfo.z) > 10000 ? 'Inf' : fmt(imageInfo.z)) : '--');
+    set('res-shift', shift ? `x=${shift.x.toFixed(3)}, y=${shift.y.toFixed(3)}` : '--');
+    
+    const ppList = document.getElementById('res-pp');
+    ppList.innerHTML = results.afocal ? `
+        <li>F, H, N: --</li>
+        <li>F', H', N': --</li>
+    ` : `
+        <li>F: ${fmt(results.F)} &nbsp; H: ${fmt(results.H)} &nbsp; N: ${fmt(results.N)}</li>
+        <li>F': ${fmt(results.F_prime)} &nbsp; H': ${fmt(results.H_prime)} &nbsp; N': ${fmt(results.N_prime)}</li>
+    `;
+
+    // Telescope figures of an afocal system
+    const afocal = results.afocal ? system.calculateAfocal() : null;
+    document.getElementById('afocal-results').style.display = afocal ? 'block' : 'none';
+    if (afocal) {
+        const xp = afocal.exitPupil;
+        set('res-angmag', `${fmt(afocal.angularMagnification)}x`);
+        set('res-expansion', `${fmt(afocal.beamExpansion)}x`);
+        set('res-xpd', isFinite(xp.r) ? fmt(2 * xp.r) : '--');
+        set('res-eye-relief', isFinite(afocal.eyeRelief) ? fmt(afocal.eyeRelief) : '--');
+    }
+
+    // Resonator formed by the first and last mirrors
+    const cavity = system.calculateCavity(state.object.wavelength);
+    document.getElementById('cavity-results').style.display = cavity ? 'block' : 'none';
+    if (cavity) {
+        set('res-cavity-m', cavity.m.toFixed(3));
+        set('res-cavity-stable', cavity.stable ? 'Stable' : 'Unstable');
+        set('res-cavity-z', cavity.waist ? fmt(cavity.waist.z) : '--');
+        set('res-cavity-w0', cavity.waist ? cavity.waist.w0.toPrecision(3) : '--');
+    }
+
+    // Gaussian beam waists, one per region between elements
+    const beamMode = state.object.mode === 'beam';
+    document.getElementById('beam-results').style.display = beamMode ? 'block' : 'none';
+    if (beamMode) {
+        document.getElementById('res-waists').innerHTML = state.beamSegments.map((seg, i) => {
+            const w = seg.waist;
+            const label = i === 0 ? 'In' : (i === state.beamSegments.length - 1 ? 'Out' : `${i}`);
+            return `<li>w${i} (${label}${w.isVirtual ? ', virtual' : ''}): z=${fmt(w.z)}, w0=${w.w0.toPrecision(3)}, zR=${w.zR.toPrecision(3)}</li>`;
+        }).join('');
+    }
+
+    // Color: F - C image position and chief ray height
+    const caList = document.getElementById('res-ca');
+    caList.innerHTML = chromatic ? `
+        <li>Longitudinal (F-C): ${chromatic.longitudinal.toFixed(3)}</li>
+        <li>Lateral (F-C): ${chromatic.lateral.toFixed(4)}</li>
+    ` : `
+        <li>Longitudinal (F-C): --</li>
+        <li>Lateral (F-C): --</li>
+    `;
+
+    // Real marginal ray vs. paraxial image
+    const saList = document.getElementById('res-sa');
+    saList.innerHTML = aberration ? `
+        <li>LSA: ${fmt(aberration.lsa)}</li>
+        <li>TSA: ${fmt(aberration.tsa)}</li>
+    ` : `
+        <li>LSA: --</li>
+        <li>TSA: --</li>
+    `;
+}
+
+const SEIDEL_COLORS = ['#f55', '#fa0', '#5f5', '#5af', '#c6f'];
+
+// Per-element Seidel table and bar chart
+function updateSeidelPanel(seidel) {
+    const table = document.getElementById('seidel-table');
+    const chart = document.getElementById('seidel-chart');
+    const fmt = (v) => v.toExponential(1);
+
+    if (!seidel) {
+        table.innerHTML = '<tr><td>--</td></tr>';
+        Charts.drawGroupedBars(chart, [], [], SEIDEL_COLORS);
+        return;
+    }
+
+    // Stops contribute nothing, so leave them out
+    const rows = seidel.elements.filter(e => system.lenses[e.index].type !== 'stop');
+    table.innerHTML = `
+        <tr><th>Element</th><th>S<sub>I</sub></th><th>S<sub>II</sub></th><th>S<sub>III</sub></th><th>S<sub>IV</sub></th><th>S<sub>V</sub></th></tr>
+        ${rows.map(e => `<tr><td>${elementLabel(e.index)}</td>${e.sums.map(v => `<td>${fmt(v)}</td>`).join('')}</tr>`).join('')}
+        <tr class="total"><td>Sum</td>${seidel.total.map(v => `<td>${fmt(v)}</td>`).join('')}</tr>
+    `;
+
+    Charts.drawGroupedBars(chart, rows.map(e => `${e.index + 1}`), rows.map(e => e.sums), SEIDEL_COLORS);
+}
+
+// Spot diagram, ray fans and through-focus RMS at the evaluation plane.
+// Returns the plane position (NaN when there is nothing to analyze).
+function updateSpotPanel(objZ, field, imageInfo) {
+    const set = (id, val) => document.getElementById(id).textContent = val;
+    const charts = ['spot-chart', 'fan-tangential', 'fan-sagittal', 'focus-chart'].map(id => document.getElementById(id));
+    const clear = () => {
+        ['spot-rms', 'spot-geo', 'spot-centroid', 'spot-best'].forEach(id => set(id, '--'));
+        charts.forEach(c => Charts.setup(c));
+        return NaN;
+    };
+
+    if (system.lenses.length === 0 || state.object.mode === 'beam') return clear();
+
+    let z = state.spotZ;
+    if (z === null) {
+        if (!imageInfo || !isFinite(imageInfo.z) || Math.abs(imageInfo.z) > 1e5) return clear();
+        z = imageInfo.z;
+        const input = document.getElementById('spot-z');
+        if (document.activeElement !== input) input.value = +z.toFixed(3);
+    }
+
+    spotAnalysis.mode = state.traceMode;
+    const rays = spotAnalysis.traceGrid(objZ, field, state.spotGrid, SPECTRA[state.spectrum]);
+    const spot = spotAnalysis.spot(rays, z);
+    if (!spot) return clear();
+
+    const fmt = (v) => v.toPrecision(4);
+    set('spot-rms', fmt(spot.rms));
+    set('spot-geo', fmt(spot.geo));
+    set('spot-centroid', `x=${fmt(spot.centroid.x)}, y=${fmt(spot.centroid.y)}`);
+    Charts.drawScatter(charts[0], spot.points.map(p => ({
+        x: p.x,
+        y: p.y,
+        color: p.wavelength ? renderer.wavelengthColor(p.wavelength) : null
+    })));
+
+    const fans = spotAnalysis.fans(objZ, field, z);
+    const fanColor = '#ff6';
+    Charts.drawLines(charts[1], fans ? [{ points: fans.tangential.map(f => ({ x: f.p, y: f.e })), color: fanColor }] : []);
+    Charts.drawLines(charts[2], fans ? [{ points: fans.sagittal.map(f => ({ x: f.p, y: f.e })), color: fanColor }] : []);
+
+    // Through focus over +/- 5% of the distance from the last element
+    const last = system.lenses[system.lenses.length - 1];
+    const range = Math.max(1, 0.05 * Math.abs(z - last.z));
+    const focus = spotAnalysis.throughFocus(rays, z, range);
+    Charts.drawLines(charts[3], [{ points: focus.curve.map(c => ({ x: c.z, y: c.rms })), color: '#4CAF50' }], z);
+    set('spot-best', focus.best ? `${fmt(focus.best.rms)} at z=${focus.best.z.toFixed(2)}` : '--');
+
+    return z;
+}
+
+// --- UI Interaction ---
+
+// Show the inputs of the current object mode
+function showObjectControls() {
+    const mode = state.object.mode;
+    document.getElementById('point-controls').style.display = mode === 'point' ? 'block' : 'none';
+    document.getElementById('infinity-controls').style.display = mode === 'infinity' ? 'block' : 'none';
+    document.getElementById('extended-controls').style.display = mode === 'extended' ? 'block' : 'none';
+    document.getElementById('beam-controls').style.display = mode === 'beam' ? 'block' : 'none';
+}
+
+function setupUI() {
+    // Object Controls
+    document.getElementById('object-mode').addEventListener('change', (e) => {
+        state.object.mode = e.target.value;
+        showObjectControls();
+        updateLensInputs();
+        update();
+    });
+
+    // Gaussian Beam Controls
+    document.getElementById('beam-z').addEventListener('input', (e) => {
+        state.object.z = parseFloat(e.target.value);
+        update();
+    });
+    const beamParam = (id, key) => {
+        document.getElementById(id).addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (value > 0) {
+                state.object[key] = value;
+                update();
+            }
+        });
+    };
+    beamParam('beam-w0', 'w0');
+    beamParam('beam-wavelength', 'wavelength');
+    beamParam('beam-scale', 'beamScale');
+    
+    document.getElementById('object-z').addEventListener('input', (e) => {
+        state.object.z = parseFloat(e.target.value);
+        update();
+    });
+    document.getElementById('object-y').addEventListener('input', (e) => {
+        state.object.y = parseFloat(e.target.value);
+        update();
+    });
+    // Extended object
+    document.getElementById('extended-z').addEventListener('input', (e) => {
+        state.object.z = parseFloat(e.target.value);
+        update();
+    });
+    document.getElementById('extended-height').addEventListener('input', (e) => {
+        const height = parseFloat(e.target.value);
+        if (height >= 0) {
+            state.object.height = height;
+            update();
+        }
+    });
+    document.getElementById('extended-fields').addEventListener('input', (e) => {
+        const fields = parseInt(e.target.value);
+        if (fields >= 2 && fields <= 9) {
+            state.object.fields = fields;
+            update();
+        }
+    });
+    document.getElementById('extended-shape').addEventListener('change', (e) => {
+        state.object.shape = e.target.value;
+        update();
+    });
+
+    document.getElementById('object-angle').addEventListener('input', (e) => {
+        state.object.angle = parseFloat(e.target.value);
+        update();
+    });
+    
+    // Spectrum
+    document.getElementById('spectrum').addEventListener('change', (e) => {
+        state.spectrum = e.target.value;
+        update();
+    });
+
+    // Trace Mode
+    document.getElementById('trace-mode').addEventListener('change', (e) => {
+        state.traceMode = e.target.value;
+        update();
+    });
+
+    // Image-plane analysis
+    document.getElementById('spot-z').addEventListener('input', (e) => {
+        const z = parseFloat(e.target.value);
+        if (isNaN(z)) return;
+        state.spotZ = z;
+        document.getElementById('spot-auto').checked = false;
+        update();
+    });
+    document.getElementById('spot-auto').addEventListener('change', (e) => {
+        state.spotZ = e.target.checked ? null : parseFloat(document.getElementById('spot-z').value) || 0;
+        update();
+    });
+    document.getElementById('spot-grid').addEventListener('input', (e) => {
+        const grid = parseInt(e.target.value);
+        if (grid >= 3 && grid <= 41) {
+            state.spotGrid = grid;
+            update();
+        }
+    });
+
+    // View plane
+    document.getElementById('view-plane').addEventListener('change', (e) => {
+        state.view = e.target.value;
+        renderer.view = state.view;
+        update();
+    });
+
+    // Ray Count
+    const raySlider = document.getElementById('ray-count');
+    raySlider.addEventListener('input', (e) => {
+        state.rayCount = parseInt(e.target.value);
+        document.getElementById('ray-count-val').textContent = state.rayCount;
+        update();
+    });
+    
+    // Element Controls
+    document.getElementById('add-element-btn').addEventListener('click', () => {
+        const type = ELEMENT_TYPES[document.getElementById('element-type').value];
+        const { newZ, dir } = nextPosition();
+        type.add(newZ, dir);
+        renderLensList();
+        update();
+    });
+
+    document.getElementById('tolerance-btn').addEventListener('click', runTolerancing);
+}
+
+// Element types offered when adding: the number of list entries each one takes
+// and how it is built at z (dir = -1 where the light travels in -z)
+const ELEMENT_TYPES = {
+    lens: { count: 1, add: (z) => system.addLens(100, z) },
+    // Equi-convex N-BK7 singlet, f ~ 100
+    singlet: {
+        count: 2,
+        add: (z, dir) => system.addSinglet(103.4, -103.4, 6 * dir, 1.5168, z)[0].setGlass('N-BK7')
+    },
+    // Cemented N-BK7 / F2 achromat, f ~ 100
+    doublet: { count: 3, add: (z, dir) => system.addDoublet(43.1, -43.1, -1926, 6 * dir, 3 * dir, 'N-BK7', 'F2', z, 25) },
+    stop: { count: 1, add: (z) => system.addStop(z, 20) },
+    // Concave towards the incoming light, f = 100
+    mirror: { count: 1, add: (z, dir) => system.addMirror(-200 * dir, z) },
+    plate: { count: 1, add: (z) => system.addPlate(10, z) },
+    prism: { count: 1, add: (z) => system.addPrism(10, 10, z) },
+    // Quarter pitch: focuses a collimated beam on its back face
+    grin: { count: 1, add: (z) => system.addGrinRod(1.6, 0.05, Math.PI / 2 / 0.05, z) }
+};
+
+// Where a new element goes: 50 past the last one, along the direction light leaves it
+function nextPosition() {
+    const last = system.lenses[system.lenses.length - 1];
+    const dir = last ? Math.sign(system.imageIndex) : 1;
+    return { newZ: last ? last.z + 50 * dir : 0, dir };
+}
+
+// Checkbox marking an element parameter as an optimizer variable
+function varyBox(lens, param) {
+    const checked = optimizer.variables.some(v => v.id === lens.id && v.param === param);
+    return `<input type="checkbox" class="lens-vary" data-id="${lens.id}" data-param="${param}" title="Vary in optimizer" ${checked ? 'checked' : ''}>`;
+}
+
+// Decenter and tilt inputs of an element
+function alignmentInputs(lens) {
+    const input = (param, step) =>
+        `<input type="number" class="lens-align" data-id="${lens.id}" data-param="${param}" step="${step}" value="${+lens[param].toFixed(3)}">`;
+    return `
+        <label class="pair">Decenter x/y: ${input('decenterX', 0.1)} ${input('decenterY', 0.1)}</label>
+        <label class="pair">Tilt x/y [°]: ${input('tiltX', 0.1)} ${input('tiltY', 0.1)}</label>
+    `;
+}
+
+function glassSelect(lens) {
+    const options = GlassCatalog.names().map(name =>
+        `<option value="${name}" ${lens.glass === name ? 'selected' : ''}>${name}</option>`
+    ).join('');
+    const none = lens.type === 'lens' ? 'Ideal (no dispersion)' : 'Manual n';
+    return `<label>Glass: <select class="lens-glass" data-id="${lens.id}"><option value="">${none}</option>${options}</select></label>`;
+}
+
+// --- Optimizer ---
+
+function renderOptimizerPanel() {
+    optimizer.prune();
+
+    const paramNames = { f: 'f', z: 'z', R: 'R' };
+    const label = (v) => {
+        const index = system.lenses.findIndex(l => l.id === v.id);
+        return `${elementLabel(index)} ${paramNames[v.param]}`;
+    };
+
+    // Variables with bounds
+    const vars = document.getElementById('opt-variables');
+    vars.innerHTML = optimizer.variables.length === 0
+        ? '<p class="hint">Tick the box next to f, z or R of an element to vary it.</p>'
+        : optimizer.variables.map((v, i) => `
+            <div class="opt-row">
+                <span>${label(v)}</span>
+                <input type="number" class="opt-min" data-index="${i}" value="${+v.min.toFixed(2)}" title="Min">
+                <input type="number" class="opt-max" data-index="${i}" value="${+v.max.toFixed(2)}" title="Max">
+            </div>
+        `).join('');
+    vars.querySelectorAll('.opt-min, .opt-max').forEach(inp => {
+        inp.addEventListener('input', (e) => {
+            const v = optimizer.variables[e.target.dataset.index];
+            const value = parseFloat(e.target.value);
+            if (v && !isNaN(value)) v[e.target.classList.contains('opt-min') ? 'min' : 'max'] = value;
+        });
+    });
+
+    // Solves
+    const solves = document.getElementById('opt-solves');
+    solves.innerHTML = optimizer.solves.map((sv, i) => `
+        <div class="opt-row">
+            <span>${Optimizer.QUANTITIES[sv.quantity]} = ${sv.value} by ${label(sv)}${sv.solved === false ? ' (unsolved)' : ''}</span>
+            <button class="opt-remove-solve" data-index="${i}">x</button>
+        </div>
+    `).join('');
+    solves.querySelectorAll('.opt-remove-solve').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            optimizer.solves.splice(parseInt(e.target.dataset.index), 1);
+            renderOptimizerPanel();
+            update();
+        });
+    });
+
+    // Parameters a solve can adjust
+    const paramSelect = document.getElementById('solve-param');
+    paramSelect.innerHTML = system.lenses.flatMap((l, index) => {
+        const params = l.type === 'lens' ? ['f', 'z'] : ((l.type === 'surface' || l.type === 'mirror') ? ['R', 'z'] : ['z']);
+        return params.map(p => `<option value="${l.id}:${p}">${elementLabel(index)} ${p}</option>`);
+    }).join('');
+}
+
+function setupOptimizerUI() {
+    // Target rows, one per quantity
+    const targets = document.getElementById('opt-targets');
+    targets.innerHTML = '<tr><th></th><th>Target</th><th>Value</th><th>Weight</th></tr>' +
+        Object.entries(Optimizer.QUANTITIES).map(([key, name]) => `
+            <tr>
+                <td><input type="checkbox" class="opt-target-on" data-quantity="${key}"></td>
+                <td>${name}</td>
+                <td><input type="number" class="opt-target-value" data-quantity="${key}" value="${key === 'mag' ? -1 : 100}"></td>
+                <td><input type="number" class="opt-target-weight" data-quantity="${key}" min="0" step="0.1" value="1"></td>
+            </tr>
+        `).join('');
+
+    document.getElementById('solve-quantity').innerHTML = Object.entries(Optimizer.QUANTITIES)
+        .map(([key, name]) => `<option value="${key}">${name}</option>`).join('');
+
+    document.getElementById('add-solve-btn').addEventListener('click', () => {
+        const [id, param] = document.getElementById('solve-param').value.split(':');
+        const value = parseFloat(document.getElementById('solve-value').value);
+        if (!id || isNaN(value)) return;
+
+        // A solved parameter cannot be a variable at the same time
+        optimizer.variables = optimizer.variables.filter(v => !(v.id === id && v.param === param));
+        optimizer.solves.push({ quantity: document.getElementById('solve-quantity').value, value, id, param });
+        renderLensList();
+        update();
+    });
+
+    document.getElementById('optimize-btn').addEventListener('click', () => {
+        if (state.optimizing) {
+            stopOptimizer('Stopped');
+        } else {
+            startOptimizer();
+        }
+    });
+}
+
+function readTargets() {
+    const targets = [];
+    document.querySelectorAll('.opt-target-on').forEach(box => {
+        if (!box.checked) return;
+        const q = box.dataset.quantity;
+        const value = parseFloat(document.querySelector(`.opt-target-value[data-quantity="${q}"]`).value);
+        const weight = parseFloat(document.querySelector(`.opt-target-weight[data-quantity="${q}"]`).value);
+        if (!isNaN(value) && weight > 0) targets.push({ quantity: q, value, weight });
+    });
+    return targets;
+}
+
+function startOptimizer() {
+    optimizer.targets = readTargets();
+    if (optimizer.variables.length === 0 || optimizer.targets.length === 0) {
+        document.getElementById('opt-status').textContent = 'Select at least one variable and one target.';
+        return;
+    }
+
+    state.optimizing = true;
+    optimizer.iteration = 0;
+    optimizer.damping = 1e-3;
+    document.getElementById('optimize-btn').textContent = 'Stop';
+
+    let merit = optimizer.merit(currentObjectZ());
+    const maxIterations = 100;
+
+    // One iteration per frame so the design can be watched converging
+    const frame = () => {
+        if (!state.optimizing) return;
+
+        const next = optimizer.step(currentObjectZ());
+        const converged = merit - next < 1e-12 * (1 + merit);
+        merit = next;
+
+        state.optimizerStatus = [`Optimizing... iteration ${optimizer.iteration}`, `Merit: ${merit.toExponential(3)}`];
+        updateLensInputs();
+        update();
+
+        if (converged || optimizer.iteration >= maxIterations) {
+            stopOptimizer(`${converged ? 'Converged' : 'Stopped'} after ${optimizer.iteration} iterations, merit ${merit.toExponential(3)}`);
+        } else {
+            requestAnimationFrame(frame);
+        }
+    };
+    requestAnimationFrame(frame);
+}
+
+function stopOptimizer(message) {
+    state.optimizing = false;
+    state.optimizerStatus = null;
+    document.getElementById('optimize-btn').textContent = 'Optimize';
+    document.getElementById('opt-status').textContent = message;
+    renderLensList();
+    update();
+    recordEdit();
+}
+
+function updateIntermediatePanel(images) {
+    document.getElementById('intermediate-results').style.display = images.length > 0 ? 'block' : 'none';
+    const kinds = { real: 'real', virtual: 'virtual', 'virtual-object': 'virtual object' };
+    const fmt = (v) => Math.abs(v) > 1e5 ? 'Inf' : v.toFixed(2);
+    document.getElementById('res-intermediate').innerHTML = images.map(image => {
+        const mag = (image.mag !== null && isFinite(image.mag)) ? `, m=${image.mag.toFixed(2)}` : '';
+        const note = image.kind === 'virtual-object' ? ` for ${elementLabel(image.next)}` : '';
+        return `<li>After ${elementLabel(image.index)}: z=${fmt(image.z)}${mag} (${kinds[image.kind]}${note})</li>`;
+    }).join('');
+}
+
+// --- Paraxial Trace Report ---
+
+// Columns of the report: header, value of a row and decimals
+const REPORT_COLUMNS = [
+    ['Element', r => elementLabel(r.index)],
+    ['z', r => r.z, 2],
+    ["n'", r => r.n, 4],
+    ['y', r => r.y, 3],
+    ["u'", r => r.u, 5],
+    ['ȳ', r => r.yc, 3],
+    ["ū'", r => r.uc, 5],
+    ['s', r => r.s, 2],
+    ["s'", r => r.sPrime, 2],
+    ['Image z', r => r.imageZ, 2],
+    ['m', r => r.mag, 4]
+];
+
+function formatReportValue(value, digits) {
+    if (typeof value === 'string') return value;
+    if (value === null || value === undefined || Number.isNaN(value)) return '--';
+    if (!isFinite(value) || Math.abs(value) > 1e5) return value > 0 ? 'Inf' : '-Inf';
+    return value.toFixed(digits);
+}
+
+// System summary printed above the table: [label, value] pairs
+function reportSummary(cardinal) {
+    const fmt = (v) => formatReportValue(v, 3);
+    const report = state.report;
+    const objZ = currentObjectZ();
+    const lines = [
+        ['Object z', fmt(objZ)],
+        [isFinite(objZ) ? 'Chief ray object height' : 'Chief ray field slope', fmt(report.field)],
+        ['Aperture stop', elementLabel(report.stopIndex)],
+        ['Lagrange invariant', report.lagrange.toPrecision(4)]
+    ];
+    if (cardinal && !cardinal.afocal) {
+        lines.push(
+            ['EFL', fmt(cardinal.efl)], ['BFL', fmt(cardinal.bfl)], ['FFL', fmt(cardinal.ffl)],
+            ['F', fmt(cardinal.F)], ["F'", fmt(cardinal.F_prime)],
+            ['H', fmt(cardinal.H)], ["H'", fmt(cardinal.H_prime)],
+            ['N', fmt(cardinal.N)], ["N'", fmt(cardinal.N_prime)]
+        );
+    } else if (cardinal) {
+        lines.push(['EFL', 'Inf (afocal)']);
+    }
+    return lines;
+}
+
+function updateReportPanel(cardinal) {
+    const table = document.getElementById('report-table');
+    const info = document.getElementById('report-info');
+    const report = state.report;
+    ['report-csv-btn', 'report-print-btn'].forEach(id => document.getElementById(id).disabled = !report);
+
+    if (!report) {
+        table.innerHTML = '<tr><td>--</td></tr>';
+        info.textContent = 'No report: place the object in front of the first element.';
+        return;
+    }
+
+    state.reportSummary = reportSummary(cardinal);
+    info.textContent = state.reportSummary.slice(0, 4).map(([label, value]) => `${label}: ${value}`).join(' | ');
+    table.innerHTML = `
+        <tr>${REPORT_COLUMNS.map(([name]) => `<th>${name}</th>`).join('')}</tr>
+        ${report.rows.map(row => `<tr>${REPORT_COLUMNS.map(([, value, digits]) =>
+            `<td>${formatReportValue(value(row), digits)}</td>`).join('')}</tr>`).join('')}
+    `;
+}
+
+// Save text (or a Blob) as a file through a temporary link
+function downloadFile(name, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function reportCSV() {
+    const quote = (v) => /[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+    const lines = state.reportSummary.map(([label, value]) => [label, value].map(quote).join(','));
+    lines.push('');
+    lines.push(REPORT_COLUMNS.map(([name]) => quote(name)).join(','));
+    for (const row of state.report.rows) {
+        lines.push(REPORT_COLUMNS.map(([, value, digits]) => quote(formatReportValue(value(row), digits + 2))).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Printable handout in a window of its own
+function printReport() {
+    const win = window.open('', '_blank');
+    if (!win) return;
+    const summary = state.reportSummary.map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('');
+    win.document.write(`<!DOCTYPE html>
+<html><head><title>Paraxial Trace Report</title>
+<style>
+    body { font-family: sans-serif; margin: 20px; }
+    table { border-collapse: collapse; margin-bottom: 16px; font-size: 12px; }
+    th, td { border: 1px solid #999; padding: 3px 6px; text-align: right; }
+    th { background: #eee; }
+</style></head><body>
+<h2>Paraxial Trace Report</h2>
+<table>${summary}</table>
+${document.getElementById('report-table').outerHTML}
+<p>y, u': marginal ray height and slope after each element; ȳ, ū': chief ray. s, s': object and image distances from the element along the light.</p>
+</body></html>`);
+    win.document.close();
+    win.focus();
+    win.print();
+}
+
+function setupReportUI() {
+    document.getElementById('report-csv-btn').addEventListener('click', () => {
+        if (state.report) downloadFile('paraxial-report.csv', reportCSV(), 'text/csv');
+    });
+    document.getElementById('report-print-btn').addEventListener('click', () => {
+        if (state.report) printReport();
+    });
+}
+
+// --- Measuring ---
+
+// The object and image points as drawn (the top of extended ones), for measuring
+function drawnPoints(imageInfo, shift, fieldImages) {
+    const xz = state.view === 'xz';
+    let object = null;
+    if (state.object.mode === 'point') {
+        object = { z: state.object.z, y: xz ? 0 : state.object.y };
+    } else if (state.object.mode === 'extended') {
+        const heights = fieldHeights();
+        object = { z: state.object.z, y: xz ? 0 : heights[heights.length - 1] };
+    }
+
+    let image = null;
+    if (fieldImages) {
+        const imaged = fieldImages.points.filter(p => isFinite(p.y));
+        if (imaged.length > 0) image = { z: fieldImages.z, y: imaged[imaged.length - 1].y };
+    } else if (imageInfo && !imageInfo.afocal && Math.abs(imageInfo.z) < 1e5 && state.object.mode !== 'beam') {
+        let y = (state.object.mode === 'point' && !xz && imageInfo.mag !== null && isFinite(imageInfo.mag))
+            ? state.object.y * imageInfo.mag
+            : 0;
+        if (shift) y += xz ? shift.x : shift.y;
+        image = { z: imageInfo.z, y };
+    }
+    return { object, image };
+}
+
+function measurementText(a, b) {
+    const lateral = state.view === 'xz' ? 'x' : 'y';
+    const m = Measurements.measure(a, b);
+    if (m.distance < 1e-9) return `z ${a.z.toFixed(2)}, ${lateral} ${a.y.toFixed(2)}`;
+    return `${m.distance.toFixed(2)} mm  Δz ${m.dz.toFixed(2)}  Δ${lateral} ${m.dy.toFixed(2)}  ${m.angle.toFixed(1)}°`;
+}
+
+// What an anchor is on, for the pinned list
+function anchorName(anchor) {
+    switch (anchor.kind) {
+        case 'element': {
+            const index = system.lenses.findIndex(l => l.id === anchor.id);
+            return index < 0 ? '?' : elementLabel(index);
+        }
+        case 'cardinal':
+            return Measurements.CARDINAL[anchor.key][1];
+        case 'object':
+            return 'Object';
+        case 'image':
+            return 'Image';
+        default:
+            return `(${anchor.z.toFixed(1)}, ${anchor.y.toFixed(1)})`;
+    }
+}
+
+// Pinned dimensions, the measurement being made and the snap target
+function drawMeasurements() {
+    const scene = state.measureScene;
+    for (const d of measurements.dimensions) {
+        const a = measurements.resolve(d.a, scene);
+        const b = measurements.resolve(d.b, scene);
+        if (a && b) renderer.drawMeasurement(a, b, measurementText(a, b), true);
+    }
+    if (state.measurement) {
+        const a = measurements.resolve(state.measurement.a, scene);
+        const b = measurements.resolve(state.measurement.b, scene);
+        if (a && b) renderer.drawMeasurement(a, b, measurementText(a, b));
+    }
+    if (state.measuring && state.snap) renderer.drawSnap(state.snap, state.snap.label);
+}
+
+function updateMeasureList() {
+    const list = document.getElementById('measure-list');
+    const scene = state.measureScene;
+    list.innerHTML = '';
+    measurements.dimensions.forEach((d, i) => {
+        const a = measurements.resolve(d.a, scene);
+        const b = measurements.resolve(d.b, scene);
+        const li = document.createElement('li');
+        const value = (a && b) ? measurementText(a, b) : '--';
+        li.innerHTML = `<span>${anchorName(d.a)} → ${anchorName(d.b)}: ${value}</span> <button title="Remove">x</button>`;
+        li.querySelector('button').addEventListener('click', () => {
+            measurements.dimensions.splice(i, 1);
+            update();
+        });
+        list.appendChild(li);
+    });
+    document.getElementById('measure-pin-btn').disabled = !state.measurement;
+    document.getElementById('measure-clear-btn').disabled = !state.measurement && measurements.dimensions.length === 0;
+}
+
+function setMeasuring(on) {
+    state.measuring = on;
+    state.snap = null;
+    if (!on) state.measurement = null;
+    canvas.style.cursor = on ? 'crosshair' : '';
+    document.getElementById('measure-btn').classList.toggle('active', on);
+    update();
+}
+
+function setupMeasureUI() {
+    document.getElementById('measure-btn').addEventListener('click', () => setMeasuring(!state.measuring));
+    document.getElementById('measure-pin-btn').addEventListener('click', () => {
+        if (!state.measurement) return;
+        measurements.pin(state.measurement.a, state.measurement.b);
+        state.measurement = null;
+        update();
+    });
+    document.getElementById('measure-clear-btn').addEventListener('click', () => {
+        measurements.dimensions = [];
+        state.measurement = null;
+        update();
+    });
+    // Esc drops the measurement being made, then leaves measure mode
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape' || !state.measuring) return;
+        if (state.measurement) {
+            state.measurement = null;
+            update();
+        } else {
+            setMeasuring(false);
+        }
+    });
+}
+
+// --- Diagram Export ---
+
+function exportSVG() {
+    const svg = new SvgContext(canvas.width, canvas.height);
+    renderer.renderTo(svg, canvas.width, canvas.height, state.scene);
+    downloadFile('optics-diagram.svg', svg.toString(), 'image/svg+xml');
+}
+
+// The diagram as on screen, redrawn `width` pixels wide: text and lines scale with it
+function exportPNG() {
+    const input = document.getElementById('png-width');
+    const width = Math.round(Math.min(8000, Math.max(200, parseFloat(input.value) || 2400)));
+    input.value = width;
+    const k = width / canvas.width;
+    const out = document.createElement('canvas');
+    out.width = width;
+    out.height = Math.round(canvas.height * k);
+    const ctx = out.getContext('2d');
+    ctx.scale(k, k);
+    renderer.renderTo(ctx, canvas.width, canvas.height, state.scene);
+    out.toBlob(blob => downloadFile('optics-diagram.png', blob, 'image/png'));
+}
+
+function setupDiagramUI() {
+    document.getElementById('diagram-theme').addEventListener('change', (e) => {
+        renderer.theme = e.target.value;
+        update(); // Ray colors come from the theme
+    });
+    document.getElementById('diagram-legend').addEventListener('change', (e) => {
+        state.legend = e.target.checked;
+        update();
+    });
+    document.getElementById('diagram-dimensions').addEventListener('change', (e) => {
+        state.dimensions = e.target.checked;
+        update();
+    });
+    document.getElementById('export-svg-btn').addEventListener('click', exportSVG);
+    document.getElementById('export-png-btn').addEventListener('click', exportPNG);
+}
+
+// --- Saving and Sharing ---
+
+function serializeSetup() {
+    settleMorph(); // Not the in-between values
+    return {
+        format: 'optics-lab-setup',
+        version: SETUP_VERSION,
+        system: system.toPrescription(),
+        object: { ...state.object },
+        rayCount: state.rayCount,
+        traceMode: state.traceMode,
+        view: state.view,
+        spectrum: state.spectrum,
+        spotZ: state.spotZ,
+        spotGrid: state.spotGrid,
+        measurements: measurements.serialize(),
+        // Pan relative to the canvas center, so it survives a different window size
+        viewport: {
+            scale: renderer.scale,
+            panX: renderer.offsetX - canvas.width / 2,
+            panY: renderer.offsetY - canvas.height / 2
+        }
+    };
+}
+
+// Load a setup (any version). Throws, leaving everything as it was, if the
+// system in it is invalid; unknown or malformed settings keep their current values.
+function applySetup(data) {
+    data = migrateSetup(data);
+    system.loadPrescription(data.system);
+    if (state.morph) {
+        cancelAnimationFrame(state.morph);
+        state.morph = null;
+    }
+    measurements.load(data.measurements);
+
+    const { object, ...settings } = readSetupSettings(data, state, Object.keys(SPECTRA));
+    Object.assign(state.object, object);
+    Object.assign(state, settings);
+    renderer.view = state.view;
+
+    // Undo snapshots have no viewport and leave the view where it is
+    if (data.viewport) {
+        const number = (value, current) => (typeof value === 'number' && isFinite(value)) ? value : current;
+        renderer.scale = number(data.viewport.scale, renderer.scale);
+        renderer.offsetX = canvas.width / 2 + number(data.viewport.panX, 0);
+        renderer.offsetY = canvas.height / 2 + number(data.viewport.panY, 0);
+    }
+
+    syncControls();
+    renderLensList();
+}
+
+// Set every sidebar input from the state (after loading a setup)
+function syncControls() {
+    const set = (id, value) => document.getElementById(id).value = value;
+    const o = state.object;
+    set('object-mode', o.mode);
+    set('object-z', o.z);
+    set('object-y', o.y);
+    set('object-angle', o.angle);
+    set('extended-z', o.z);
+    set('extended-height', o.height);
+    set('extended-fields', o.fields);
+    set('extended-shape', o.shape);
+    set('beam-z', o.z);
+    set('beam-w0', o.w0);
+    set('beam-wavelength', o.wavelength);
+    set('beam-scale', o.beamScale);
+    set('spectrum', state.spectrum);
+    set('trace-mode', state.traceMode);
+    set('view-plane', state.view);
+    set('ray-count', state.rayCount);
+    document.getElementById('ray-count-val').textContent = state.rayCount;
+    set('spot-grid', state.spotGrid);
+    document.getElementById('spot-auto').checked = state.spotZ === null;
+    if (state.spotZ !== null) set('spot-z', state.spotZ);
+    showObjectControls();
+}
+
+// The setup as URL-safe base64 of its JSON, and back
+function encodeSetup(data) {
+    const bytes = new TextEncoder().encode(JSON.stringify(data));
+    let binary = '';
+    bytes.forEach(b => binary += String.fromCharCode(b));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeSetup(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+function setSetupStatus(text) {
+    document.getElementById('setup-status').textContent = text;
+}
+
+// Load the setup in the link (#setup=...). Returns whether one was loaded.
+function loadSetupFromHash() {
+    const match = window.location.hash.match(/^#setup=(.+)$/);
+    if (!match) return false;
+    try {
+        applySetup(decodeSetup(match[1]));
+        setSetupStatus('Loaded the setup from the link.');
+        return true;
+    } catch (err) {
+        setSetupStatus(`Could not load the setup in the link: ${err.message}`);
+        return false;
+    }
+}
+
+function setupSetupUI() {
+    document.getElementById('save-setup-btn').addEventListener('click', () => {
+        downloadFile('optics-setup.json', JSON.stringify(serializeSetup(), null, 2) + '\n', 'application/json');
+    });
+
+    const fileInput = document.getElementById('setup-file');
+    document.getElementById('load-setup-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            applySetup(JSON.parse(text));
+            setSetupStatus(`Loaded ${file.name}.`);
+            update();
+            recordEdit();
+        }).catch(err => {
+            setSetupStatus(`Could not load ${file.name}: ${err.message}`);
+        });
+        fileInput.value = ''; // Allow loading the same file again
+    });
+
+    document.getElementById('share-setup-btn').addEventListener('click', () => {
+        history.replaceState(null, '', `#setup=${encodeSetup(serializeSetup())}`);
+        const url = window.location.href;
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url)
+                .then(() => setSetupStatus('Link copied to the clipboard.'))
+                .catch(() => setSetupStatus('Link is in the address bar.'));
+        } else {
+            setSetupStatus('Link is in the address bar.');
+        }
+    });
+
+    // Opening another shared link in this tab
+    window.addEventListener('hashchange', () => {
+        if (loadSetupFromHash()) {
+            update();
+            recordEdit();
+        }
+    });
+}
+
+// --- Undo and Redo ---
+
+// The setup without the viewport: zooming and panning are not edits. Element ids
+// are kept so optimizer variables and tolerances still apply after an undo.
+function editSnapshot() {
+    const setup = serializeSetup();
+    delete setup.viewport;
+    setup.system = system.toPrescription({ ids: true });
+    return JSON.stringify(setup);
+}
+
+// Make a step of whatever changed since the last one. Called once an edit is
+// complete (an input committed, a button clicked, a drag released); nothing is
+// recorded while a configuration morph or the optimizer is still changing values.
+function recordEdit() {
+    if (state.morph || state.optimizing) return;
+    if (undoHistory.record(editSnapshot())) updateHistoryButtons();
+}
+
+function restoreEdit(snapshot) {
+    applySetup(JSON.parse(snapshot));
+    update();
+    updateHistoryButtons();
+}
+
+function undo() {
+    if (state.optimizing) stopOptimizer('Stopped');
+    recordEdit(); // An edit still in progress becomes the step that is undone
+    const snapshot = undoHistory.undo();
+    if (snapshot) restoreEdit(snapshot);
+}
+
+function redo() {
+    if (state.optimizing) stopOptimizer('Stopped');
+    recordEdit(); // Editing after an undo starts a new branch, dropping the redo steps
+    const snapshot = undoHistory.redo();
+    if (snapshot) restoreEdit(snapshot);
+}
+
+function updateHistoryButtons() {
+    document.getElementById('undo-btn').disabled = !undoHistory.canUndo;
+    document.getElementById('redo-btn').disabled = !undoHistory.canRedo;
+}
+
+function setupHistoryUI() {
+    document.getElementById('undo-btn').addEventListener('click', undo);
+    document.getElementById('redo-btn').addEventListener('click', redo);
+
+    // Sidebar handlers run first; by the time these fire the edit is complete
+    const sidebar = document.querySelector('.sidebar');
+    sidebar.addEventListener('change', recordEdit);
+    sidebar.addEventListener('click', recordEdit);
+
+    // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y); Cmd on macOS. Text fields keep their own undo.
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        const target = e.target;
+        if (target.isContentEditable || (target.tagName === 'INPUT' && ['text', 'number', 'search'].includes(target.type))) return;
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) redo();
+        else undo();
+    });
+}
+
+// --- Presets ---
+
+// Settings a preset does not give are reset to these
+const PRESET_DEFAULTS = { traceMode: 'paraxial', view: 'yz', spectrum: 'mono', spotZ: null };
+
+function loadPreset(preset) {
+    const setup = preset.setup;
+    applySetup({ ...PRESET_DEFAULTS, ...setup, object: { ...state.object, ...setup.object } });
+    frameView();
+    update();
+    document.querySelectorAll('#preset-list button').forEach(b => b.classList.toggle('active', b.dataset.id === preset.id));
+    document.getElementById('preset-info').innerHTML = `<strong>${preset.name}.</strong> ${preset.description}`;
+}
+
+// Zoom and pan to the elements, the object and the image. Images far beyond the
+// elements (nearly collimated light) are left out rather than shrinking everything.
+function frameView() {
+    if (system.lenses.length === 0) return;
+    const objZ = currentObjectZ();
+    const zs = [];
+    let yMax = 0;
+    for (const l of system.lenses) {
+        zs.push(l.z, l.z + (l.length || 0));
+        yMax = Math.max(yMax, l.h);
+    }
+    const first = Math.min(...zs);
+    const last = Math.max(...zs);
+    const reach = Math.max(last - first, 200);
+
+    if (isFinite(objZ)) {
+        zs.push(objZ);
+        if (state.object.mode !== 'beam') yMax = Math.max(yMax, Math.abs(currentField()));
+    } else {
+        zs.push(first - 0.2 * reach); // Room for the incoming bundle
+    }
+    const image = state.object.mode === 'beam' ? null : system.calculateImage(objZ);
+    if (image && isFinite(image.z) && image.z > first - reach && image.z < last + reach) {
+        zs.push(image.z);
+        if (image.mag !== null && isFinite(objZ)) yMax = Math.max(yMax, Math.abs(image.mag * currentField()));
+    }
+    renderer.fit(Math.min(...zs), Math.max(...zs), yMax * 1.1);
+}
+
+function setupPresetUI() {
+    const list = document.getElementById('preset-list');
+    list.innerHTML = PresetGallery.presets.map(p =>
+        `<button data-id="${p.id}" title="${p.description}">${p.name}</button>`).join('');
+    list.addEventListener('click', (e) => {
+        const preset = PresetGallery.find(e.target.dataset.id);
+        if (preset) loadPreset(preset);
+    });
+}
+
+// --- Lens Catalog ---
+
+// Catalog lenses shown at once; narrow the search for the rest
+const CATALOG_ROWS = 40;
+
+function renderCatalogFilters() {
+    document.getElementById('catalog-type').innerHTML = '<option value="">All types</option>' +
+        LensCatalog.types.map(type => `<option value="${type}">${type}</option>`).join('');
+    document.getElementById('catalog-diameter').innerHTML = '<option value="">All diameters</option>' +
+        LensCatalog.diameters().map(d => `<option value="${d}">Ø ${d}</option>`).join('');
+}
+
+function renderCatalogTable() {
+    const diameter = parseFloat(document.getElementById('catalog-diameter').value);
+    const matches = LensCatalog.search(document.getElementById('catalog-search').value, {
+        type: document.getElementById('catalog-type').value,
+        diameter: isNaN(diameter) ? null : diameter
+    });
+    const rows = matches.slice(0, CATALOG_ROWS);
+    const table = document.getElementById('catalog-table');
+    table.innerHTML = `
+        <tr><th>Part</th><th>Type</th><th>f</th><th>Ø</th><th>Glass</th><th></th></tr>
+        ${rows.map(lens => `<tr>
+            <td>${lens.part}</td><td>${lens.type}</td><td>${lens.f}</td><td>${lens.diameter}</td>
+            <td>${lens.glass.join(' / ')}</td>
+            <td><button class="catalog-add" data-part="${lens.part}" title="Add after the last element">+</button></td>
+        </tr>`).join('')}
+        ${matches.length > rows.length ? `<tr><td colspan="6" class="hint">${matches.length - rows.length} more: refine the search</td></tr>` : ''}
+        ${matches.length === 0 ? '<tr><td colspan="6" class="hint">No matching lenses</td></tr>' : ''}
+    `;
+    table.querySelectorAll('.catalog-add').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const { newZ, dir } = nextPosition();
+            const reversed = document.getElementById('catalog-reverse').checked;
+            LensCatalog.insert(system, LensCatalog.find(btn.dataset.part), newZ, dir, reversed);
+            renderLensList();
+            update();
+        });
+    });
+}
+
+// One entry per physical part: catalog lenses by part number (marked when their
+// surfaces have been edited away from the catalog), everything else described
+// by its parameters. Identical entries are counted together.
+function billOfMaterials() {
+    const fmt = (v) => isFinite(v) ? +v.toFixed(2) : 'flat';
+    const items = [];
+    const seen = new Set();
+
+    system.lenses.forEach(lens => {
+        if (seen.has(lens)) return;
+        const members = lens.group ? system.lenses.filter(l => l.group === lens.group) : [lens];
+        members.forEach(l => seen.add(l));
+        const diameter = `Ø${fmt(2 * lens.h)}`;
+
+        let part = '';
+        let description;
+        const catalog = lens.part ? LensCatalog.find(lens.part) : null;
+        if (catalog) {
+            const stock = LensCatalog.isStock(catalog, members);
+            part = catalog.part;
+            description = `${catalog.type} f=${catalog.f} Ø${catalog.diameter} ${catalog.glass.join('/')}${stock ? '' : ' (modified)'}`;
+        } else if (lens.type === 'surface') {
+            const glass = members.slice(0, -1).map(l => l.glass || `n=${l.n.toFixed(4)}`).join('/');
+            description = members.length > 1
+                ? `Custom lens R=${members.map(l => fmt(l.R)).join('/')} ${glass} ${diameter}`
+                : `Surface R=${fmt(lens.R)} ${diameter}`;
+        } else if (lens.type === 'lens') {
+            description = `Thin lens f=${fmt(lens.f)} ${diameter}${lens.glass ? ` ${lens.glass}` : ''}`;
+        } else if (lens.type === 'mirror') {
+            description = `Mirror R=${fmt(lens.R)} ${diameter}${lens.hole > 0 ? ` hole Ø${fmt(2 * lens.hole)}` : ''}`;
+        } else if (lens.type === 'stop') {
+            description = `Iris ${diameter}`;
+        } else if (lens.type === 'plate') {
+            description = `Window t=${fmt(lens.length)} ${lens.glass || `n=${lens.n.toFixed(4)}`} ${diameter}`;
+        } else if (lens.type === 'prism') {
+            description = `Wedge prism ${fmt(lens.apex)}° t=${fmt(lens.length)} ${lens.glass || `n=${lens.n.toFixed(4)}`} ${diameter}`;
+        } else if (lens.type === 'grin') {
+            description = `GRIN rod n0=${lens.n} g=${lens.g} L=${fmt(lens.length)} ${diameter}`;
+        }
+
+        const elements = members.map(l => system.lenses.indexOf(l) + 1);
+        const existing = items.find(item => item.part === part && item.description === description);
+        if (existing) {
+            existing.qty++;
+            existing.elements.push(...elements);
+        } else {
+            items.push({ qty: 1, part, description, elements });
+        }
+    });
+    return items;
+}
+
+function updateBillOfMaterials() {
+    const items = billOfMaterials();
+    document.getElementById('bom-table').innerHTML = `
+        <tr><th>Qty</th><th>Part</th><th>Description</th><th>Elements</th></tr>
+        ${items.map(item => `<tr><td>${item.qty}</td><td>${item.part || 'custom'}</td><td>${item.description}</td><td>${item.elements.join(', ')}</td></tr>`).join('')}
+    `;
+}
+
+function bomCSV() {
+    const quote = (v) => /[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+    const lines = ['Qty,Part,Description,Elements'];
+    for (const item of billOfMaterials()) {
+        lines.push([String(item.qty), item.part || 'custom', item.description, item.elements.join(' ')].map(quote).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+function setupCatalogUI() {
+    renderCatalogFilters();
+    renderCatalogTable();
+    document.getElementById('catalog-search').addEventListener('input', renderCatalogTable);
+    document.getElementById('catalog-type').addEventListener('change', renderCatalogTable);
+    document.getElementById('catalog-diameter').addEventListener('change', renderCatalogTable);
+    document.getElementById('bom-csv-btn').addEventListener('click', () => {
+        downloadFile('bill-of-materials.csv', bomCSV(), 'text/csv');
+    });
+}
+
+// --- Extended Object ---
+
+// Field points of the extended object: where each one is imaged (the centroid of its
+// traced fan on the image plane) and how much light gets through (relative illumination).
+// Returns the image points to draw, or null.
+function updateFieldPanel(objZ, imageInfo) {
+    const extended = state.object.mode === 'extended';
+    document.getElementById('field-results').style.display = extended ? 'block' : 'none';
+    if (!extended || system.lenses.length === 0) return null;
+
+    const heights = fieldHeights();
+    const illumination = spotAnalysis.relativeIllumination(objZ, heights);
+    const imaged = imageInfo && !imageInfo.afocal && Math.abs(imageInfo.z) < 1e5;
+    const points = heights.map((y, k) => {
+        const hits = imaged
+            ? state.rays.filter(r => r.field === k && r.active).map(r => renderer.lateral(SpotAnalysis.landing(r, imageInfo.z)))
+            : [];
+        return {
+            object: y,
+            y: hits.length > 0 ? hits.reduce((a, b) => a + b, 0) / hits.length : NaN,
+            relative: illumination[k].relative,
+            color: fieldColor(k, heights.length)
+        };
+    });
+
+    const fmt = (v) => isFinite(v) ? v.toFixed(2) : '--';
+    document.getElementById('field-table').innerHTML = '<tr><th>Object y</th><th>Image y</th><th>Rel. Illum.</th></tr>' +
+        points.map(p => `<tr style="color: ${p.color}"><td>${fmt(p.object)}</td><td>${fmt(p.y)}</td><td>${(p.relative * 100).toFixed(0)}%</td></tr>`).join('');
+    Charts.drawLines(document.getElementById('ri-chart'), [{
+        points: points.map(p => ({ x: p.object, y: p.relative })),
+        color: '#ffd54f'
+    }]);
+
+    return imaged ? { z: imageInfo.z, points } : null;
 }
 
-// --- Core Logic ---
+// --- Configurations ---
 
-function update() {
-    // 1. Generate Rays
-    state.rays = generateRays();
-    
-    // 2. Trace Rays
-    state.rays.forEach(ray => system.traceRay(ray));
-    
-    // 3. Calculate Results
-    const results = system.calculateCardinalPoints();
-    const objZ = state.object.mode === 'infinity' ? -Infinity : state.object.z;
-    const imageInfo = system.calculateImage(objZ);
-    
-    // 4. Update UI Results
-    updateResultsPanel(results, imageInfo);
-    
-    // 5. Draw
-    draw(imageInfo);
+function configParamLabel(p) {
+    const index = system.lenses.findIndex(l => l.id === p.id);
+    return `${elementLabel(index)} ${p.param}`;
 }
 
-function generateRays() {
-    const rays = [];
-    const count = state.rayCount;
-    
-    // Find First Lens to target
-    if (system.lenses.length === 0) return [];
-    
-    const firstLens = system.lenses[0]; // Lenses are sorted in traceRay, but let's assume valid order here or sort
-    system.sortLenses();
-    
-    if (state.object.mode === 'point') {
-        const zObj = state.object.z;
-        const yObj = state.object.y;
-        
-        // Target the first lens aperture
-        // We want to fill the aperture [-h, h]
-        // Slope u = (y_lens - y_obj) / (z_lens - z_obj)
-        
-        const zDist = firstLens.z - zObj;
-        // Avoid division by zero if object is exactly at lens (unlikely)
-        if (Math.abs(zDist) < 1e-6) return [];
-        
-        const h = firstLens.h * 0.95; // 95% of aperture to avoid edge issues
-        const uMin = (-h - yObj) / zDist;
-        const uMax = (h - yObj) / zDist;
-        
-        for (let i = 0; i < count; i++) {
-            const t = count > 1 ? i / (count - 1) : 0.5;
-            const u = uMin + (uMax - uMin) * t;
-            rays.push(new Ray(zObj, yObj, u));
-        }
-        
-    } else {
-        // Infinity Mode
-        // Parallel rays
-        const angleRad = state.object.angle * (Math.PI / 180);
-        const u = Math.tan(angleRad);
-        
-        // Start rays from left of the screen or left of first lens
-        const startZ = firstLens.z - 200; // Arbitrary start
-        
-        const h = firstLens.h * 0.95;
-        for (let i = 0; i < count; i++) {
-            const t = count > 1 ? i / (count - 1) : 0.5;
-            const y = -h + (2 * h) * t;
-            // Adjust y so that at the lens plane it hits the target y
-            // y_lens = y_start + u * (z_lens - z_start)
-            // We want y_lens to be uniformly distributed
-            // So y_start = y_lens - u * dist
-            const targetY = -h + (2 * h) * t;
-            const startY = targetY - u * (firstLens.z - startZ);
-            
-            rays.push(new Ray(startZ, startY, u));
-        }
+function renderConfigPanel() {
+    const configs = system.configurations;
+
+    // One tab per configuration, and a button removing the active one
+    const tabs = document.getElementById('config-tabs');
+    tabs.innerHTML = configs.length === 0
+        ? '<p class="hint">Single configuration. Add one to compare zoom positions.</p>'
+        : configs.map((c, i) => `<button class="config-tab ${i === system.activeConfiguration ? 'active' : ''}" data-index="${i}">${c.name}</button>`).join('') +
+          '<button id="remove-config-btn" title="Remove the active configuration">x</button>';
+    tabs.querySelectorAll('.config-tab').forEach(btn => {
+        btn.addEventListener('click', (e) => switchConfiguration(parseInt(e.target.dataset.index)));
+    });
+    const remove = document.getElementById('remove-config-btn');
+    if (remove) {
+        remove.addEventListener('click', () => {
+            system.removeConfiguration(system.activeConfiguration);
+            renderLensList();
+            update();
+        });
     }
-    
-    return rays;
+
+    // Value of each configured parameter in each configuration; the active one is
+    // read from the elements, which hold edits not yet stored in it
+    const params = document.getElementById('config-params');
+    const current = system.currentConfigValues();
+    params.innerHTML = system.configParams.length === 0
+        ? ''
+        : `<tr><th></th>${configs.map(c => `<th>${c.name}</th>`).join('')}<th></th></tr>` +
+          system.configParams.map((p, i) => `
+            <tr>
+                <td>${configParamLabel(p)}</td>
+                ${configs.map((c, k) => `<td><input type="number" class="config-value" data-config="${k}" data-index="${i}" value="${+(k === system.activeConfiguration ? current[i] : c.values[i]).toFixed(3)}"></td>`).join('')}
+                <td><button class="config-remove-param" data-index="${i}">x</button></td>
+            </tr>
+        `).join('');
+    params.querySelectorAll('.config-value').forEach(inp => {
+        inp.addEventListener('input', (e) => {
+            const k = parseInt(e.target.dataset.config);
+            const i = parseInt(e.target.dataset.index);
+            const value = parseFloat(e.target.value);
+            if (isNaN(value) || (system.configParams[i].param === 'f' && value === 0)) return;
+            if (k === system.activeConfiguration) system.storeConfiguration(); // Keep edits made to the elements
+            system.configurations[k].values[i] = value;
+            if (k === system.activeConfiguration) {
+                system.applyConfigValues(system.configurations[k].values);
+                updateLensInputs();
+            }
+            update();
+        });
+    });
+    params.querySelectorAll('.config-remove-param').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            system.removeConfigParam(parseInt(e.target.dataset.index));
+            renderConfigPanel();
+            update();
+        });
+    });
+
+    // Parameters that can vary between configurations
+    document.getElementById('config-param').innerHTML = system.lenses.flatMap((l, index) => {
+        const names = l.type === 'lens' ? ['z', 'f'] : ['z'];
+        return names
+            .filter(param => !system.configParams.some(p => p.id === l.id && p.param === param))
+            .map(param => `<option value="${l.id}:${param}">${elementLabel(index)} ${param}</option>`);
+    }).join('');
 }
 
-function draw(imageInfo) {
-    renderer.draw(); // Grid, Axis, Lenses, Principal Planes
-    renderer.drawRays(state.rays);
-    
-    if (state.object.mode === 'point') {
-        renderer.drawObjectPoint(state.object.z, state.object.y);
+// EFL, BFL and image position in every configuration
+function updateConfigTable(objZ) {
+    const table = document.getElementById('config-table');
+    if (system.configurations.length === 0) {
+        table.innerHTML = '';
+        return;
     }
-    
-    if (imageInfo && Math.abs(imageInfo.z) < 1e5) {
-        // Calculate image Y
-        const imgY = (state.object.mode === 'point' && imageInfo.mag !== null && isFinite(imageInfo.mag))
-            ? state.object.y * imageInfo.mag
-            : 0;
+    const fmt = (v) => (isFinite(v) && Math.abs(v) < 1e5) ? v.toFixed(2) : 'Inf';
+    table.innerHTML = '<tr><th>Config</th><th>EFL</th><th>BFL</th><th>Image Z</th></tr>' +
+        system.configurations.map((c, k) => system.withConfiguration(k, () => {
+            const points = system.calculateCardinalPoints();
+            const image = system.calculateImage(objZ);
+            return `<tr class="${k === system.activeConfiguration ? 'active' : ''}"><td>${c.name}</td>` +
+                `<td>${points ? fmt(points.efl) : '--'}</td><td>${points ? fmt(points.bfl) : '--'}</td>` +
+                `<td>${image ? fmt(image.z) : '--'}</td></tr>`;
+        })).join('');
+}
 
-        renderer.drawImagePoint(imageInfo.z, imageInfo.mag, imgY);
+// Switch configurations, morphing the elements between them on the canvas
+function switchConfiguration(index) {
+    const from = system.activeConfiguration;
+    if (state.morph) {
+        cancelAnimationFrame(state.morph);
+        state.morph = null;
+        system.applyConfigValues(system.configurations[from].values);
     }
-}
+    system.setConfiguration(index);
 
-function updateResultsPanel(results, imageInfo) {
-    if (!results) return;
-    
-    const set = (id, val) => document.getElementById(id).textContent = val;
-    const fmt = (n) => n.toFixed(2);
-    
-    set('res-efl', fmt(results.efl));
-    set('res-bfl', fmt(results.bfl));
-    
-    set('res-mag', (imageInfo && imageInfo.mag !== null) ? fmt(imageInfo.mag) : 'N/A');
-    set('res-img-z', imageInfo ? (Math.abs(imageInfo.z) > 10000 ? 'Inf' : fmt(imageInfo.z)) : '--');
-    
-    const ppList = document.getElementById('res-pp');
-    ppList.innerHTML = `
-        <li>H: ${fmt(results.H)}</li>
-        <li>H': ${fmt(results.H_prime)}</li>
-    `;
+    const finish = () => {
+        state.morph = null;
+        renderLensList();
+        update();
+        recordEdit();
+    };
+    if (index === from || !document.getElementById('config-animate').checked) return finish();
+
+    const duration = 800; // ms
+    let start = null;
+    const frame = (now) => {
+        if (start === null) start = now;
+        const t = Math.min(1, (now - start) / duration);
+        const eased = t * t * (3 - 2 * t);
+        system.applyConfigValues(system.interpolateConfigurations(from, index, eased));
+        updateLensInputs();
+        update();
+
+        if (t < 1) {
+            state.morph = requestAnimationFrame(frame);
+        } else {
+            system.applyConfigValues(system.configurations[index].values);
+            finish();
+        }
+    };
+    state.morph = requestAnimationFrame(frame);
 }
 
-// --- UI Interaction ---
+// End a running morph at once, in the configuration it was heading for
+function settleMorph() {
+    if (!state.morph) return;
+    cancelAnimationFrame(state.morph);
+    state.morph = null;
+    system.applyConfigValues(system.configurations[system.activeConfiguration].values);
+    renderLensList();
+    update();
+    recordEdit();
+}
 
-function setupUI() {
-    // Object Controls
-    document.getElementById('object-mode').addEventListener('change', (e) => {
-        state.object.mode = e.target.value;
-        document.getElementById('point-controls').style.display = state.object.mode === 'point' ? 'block' : 'none';
-        document.getElementById('infinity-controls').style.display = state.object.mode === 'infinity' ? 'block' : 'none';
+function setupConfigUI() {
+    document.getElementById('add-config-btn').addEventListener('click', () => {
+        system.addConfiguration();
+        renderConfigPanel();
         update();
     });
-    
-    document.getElementById('object-z').addEventListener('input', (e) => {
-        state.object.z = parseFloat(e.target.value);
-        update();
+
+    document.getElementById('add-config-param-btn').addEventListener('click', () => {
+        const [id, param] = document.getElementById('config-param').value.split(':');
+        if (!id) return;
+        system.addConfigParam(id, param);
+        renderConfigPanel();
     });
-    document.getElementById('object-y').addEventListener('input', (e) => {
-        state.object.y = parseFloat(e.target.value);
-        update();
+}
+
+// --- Tolerancing ---
+
+function renderTolerancePanel() {
+    const table = document.getElementById('tol-table');
+    table.innerHTML = '<tr><th>Element</th><th>Power</th><th>Position</th><th>Decenter</th></tr>' +
+        system.lenses.map((l, index) => {
+            const tol = tolerancing.tolerance(l);
+            const input = (key) => `<input type="number" class="tol-input" data-id="${l.id}" data-key="${key}" min="0" step="0.1" value="${tol[key]}">`;
+            const power = tolerancing.powerParam(l);
+            // The first surface of a lens places the whole lens; the others set its thicknesses
+            const thickness = tolerancing.groupOf(l).indexOf(l) > 0;
+            return `<tr><td>${elementLabel(index)}</td><td>${power ? `${power} ${input('power')}` : ''}</td>` +
+                `<td>${thickness ? `t ${input('thickness')}` : `z ${input('z')}`}</td><td>${input('decenter')}</td></tr>`;
+        }).join('');
+
+    table.querySelectorAll('.tol-input').forEach(inp => {
+        inp.addEventListener('input', (e) => {
+            const l = system.lenses.find(l => l.id === e.target.dataset.id);
+            const value = parseFloat(e.target.value);
+            if (l && value >= 0) tolerancing.tolerance(l)[e.target.dataset.key] = value;
+        });
     });
-    document.getElementById('object-angle').addEventListener('input', (e) => {
-        state.object.angle = parseFloat(e.target.value);
-        update();
+}
+
+function runTolerancing() {
+    const trials = Math.max(1, parseInt(document.getElementById('tol-trials').value) || 500);
+    const specs = {};
+    ['imageZ', 'mag', 'efl', 'shift'].forEach(key => {
+        specs[key] = parseFloat(document.getElementById(`spec-${key}`).value);
     });
-    
-    // Ray Count
-    const raySlider = document.getElementById('ray-count');
-    raySlider.addEventListener('input', (e) => {
-        state.rayCount = parseInt(e.target.value);
-        document.getElementById('ray-count-val').textContent = state.rayCount;
-        update();
+
+    tolerancing.seed = 1;
+    const result = tolerancing.run(currentObjectZ(), trials, specs);
+    document.getElementById('tol-results').style.display = 'block';
+    document.getElementById('tol-yield').textContent = `${(result.yield * 100).toFixed(1)}% of ${trials}`;
+
+    const names = { imageZ: 'Image Z', mag: 'Mag', efl: 'EFL', shift: 'Decenter' };
+    const fmt = (v) => isFinite(v) ? v.toPrecision(5) : '--';
+    document.getElementById('tol-stats').innerHTML = '<tr><th></th><th>Nominal</th><th>Mean</th><th>Std</th></tr>' +
+        Object.keys(names).map(key => {
+            const st = result.stats[key];
+            return `<tr><td>${names[key]}</td><td>${fmt(result.nominal[key])}</td><td>${fmt(st.mean)}</td><td>${fmt(st.std)}</td></tr>`;
+        }).join('');
+
+    ['imageZ', 'mag', 'efl'].forEach(key => {
+        const nominal = result.nominal[key];
+        Charts.drawHistogram(document.getElementById(`tol-hist-${key}`), result.samples[key], {
+            nominal,
+            lo: specs[key] > 0 ? nominal - specs[key] : NaN,
+            hi: specs[key] > 0 ? nominal + specs[key] : NaN
+        });
     });
-    
-    // Lens Controls
-    document.getElementById('add-lens-btn').addEventListener('click', () => {
-        if (system.lenses.length >= 5) return alert("Max 5 lenses");
-        const lastLens = system.lenses[system.lenses.length - 1];
-        const newZ = lastLens ? lastLens.z + 50 : 0;
-        system.addLens(100, newZ);
-        renderLensList();
-        update();
+
+    const paramNames = { f: 'f', R: 'R', g: 'g', z: 'z', thickness: 't', decenterY: 'decenter' };
+    const specified = Object.keys(specs).filter(key => specs[key] > 0);
+    const ratio = (item, key) => item.deltas[key] / specs[key];
+    const ranking = result.sensitivity.slice(0, 8).map(item => {
+        const index = system.lenses.indexOf(item.element);
+        const worst = specified.filter(key => key in item.deltas).reduce((a, b) =>
+            a === null || ratio(item, b) > ratio(item, a) ? b : a, null);
+        if (worst === null) return `<li>${elementLabel(index)} ${paramNames[item.param]} ±${item.tol}: --</li>`;
+        return `<li>${elementLabel(index)} ${paramNames[item.param]} ±${item.tol}: Δ${names[worst]} ${fmt(item.deltas[worst])} (${(item.score * 100).toFixed(0)}% of spec)</li>`;
     });
+    document.getElementById('tol-sensitivity').innerHTML = specified.length === 0
+        ? '<li>Set a spec to rank the parameters.</li>'
+        : ranking.join('');
 }
 
 function renderLensList() {
@@ -199,11 +1857,62 @@ function renderLensList() {
     system.lenses.forEach((lens, index) => {
         const item = document.createElement('div');
         item.className = 'lens-item';
-        item.innerHTML = `
-            <h4>Lens ${index + 1} <button class="remove-lens" data-id="${lens.id}">x</button></h4>
-            <label>f: <input type="number" class="lens-f" data-id="${lens.id}" value="${lens.f}"></label>
-            <label>z: <input type="number" class="lens-z" data-id="${lens.id}" value="${lens.z}"></label>
-        `;
+        if (lens.type === 'surface') {
+            item.innerHTML = `
+                <h4>Surface ${index + 1}${lens.part ? ` <span class="part">${lens.part}</span>` : ''} <button class="remove-lens" data-id="${lens.id}">x</button></h4>
+                <label class="with-vary">R: <input type="number" class="lens-r" data-id="${lens.id}" value="${+lens.R.toFixed(3)}"> ${varyBox(lens, 'R')}</label>
+                ${glassSelect(lens)}
+                <label>n after: <input type="number" class="lens-n" data-id="${lens.id}" step="0.01" value="${lens.n.toFixed(4)}" ${lens.glass ? 'disabled' : ''}></label>
+                <label class="with-vary">z: <input type="number" class="lens-z" data-id="${lens.id}" value="${+lens.z.toFixed(3)}"> ${varyBox(lens, 'z')}</label>
+                <label>t: <input type="number" class="lens-t" data-id="${lens.id}" step="0.5" value="${system.thicknessAfter(lens).toFixed(1)}"></label>
+                <label>Semi-aperture: <input type="number" class="lens-h" data-id="${lens.id}" min="0" value="${lens.h}"></label>
+                ${alignmentInputs(lens)}
+            `;
+        } else if (lens.type === 'mirror') {
+            item.innerHTML = `
+                <h4>Mirror ${index + 1} <button class="remove-lens" data-id="${lens.id}">x</button></h4>
+                <label class="with-vary">R: <input type="number" class="lens-r" data-id="${lens.id}" value="${+lens.R.toFixed(3)}"> ${varyBox(lens, 'R')}</label>
+                <label class="with-vary">z: <input type="number" class="lens-z" data-id="${lens.id}" value="${+lens.z.toFixed(3)}"> ${varyBox(lens, 'z')}</label>
+                <label>t: <input type="number" class="lens-t" data-id="${lens.id}" step="0.5" value="${system.thicknessAfter(lens).toFixed(1)}"></label>
+                <label>Semi-aperture: <input type="number" class="lens-h" data-id="${lens.id}" min="0" value="${lens.h}"></label>
+                <label>Hole radius: <input type="number" class="lens-hole" data-id="${lens.id}" min="0" value="${lens.hole}"></label>
+                ${alignmentInputs(lens)}
+            `;
+        } else if (lens instanceof Block) {
+            const names = { plate: 'Plate', prism: 'Prism', grin: 'GRIN Rod' };
+            const material = lens.type === 'grin'
+                ? `<label>n0 (axis): <input type="number" class="lens-n" data-id="${lens.id}" step="0.01" value="${lens.n.toFixed(4)}"></label>
+                <label>g [1/mm]: <input type="number" class="lens-g" data-id="${lens.id}" step="0.005" value="${lens.g}"></label>
+                <label>Pitch: <span class="lens-pitch" data-id="${lens.id}">${(lens.length / lens.pitch).toFixed(3)}</span></label>`
+                : `${glassSelect(lens)}
+                <label>n: <input type="number" class="lens-n" data-id="${lens.id}" step="0.01" value="${lens.n.toFixed(4)}" ${lens.glass ? 'disabled' : ''}></label>`;
+            item.innerHTML = `
+                <h4>${names[lens.type]} ${index + 1} <button class="remove-lens" data-id="${lens.id}">x</button></h4>
+                ${lens.type === 'prism' ? `<label>Apex [°]: <input type="number" class="lens-apex" data-id="${lens.id}" step="0.5" value="${lens.apex}"></label>` : ''}
+                ${material}
+                <label>Length: <input type="number" class="lens-length" data-id="${lens.id}" min="0" step="0.5" value="${+lens.length.toFixed(3)}"></label>
+                <label class="with-vary">z: <input type="number" class="lens-z" data-id="${lens.id}" value="${+lens.z.toFixed(3)}"> ${varyBox(lens, 'z')}</label>
+                <label>Semi-aperture: <input type="number" class="lens-h" data-id="${lens.id}" min="0" value="${lens.h}"></label>
+                ${alignmentInputs(lens)}
+            `;
+        } else if (lens.type === 'stop') {
+            item.innerHTML = `
+                <h4>Stop ${index + 1} <button class="remove-lens" data-id="${lens.id}">x</button></h4>
+                <label class="with-vary">z: <input type="number" class="lens-z" data-id="${lens.id}" value="${+lens.z.toFixed(3)}"> ${varyBox(lens, 'z')}</label>
+                <label>Semi-aperture: <input type="number" class="lens-h" data-id="${lens.id}" min="0" value="${lens.h}"></label>
+                ${alignmentInputs(lens)}
+            `;
+        } else {
+            item.innerHTML = `
+                <h4>Lens ${index + 1} <button class="remove-lens" data-id="${lens.id}">x</button></h4>
+                <label class="with-vary">f (d-line): <input type="number" class="lens-f" data-id="${lens.id}" value="${+lens.f.toFixed(3)}"> ${varyBox(lens, 'f')}</label>
+                ${glassSelect(lens)}
+                <label>Bending X: <input type="number" class="lens-shape" data-id="${lens.id}" step="0.1" value="${lens.shape}"></label>
+                <label class="with-vary">z: <input type="number" class="lens-z" data-id="${lens.id}" value="${+lens.z.toFixed(3)}"> ${varyBox(lens, 'z')}</label>
+                <label>Semi-aperture: <input type="number" class="lens-h" data-id="${lens.id}" min="0" value="${lens.h}"></label>
+                ${alignmentInputs(lens)}
+            `;
+        }
         list.appendChild(item);
     });
     
@@ -226,16 +1935,163 @@ function renderLensList() {
         });
     });
     
+    list.querySelectorAll('.lens-vary').forEach(box => {
+        box.addEventListener('change', (e) => {
+            const { id, param } = e.target.dataset;
+            optimizer.variables = optimizer.variables.filter(v => !(v.id === id && v.param === param));
+            if (e.target.checked) {
+                const l = system.lenses.find(l => l.id === id);
+                // Default bounds: focal lengths keep their sign, positions stay nearby
+                const value = l[param];
+                // A flat surface (R = Inf) would give infinite bounds and steps
+                if (!isFinite(value)) {
+                    e.target.checked = false;
+                    document.getElementById('opt-status').textContent = `${param} is infinite: give it a finite value to vary it.`;
+                    return;
+                }
+                const span = Math.max(100, Math.abs(value));
+                const bounds = param === 'z'
+                    ? { min: value - 500, max: value + 500 }
+                    : (value > 0 ? { min: 1, max: value + 10 * span } : { min: value - 10 * span, max: -1 });
+                optimizer.variables.push({ id, param, ...bounds });
+            }
+            renderOptimizerPanel();
+        });
+    });
+
+    list.querySelectorAll('.lens-glass').forEach(sel => {
+        sel.addEventListener('change', (e) => {
+            const l = system.lenses.find(l => l.id === e.target.dataset.id);
+            if (!l) return;
+            if (l.setGlass) {
+                l.setGlass(e.target.value);
+            } else {
+                l.glass = e.target.value || null;
+            }
+            renderLensList();
+            update();
+        });
+    });
+
+    list.querySelectorAll('.lens-shape').forEach(inp => {
+        inp.addEventListener('input', (e) => {
+            const l = system.lenses.find(l => l.id === e.target.dataset.id);
+            const shape = parseFloat(e.target.value);
+            if (l && !isNaN(shape)) {
+                l.shape = shape;
+                update();
+            }
+        });
+    });
+
+    list.querySelectorAll('.lens-h').forEach(inp => {
+        inp.addEventListener('input', (e) => {
+            const l = system.lenses.find(l => l.id === e.target.dataset.id);
+            const h = parseFloat(e.target.value);
+            if (l && h > 0) {
+                l.h = h;
+                update();
+            }
+        });
+    });
+
+    list.querySelectorAll('.lens-hole').forEach(inp => {
+        inp.addEventListener('input', (e) => {
+            const l = system.lenses.find(l => l.id === e.target.dataset.id);
+            const hole = parseFloat(e.target.value);
+            if (l && hole >= 0 && hole < l.h) {
+                l.hole = hole;
+                update();
+            }
+        });
+    });
+
+    // Plates, prisms and GRIN rods
+    const bindNumber = (cls, apply) => list.querySelectorAll(cls).forEach(inp => {
+        inp.addEventListener('input', (e) => {
+            const l = system.lenses.find(l => l.id === e.target.dataset.id);
+            const value = parseFloat(e.target.value);
+            if (l && !isNaN(value) && apply(l, value) !== false) update();
+        });
+    });
+    bindNumber('.lens-apex', (l, apex) => { l.apex = apex; });
+    bindNumber('.lens-length', (l, length) => {
+        if (length <= 0) return false;
+        l.length = length;
+        updatePitch(l);
+    });
+    bindNumber('.lens-g', (l, g) => {
+        if (g <= 0) return false;
+        l.g = g;
+        updatePitch(l);
+    });
+
+    list.querySelectorAll('.lens-align').forEach(inp => {
+        inp.addEventListener('input', (e) => {
+            const l = system.lenses.find(l => l.id === e.target.dataset.id);
+            const value = parseFloat(e.target.value);
+            if (l && !isNaN(value)) {
+                l[e.target.dataset.param] = value;
+                update();
+            }
+        });
+    });
+
+    list.querySelectorAll('.lens-r').forEach(inp => {
+        inp.addEventListener('input', (e) => {
+            const l = system.lenses.find(l => l.id === e.target.dataset.id);
+            if (l) {
+                // Empty or 0 means a flat surface
+                const R = parseFloat(e.target.value);
+                l.R = (isNaN(R) || R === 0) ? Infinity : R;
+                update();
+            }
+        });
+    });
+
+    list.querySelectorAll('.lens-n').forEach(inp => {
+        inp.addEventListener('input', (e) => {
+            const l = system.lenses.find(l => l.id === e.target.dataset.id);
+            const n = parseFloat(e.target.value);
+            if (l && n > 0) {
+                l.n = n;
+                update();
+            }
+        });
+    });
+
+    list.querySelectorAll('.lens-t').forEach(inp => {
+        inp.addEventListener('input', (e) => {
+            const l = system.lenses.find(l => l.id === e.target.dataset.id);
+            const t = parseFloat(e.target.value);
+            if (l && t >= 0) {
+                system.setThicknessAfter(l, t);
+                updateLensInputs();
+                update();
+            }
+        });
+    });
+
     list.querySelectorAll('.lens-z').forEach(inp => {
         inp.addEventListener('input', (e) => {
             const l = system.lenses.find(l => l.id === e.target.dataset.id);
             if (l) {
                 l.z = parseFloat(e.target.value);
                 system.sortLenses(); // Order might change
+                updateLensInputs();
                 update();
             }
         });
     });
+
+    renderOptimizerPanel();
+    renderTolerancePanel();
+    renderConfigPanel();
+}
+
+function updatePitch(rod) {
+    const span = document.querySelector(`.lens-pitch[data-id="${rod.id}"]`);
+    if (span) span.textContent = (rod.length / rod.pitch).toFixed(3);
 }
 
 function updateLensInputs() {
@@ -244,17 +2100,50 @@ function updateLensInputs() {
     const inputsZ = document.querySelectorAll('.lens-z');
     
     // This is a bit inefficient (searching all), but N is small
+    // (f and R change through the optimizer and solves)
+    inputsF.forEach(inp => {
+        const l = system.lenses.find(l => l.id === inp.dataset.id);
+        if (l && document.activeElement !== inp) {
+            inp.value = +l.f.toFixed(3);
+        }
+    });
+
+    document.querySelectorAll('.lens-r').forEach(inp => {
+        const l = system.lenses.find(l => l.id === inp.dataset.id);
+        if (l && document.activeElement !== inp) {
+            inp.value = +l.R.toFixed(3);
+        }
+    });
+
     inputsZ.forEach(inp => {
         const l = system.lenses.find(l => l.id === inp.dataset.id);
         if (l && document.activeElement !== inp) {
             inp.value = l.z.toFixed(1);
         }
     });
+
+    document.querySelectorAll('.lens-t').forEach(inp => {
+        const l = system.lenses.find(l => l.id === inp.dataset.id);
+        if (l && document.activeElement !== inp) {
+            inp.value = system.thicknessAfter(l).toFixed(1);
+        }
+    });
+    
+    // The active configuration follows the elements
+    const values = system.currentConfigValues();
+    document.querySelectorAll(`.config-value[data-config="${system.activeConfiguration}"]`).forEach(inp => {
+        const value = values[inp.dataset.index];
+        if (document.activeElement !== inp && isFinite(value)) inp.value = +value.toFixed(3);
+    });
     
     // Update Object inputs too
     const objZ = document.getElementById('object-z');
     const objY = document.getElementById('object-y');
+    const beamZ = document.getElementById('beam-z');
+    const extendedZ = document.getElementById('extended-z');
     if (document.activeElement !== objZ) objZ.value = state.object.z.toFixed(1);
+    if (document.activeElement !== beamZ) beamZ.value = state.object.z.toFixed(1);
+    if (document.activeElement !== extendedZ) extendedZ.value = state.object.z.toFixed(1);
     if (document.activeElement !== objY) objY.value = state.object.y.toFixed(1);
 }
 
@@ -262,20 +2151,36 @@ function updateLensInputs() {
 
 function setupCanvasInteractions() {
     let isDragging = false;
-    let dragTarget = null; // { type: 'lens'|'object', obj: reference }
+    let dragTarget = null; // { type: 'lens'|'object'|'view'|'measure', obj: reference }
     let lastMouse = { x: 0, y: 0 };
+
+    // Snap target near a mouse position, within 8 pixels
+    const snapAt = (mouseX, mouseY) => {
+        const worldPos = renderer.fromCanvas(mouseX, mouseY);
+        return measurements.snap(worldPos.z, worldPos.y, 8 / renderer.scale, state.measureScene, state.view);
+    };
     
     canvas.addEventListener('mousedown', (e) => {
         const rect = canvas.getBoundingClientRect();
         const mouseX = e.clientX - rect.left;
         const mouseY = e.clientY - rect.top;
         const worldPos = renderer.fromCanvas(mouseX, mouseY);
+
+        // In measure mode a drag measures from the snapped point
+        if (state.measuring) {
+            state.snap = snapAt(mouseX, mouseY);
+            state.measurement = { a: state.snap.anchor, b: state.snap.anchor };
+            isDragging = true;
+            dragTarget = { type: 'measure' };
+            state.scene();
+            return;
+        }
         
         // Check hit with Lenses (Zone around lens plane)
         const hitThreshold = 10 / renderer.scale; // 10 pixels wide
         
         // Check Object
-        if (state.object.mode === 'point') {
+        if (state.object.mode === 'point' && state.view === 'yz') {
             const distZ = Math.abs(worldPos.z - state.object.z);
             const distY = Math.abs(worldPos.y - state.object.y);
             // Circle hit test
@@ -289,7 +2194,9 @@ function setupCanvasInteractions() {
         
         // Check Lenses
         for (const lens of system.lenses) {
-            if (Math.abs(worldPos.z - lens.z) < hitThreshold && Math.abs(worldPos.y) < lens.h + 5) {
+            // Stops are grabbed by their blades, outside the clear aperture
+            const reach = lens.type === 'stop' ? lens.h * 1.5 + 10 : lens.h + 5;
+            if (Math.abs(worldPos.z - lens.z) < hitThreshold && Math.abs(worldPos.y) < reach) {
                 isDragging = true;
                 dragTarget = { type: 'lens', obj: lens };
                 lastMouse = { x: mouseX, y: mouseY };
@@ -304,11 +2211,18 @@ function setupCanvasInteractions() {
     });
     
     window.addEventListener('mousemove', (e) => {
-        if (!isDragging) return;
-        
         const rect = canvas.getBoundingClientRect();
         const mouseX = e.clientX - rect.left;
         const mouseY = e.clientY - rect.top;
+
+        if (state.measuring && (!isDragging || dragTarget.type === 'measure')) {
+            if (!isDragging && e.target !== canvas) return;
+            state.snap = snapAt(mouseX, mouseY);
+            if (isDragging) state.measurement.b = state.snap.anchor;
+            state.scene();
+            return;
+        }
+        if (!isDragging) return;
         
         const dx = mouseX - lastMouse.x;
         const dy = mouseY - lastMouse.y;
@@ -324,7 +2238,11 @@ function setupCanvasInteractions() {
             updateLensInputs();
         } else if (dragTarget.type === 'lens') {
             const dWorldZ = dx / renderer.scale;
-            dragTarget.obj.z += dWorldZ;
+            // Surfaces of the same lens move together
+            const group = dragTarget.obj.group;
+            for (const l of system.lenses) {
+                if (l === dragTarget.obj || (group && l.group === group)) l.z += dWorldZ;
+            }
             system.sortLenses(); // Keep them sorted
             updateLensInputs();
         }
@@ -345,7 +2263,16 @@ function setupCanvasInteractions() {
         }
     });
     
+    canvas.addEventListener('mouseleave', () => {
+        if (!state.measuring || !state.snap || isDragging) return;
+        state.snap = null;
+        state.scene();
+    });
+    
     window.addEventListener('mouseup', () => {
+        // A whole drag of the object or an element is one step
+        if (dragTarget && dragTarget.type === 'measure') updateMeasureList();
+        else if (dragTarget && dragTarget.type !== 'view') recordEdit();
         isDragging = false;
         dragTarget = null;
     });
@@ -0,0 +1,208 @@
+// measure.js
+
+// Measuring on the diagram. Points are snapped to what is drawn: element planes,
+// principal planes, focal and nodal points, ray crossings, the axis, the object and
+// the image. A snapped point keeps an anchor to what it snapped to, so pinned
+// dimensions follow the system as it changes. Anchors:
+//   { kind: 'element', id, y }    the plane of an element at height y
+//   { kind: 'cardinal', key, y }  a cardinal point or plane (F, F', H, H', N, N')
+//   { kind: 'object' } / { kind: 'image' }  the drawn object and image points
+//   { kind: 'point', z, y }       a fixed point (ray crossings and free points)
+// Positions are (z, y) in the plane being viewed; y is x in the sagittal view.
+class Measurements {
+    constructor(system, elementName = (index) => `Element ${index + 1}`) {
+        this.system = system;
+        this.elementName = elementName; // Snap label of an element, by index
+        this.dimensions = []; // Pinned: { a, b } anchors
+    }
+
+    // Cardinal points and planes by anchor key: [result field, label, point or plane]
+    static get CARDINAL() {
+        return {
+            F: ['F', 'F', 'point'],
+            F_prime: ['F_prime', "F'", 'point'],
+            N: ['N', 'N', 'point'],
+            N_prime: ['N_prime', "N'", 'point'],
+            H: ['H', 'H', 'plane'],
+            H_prime: ['H_prime', "H'", 'plane']
+        };
+    }
+
+    /**
+     * Where an anchor is now.
+     * @param {Object} anchor - See the top of this file
+     * @param {Object} scene - { object, image }: the drawn points { z, y } or null
+     * @returns {Object|null} { z, y }, or null if it no longer exists
+     */
+    resolve(anchor, scene) {
+        switch (anchor.kind) {
+            case 'element': {
+                const element = this.system.lenses.find(l => l.id === anchor.id);
+                return element ? { z: element.z, y: anchor.y } : null;
+            }
+            case 'cardinal': {
+                const c = this.system.calculateCardinalPoints();
+                const z = c && c[anchor.key];
+                return (typeof z === 'number' && isFinite(z)) ? { z, y: anchor.y } : null;
+            }
+            case 'object':
+            case 'image': {
+                const p = scene[anchor.kind];
+                return p && isFinite(p.z) && isFinite(p.y) ? { z: p.z, y: p.y } : null;
+            }
+            default:
+                return { z: anchor.z, y: anchor.y };
+        }
+    }
+
+    /**
+     * The snap target nearest to a point, preferring points to planes.
+     * @param {number} z - Cursor position
+     * @param {number} y
+     * @param {number} tolerance - Snap distance in world units
+     * @param {Object} scene - { object, image, rays } with the traced rays
+     * @param {string} view - 'yz' or 'xz'
+     * @returns {Object} { z, y, label, anchor }; a free point if nothing is near
+     */
+    snap(z, y, tolerance, scene, view = 'yz') {
+        const points = [];
+        const planes = [];
+        const near = (p) => Math.hypot(p.z - z, p.y - y);
+
+        // Elements first: on a tie (H and H' of a thin lens) the element wins
+        this.system.lenses.forEach((l, i) => {
+            const label = this.elementName(i);
+            const anchor = (ya) => ({ kind: 'element', id: l.id, y: ya });
+            points.push({ z: l.z, y: 0, label: `${label} vertex`, anchor: anchor(0) });
+            for (const edge of [l.h, -l.h]) points.push({ z: l.z, y: edge, label: `${label} edge`, anchor: anchor(edge) });
+            if (Math.abs(y) <= l.h * 1.5) planes.push({ z: l.z, y, label, anchor: anchor(y) });
+        });
+
+        const c = this.system.calculateCardinalPoints();
+        for (const [key, [field, label, shape]] of Object.entries(Measurements.CARDINAL)) {
+            const value = c && c[field];
+            if (typeof value !== 'number' || !isFinite(value)) continue;
+            if (shape === 'point') points.push({ z: value, y: 0, label, anchor: { kind: 'cardinal', key, y: 0 } });
+            else planes.push({ z: value, y, label, anchor: { kind: 'cardinal', key, y } });
+        }
+
+        for (const kind of ['object', 'image']) {
+            const p = scene[kind];
+            if (p && isFinite(p.z) && isFinite(p.y)) points.push({ ...p, label: kind === 'object' ? 'Object' : 'Image', anchor: { kind } });
+        }
+
+        for (const p of this.rayCrossings(z, y, tolerance, scene.rays || [], view)) {
+            points.push({ ...p, anchor: { kind: 'point', z: p.z, y: p.y } });
+        }
+
+        const best = (list, distance) => list.reduce((a, b) => (distance(b) < tolerance && (!a || distance(b) < distance(a))) ? b : a, null);
+        const point = best(points, near);
+        if (point) return point;
+        const plane = best(planes, p => Math.abs(p.z - z));
+        if (plane) return plane;
+        if (Math.abs(y) < tolerance) return { z, y: 0, label: 'Axis', anchor: { kind: 'point', z, y: 0 } };
+        return { z, y, label: null, anchor: { kind: 'point', z, y } };
+    }
+
+    // Crossings of ray segments (and of rays with the axis) within `tolerance` of (z, y).
+    // The bends of a ray at the elements are not crossings.
+    rayCrossings(z, y, tolerance, rays, view) {
+        const lateral = view === 'xz' ? (p) => p.x : (p) => p.y;
+        const segments = [{ a: { z: z - 2 * tolerance, y: 0 }, b: { z: z + 2 * tolerance, y: 0 }, axis: true, ray: -1 }];
+        rays.forEach((ray, k) => {
+            for (let i = 1; i < ray.path.length; i++) {
+                const a = { z: ray.path[i - 1].z, y: lateral(ray.path[i - 1]) };
+                const b = { z: ray.path[i].z, y: lateral(ray.path[i]) };
+                if (Measurements.distanceToSegment(z, y, a, b) < tolerance) segments.push({ a, b, ray: k });
+            }
+        });
+
+        const crossings = [];
+        for (let i = 0; i < segments.length; i++) {
+            for (let j = i + 1; j < segments.length; j++) {
+                if (segments[i].ray === segments[j].ray) continue;
+                const p = Measurements.intersect(segments[i], segments[j]);
+                if (p && Math.hypot(p.z - z, p.y - y) < tolerance) {
+                    crossings.push({ ...p, label: segments[i].axis ? 'Ray on axis' : 'Ray crossing' });
+                }
+            }
+        }
+        return crossings;
+    }
+
+    static distanceToSegment(z, y, a, b) {
+        const dz = b.z - a.z, dy = b.y - a.y;
+        const length2 = dz * dz + dy * dy;
+        const t = length2 > 0 ? Math.max(0, Math.min(1, ((z - a.z) * dz + (y - a.y) * dy) / length2)) : 0;
+        return Math.hypot(a.z + t * dz - z, a.y + t * dy - y);
+    }
+
+    // Intersection of two segments { a, b }, or null if they are parallel or miss
+    static intersect(s, t) {
+        const r = { z: s.b.z - s.a.z, y: s.b.y - s.a.y };
+        const q = { z: t.b.z - t.a.z, y: t.b.y - t.a.y };
+        const cross = r.z * q.y - r.y * q.z;
+        if (Math.abs(cross) < 1e-12) return null;
+        const dz = t.a.z - s.a.z, dy = t.a.y - s.a.y;
+        const u = (dz * q.y - dy * q.z) / cross;
+        const v = (dz * r.y - dy * r.z) / cross;
+        if (u < 0 || u > 1 || v < 0 || v > 1) return null;
+        return { z: s.a.z + u * r.z, y: s.a.y + u * r.y };
+    }
+
+    // Distance and direction from a to b; the angle is measured from the axis
+    static measure(a, b) {
+        const dz = b.z - a.z;
+        const dy = b.y - a.y;
+        return { dz, dy, distance: Math.hypot(dz, dy), angle: Math.atan2(dy, dz) * 180 / Math.PI };
+    }
+
+    pin(a, b) {
+        this.dimensions.push({ a, b });
+    }
+
+    // Drop dimensions on elements that were removed
+    prune() {
+        const ids = new Set(this.system.lenses.map(l => l.id));
+        const exists = (anchor) => anchor.kind !== 'element' || ids.has(anchor.id);
+        this.dimensions = this.dimensions.filter(d => exists(d.a) && exists(d.b));
+    }
+
+    // Pinned dimensions as plain JSON, with elements by number (from 1) as in prescriptions
+    serialize() {
+        const out = (anchor) => anchor.kind === 'element'
+            ? { kind: 'element', element: this.system.lenses.findIndex(l => l.id === anchor.id) + 1, y: anchor.y }
+            : { ...anchor };
+        return this.dimensions.map(d => ({ a: out(d.a), b: out(d.b) }));
+    }
+
+    // Replace the pinned dimensions with serialized ones; invalid entries are skipped
+    load(list) {
+        const valid = (anchor) => {
+            if (!anchor || typeof anchor !== 'object') return null;
+            const y = Number(anchor.y) || 0;
+            switch (anchor.kind) {
+                case 'element': {
+                    const element = this.system.lenses[anchor.element - 1];
+                    return element ? { kind: 'element', id: element.id, y } : null;
+                }
+                case 'cardinal':
+                    return Measurements.CARDINAL[anchor.key] ? { kind: 'cardinal', key: anchor.key, y } : null;
+                case 'object':
+                case 'image':
+                    return { kind: anchor.kind };
+                case 'point':
+                    return (typeof anchor.z === 'number' && isFinite(anchor.z)) ? { kind: 'point', z: anchor.z, y } : null;
+                default:
+                    return null;
+            }
+        };
+        this.dimensions = (Array.isArray(list) ? list : [])
+            .map(d => d && ({ a: valid(d.a), b: valid(d.b) }))
+            .filter(d => d && d.a && d.b);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Measurements };
+}
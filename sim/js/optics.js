@@ -1,11 +1,23 @@
 // optics.js
 
+// Under Node the glass catalog is loaded here; the page provides it as a global
+if (typeof module !== 'undefined' && module.exports && typeof GlassCatalog === 'undefined') {
+    globalThis.GlassCatalog = require('./glass.js').GlassCatalog;
+}
+
+// A ray in 3D. y and u (height and slope) lie in the meridional y-z plane,
+// x and v in the sagittal x-z plane; a meridional ray keeps x = v = 0.
 class Ray {
-    constructor(z, y, u) {
+    constructor(z, y, u, x = 0, v = 0) {
         this.z = z; // Axial position
         this.y = y; // Height
         this.u = u; // Angle (slope)
-        this.path = [{z: z, y: y}]; // Store the path for rendering
+        this.x = x; // Sagittal height
+        this.v = v; // Sagittal slope
+        this.n = 1; // Refractive index of the current medium
+        this.wavelength = null; // Vacuum wavelength [nm], null = system design wavelength
+        this.path = [{z: z, y: y, x: x}]; // Store the path for rendering
+        this.marks = []; // Per element index: path indices { arrive, leave } where the ray meets and leaves it
         this.active = true; // Still propagating?
     }
 
@@ -14,14 +26,51 @@ class Ray {
         
         const d = newZ - this.z;
         this.y += this.u * d;
+        this.x += this.v * d;
         this.z = newZ;
-        this.path.push({z: this.z, y: this.y});
+        this.path.push({z: this.z, y: this.y, x: this.x});
+    }
+
+    // Move to an arbitrary point (used by real-ray tracing, where the
+    // intersection height is not simply y + u * d)
+    moveTo(z, y, x = this.x) {
+        if (!this.active) return;
+
+        this.z = z;
+        this.y = y;
+        this.x = x;
+        this.path.push({z: this.z, y: this.y, x: this.x});
     }
 
-    refract(f) {
+    // `element` supplies the decenter of the lens axis. A tilt has no
+    // first-order effect on a thin lens.
+    refract(f, element = {}) {
         if (!this.active) return;
-        // Thin lens equation: slope changes by -y/f
-        this.u -= this.y / f;
+        // Thin lens equation: slope changes by -y/f (by +y/f for a ray
+        // travelling in -z, where n < 0 after a mirror)
+        const dir = Math.sign(this.n);
+        this.u -= dir * (this.y - (element.decenterY || 0)) / f;
+        this.v -= dir * (this.x - (element.decenterX || 0)) / f;
+    }
+
+    // `element` supplies the decenter and tilt of the surface axis
+    refractSurface(R, n2, element = {}) {
+        if (!this.active) return;
+        // Paraxial refraction at a spherical surface: n'u' = nu - y(n' - n)/R.
+        // A surface tilted by t acts on the slope relative to its axis, u - t,
+        // which adds the prism term (n' - n) t.
+        const power = isFinite(R) ? (n2 - this.n) / R : 0;
+        const tiltY = (element.tiltY || 0) * Math.PI / 180;
+        const tiltX = (element.tiltX || 0) * Math.PI / 180;
+        this.u = (this.n * this.u - (this.y - (element.decenterY || 0)) * power + (n2 - this.n) * tiltY) / n2;
+        this.v = (this.n * this.v - (this.x - (element.decenterX || 0)) * power + (n2 - this.n) * tiltX) / n2;
+        this.n = n2;
+    }
+
+    // Reflection is refraction into the index -n, which also reverses
+    // the direction of travel
+    reflect(R, element = {}) {
+        this.refractSurface(R, -this.n, element);
     }
 
     stop() {
@@ -31,16 +80,422 @@ class Ray {
 
 class Lens {
     constructor(f, z, h) {
+        this.type = 'lens';
         this.f = parseFloat(f); // Focal length
         this.z = parseFloat(z); // Position
         this.h = parseFloat(h); // Height (radius of aperture)
+        this.glass = null; // Catalog glass, null = ideal (dispersion-free) lens
+        this.shape = 0; // Bending factor X = (c1 + c2) / (c1 - c2), used for aberrations
+        this.decenterY = 0; // Lateral offset of the element axis
+        this.decenterX = 0;
+        this.tiltY = 0; // Tilt of the element axis toward +y [deg] (rotation about x)
+        this.tiltX = 0; // Tilt of the element axis toward +x [deg] (rotation about y)
+        this.id = Math.random().toString(36).substr(2, 9);
+    }
+
+    // f is the design focal length at the d-line; a glass lens scales
+    // its power with (n(lambda) - 1), following the lensmaker's equation
+    focalLength(wavelength) {
+        if (!this.glass) return this.f;
+        const nd = GlassCatalog.index(this.glass, GlassCatalog.lines.d);
+        return this.f * (nd - 1) / (GlassCatalog.index(this.glass, wavelength) - 1);
+    }
+}
+
+// A single spherical refracting surface. Real lenses are built from
+// consecutive surfaces; the glass between them is described by `n`.
+class Surface {
+    constructor(R, n, z, h) {
+        this.type = 'surface';
+        this.R = parseFloat(R); // Radius of curvature (+ = center to the right, Infinity = flat)
+        this.n = parseFloat(n); // Refractive index of the medium after this surface
+        this.z = parseFloat(z); // Vertex position
+        this.h = parseFloat(h); // Height (radius of aperture)
+        this.glass = null; // Catalog glass after this surface; overrides n when set
+        this.decenterY = 0; // Lateral offset of the element axis
+        this.decenterX = 0;
+        this.tiltY = 0; // Tilt of the element axis toward +y [deg] (rotation about x)
+        this.tiltX = 0; // Tilt of the element axis toward +x [deg] (rotation about y)
+        this.group = null; // Shared id for surfaces that belong to the same lens
+        this.part = null; // Catalog part number of that lens (see LensCatalog)
+        this.id = Math.random().toString(36).substr(2, 9);
+    }
+
+    // Refractive index of the medium after this surface at a wavelength [nm]
+    index(wavelength) {
+        return this.glass ? GlassCatalog.index(this.glass, wavelength) : this.n;
+    }
+
+    setGlass(name) {
+        this.glass = name || null;
+        if (this.glass) this.n = GlassCatalog.index(this.glass, GlassCatalog.lines.d);
+    }
+
+    // Sag of the surface at height y, relative to the vertex
+    sag(y) {
+        if (!isFinite(this.R)) return 0;
+        const r2 = this.R * this.R - y * y;
+        if (r2 < 0) return this.R;
+        return this.R - Math.sign(this.R) * Math.sqrt(r2);
+    }
+
+    // Exact intersection of a ray (origin p, unit direction d) with the surface, both
+    // in the surface's local frame (vertex at the origin, see Frame). Returns the hit
+    // point and the unit normal facing the incoming ray, or null on a miss.
+    intersect(p, d) {
+        if (!isFinite(this.R)) {
+            if (Math.abs(d.z) < 1e-12) return null;
+            const t = -p.z / d.z;
+            if (t < -1e-9) return null;
+            return { point: { x: p.x + t * d.x, y: p.y + t * d.y, z: 0 }, normal: { x: 0, y: 0, z: d.z > 0 ? -1 : 1 } };
+        }
+
+        // Sphere centered on the axis at z = R
+        const oz = p.z - this.R;
+        const b = d.x * p.x + d.y * p.y + d.z * oz;
+        const c = p.x * p.x + p.y * p.y + oz * oz - this.R * this.R;
+        const disc = b * b - c;
+        if (disc < 0) return null;
+
+        // Take the first crossing ahead of the ray on the cap containing the vertex
+        // (the hemisphere between the vertex and the center)
+        const sq = Math.sqrt(disc);
+        for (const t of [-b - sq, -b + sq]) {
+            if (t < -1e-9) continue;
+            const point = { x: p.x + t * d.x, y: p.y + t * d.y, z: p.z + t * d.z };
+            if ((point.z - this.R) / this.R > 0) continue;
+
+            // Normal facing the incoming ray
+            let normal = { x: point.x / this.R, y: point.y / this.R, z: (point.z - this.R) / this.R };
+            if (normal.x * d.x + normal.y * d.y + normal.z * d.z > 0) {
+                normal = { x: -normal.x, y: -normal.y, z: -normal.z };
+            }
+            return { point, normal };
+        }
+        return null;
+    }
+}
+
+// A flat or spherical mirror. Light reflects back along the axis, so the
+// elements after a mirror are met travelling in -z.
+class Mirror extends Surface {
+    constructor(R, z, h) {
+        super(R, 1, z, h);
+        this.type = 'mirror';
+        this.hole = 0; // Radius of a central hole (e.g. a Cassegrain primary)
+    }
+}
+
+// A bare aperture (iris or diaphragm) with no optical power
+class Stop {
+    constructor(z, h) {
+        this.type = 'stop';
+        this.z = parseFloat(z); // Position
+        this.h = parseFloat(h); // Semi-aperture
+        this.decenterY = 0; // Lateral offset of the element axis
+        this.decenterX = 0;
+        this.tiltY = 0; // Tilt of the element axis toward +y [deg] (rotation about x)
+        this.tiltX = 0; // Tilt of the element axis toward +x [deg] (rotation about y)
+        this.id = Math.random().toString(36).substr(2, 9);
+    }
+}
+
+// Local coordinate frame of an element: origin at its (decentered) vertex, z along
+// its (tilted) axis. Points and directions are {x, y, z} objects.
+class Frame {
+    constructor(element) {
+        this.origin = { x: element.decenterX || 0, y: element.decenterY || 0, z: element.z };
+
+        // Rotation R = Ry(tiltX) Rx(tiltY); its columns are the local axes in global coordinates
+        const a = (element.tiltY || 0) * Math.PI / 180;
+        const b = (element.tiltX || 0) * Math.PI / 180;
+        const ca = Math.cos(a), sa = Math.sin(a), cb = Math.cos(b), sb = Math.sin(b);
+        this.m = [
+            [cb, -sb * sa, sb * ca],
+            [0, ca, sa],
+            [-sb, -cb * sa, cb * ca]
+        ];
+    }
+
+    dirToGlobal(d) {
+        const m = this.m;
+        return {
+            x: m[0][0] * d.x + m[0][1] * d.y + m[0][2] * d.z,
+            y: m[1][0] * d.x + m[1][1] * d.y + m[1][2] * d.z,
+            z: m[2][0] * d.x + m[2][1] * d.y + m[2][2] * d.z
+        };
+    }
+
+    dirToLocal(d) {
+        const m = this.m;
+        return {
+            x: m[0][0] * d.x + m[1][0] * d.y + m[2][0] * d.z,
+            y: m[0][1] * d.x + m[1][1] * d.y + m[2][1] * d.z,
+            z: m[0][2] * d.x + m[1][2] * d.y + m[2][2] * d.z
+        };
+    }
+
+    toGlobal(p) {
+        const d = this.dirToGlobal(p);
+        return { x: d.x + this.origin.x, y: d.y + this.origin.y, z: d.z + this.origin.z };
+    }
+
+    toLocal(p) {
+        return this.dirToLocal({ x: p.x - this.origin.x, y: p.y - this.origin.y, z: p.z - this.origin.z });
+    }
+}
+
+// Vector form of Snell's law, n1 (d x N) = n2 (d' x N), for a unit direction d and
+// a unit normal N facing the incoming ray. Returns null on total internal reflection.
+function refractDirection(d, N, n1, n2) {
+    const eta = n1 / n2;
+    const cosI = -(d.x * N.x + d.y * N.y + d.z * N.z);
+    const k = 1 - eta * eta * (1 - cosI * cosI);
+    if (k < 0) return null;
+    const a = eta * cosI - Math.sqrt(k);
+    return { x: eta * d.x + a * N.x, y: eta * d.y + a * N.y, z: eta * d.z + a * N.z };
+}
+
+// An element with a length along the axis, between two flat faces: light enters the
+// front face at z and leaves the back face `length` further along its path, into the
+// surrounding medium again. Subclasses supply the interior (its matrix and ray path)
+// and the tilts of the faces; the Renderer draws the outline between the faces.
+class Block {
+    constructor(type, z, length, h) {
+        this.type = type;
+        this.z = parseFloat(z); // Front face position
+        this.length = parseFloat(length); // Length along the axis (center thickness)
+        this.h = parseFloat(h); // Height (radius of aperture)
+        this.n = 1.5168; // Refractive index inside
+        this.glass = null; // Catalog glass inside; overrides n when set
+        this.decenterY = 0; // Lateral offset of the element axis
+        this.decenterX = 0;
+        this.tiltY = 0; // Tilt of the element axis toward +y [deg] (rotation about x)
+        this.tiltX = 0; // Tilt of the element axis toward +x [deg] (rotation about y)
         this.id = Math.random().toString(36).substr(2, 9);
     }
+
+    index(wavelength) {
+        return this.glass ? GlassCatalog.index(this.glass, wavelength) : this.n;
+    }
+
+    setGlass(name) {
+        this.glass = name || null;
+        if (this.glass) this.n = GlassCatalog.index(this.glass, GlassCatalog.lines.d);
+    }
+
+    // Tilts of the front and back faces toward +y [deg], relative to the element axis
+    get faceTilts() {
+        return [0, 0];
+    }
+
+    // Reduced ABCD matrix from the front to the back face, inside index n
+    interiorMatrix(n) {
+        return { A: 1, B: this.length / n, C: 0, D: 1 };
+    }
+
+    // Matrix of the element as seen from z in a medium of index n: the interior,
+    // followed by a step back over the length of surrounding medium it replaces,
+    // so the translation to the next element can still start at z
+    matrix(n, wavelength) {
+        const M = this.interiorMatrix(this.index(wavelength));
+        const back = this.length / Math.abs(n);
+        return { A: M.A - back * M.C, B: M.B - back * M.D, C: M.C, D: M.D };
+    }
+
+    // Paraxial trace of a ray standing at the front face. The flat faces only refract
+    // through their tilt (the prism term of Ray.refractSurface).
+    traceParaxial(ray, wavelength, clip = true) {
+        const n = ray.n;
+        const face = (tilt) => ({
+            decenterX: this.decenterX, decenterY: this.decenterY,
+            tiltX: this.tiltX, tiltY: this.tiltY + tilt
+        });
+        const [front, back] = this.faceTilts;
+
+        ray.refractSurface(Infinity, Math.sign(n) * this.index(wavelength), face(front));
+        this.paraxialInterior(ray);
+        if (clip && Math.hypot(ray.x - this.decenterX, ray.y - this.decenterY) > this.h) {
+            ray.stop();
+            return;
+        }
+        ray.refractSurface(Infinity, n, face(back));
+    }
+
+    // Carry a paraxial ray from the front to the back face: a straight line
+    paraxialInterior(ray) {
+        ray.propagate(this.z + Math.sign(ray.n) * this.length);
+    }
+
+    // Crossing of a ray (local origin p, unit direction d) with the face plane through
+    // the axis at z0, tilted by `tilt` [deg]. Returns the point and the unit normal
+    // facing the ray, or null on a miss.
+    faceHit(p, d, z0, tilt) {
+        const a = tilt * Math.PI / 180;
+        const N = { x: 0, y: Math.sin(a), z: Math.cos(a) };
+        const dn = d.y * N.y + d.z * N.z;
+        if (Math.abs(dn) < 1e-12) return null;
+        const t = (N.y * -p.y + N.z * (z0 - p.z)) / dn;
+        if (t < -1e-9) return null;
+        const point = { x: p.x + t * d.x, y: p.y + t * d.y, z: p.z + t * d.z };
+        if (Math.hypot(point.x, point.y) > this.h) return null;
+        return { point, normal: dn > 0 ? { x: 0, y: -N.y, z: -N.z } : N };
+    }
+
+    // Carry a real ray inside from the front face hit p (direction d) to the back face,
+    // `s` = +1 or -1 being the direction of travel along the axis. Returns the back face
+    // hit with the direction arriving there and any points along the way, or null.
+    realInterior(p, d, s) {
+        const hit = this.faceHit(p, d, s * this.length, this.faceTilts[1]);
+        return hit && { ...hit, d, path: [] };
+    }
+
+    // Exact trace in the element's local frame. `dir` is the global unit direction of a
+    // ray in front of the element; returns the direction behind it, or null when the ray
+    // misses a face or is totally reflected.
+    traceReal(ray, dir, wavelength) {
+        const frame = new Frame(this);
+        const p = frame.toLocal({ x: ray.x, y: ray.y, z: ray.z });
+        let d = frame.dirToLocal(dir);
+        const s = d.z < 0 ? -1 : 1;
+        const nOut = ray.n;
+        const nIn = this.index(wavelength);
+        const moveTo = (q) => {
+            const g = frame.toGlobal(q);
+            ray.moveTo(g.z, g.y, g.x);
+        };
+
+        const front = this.faceHit(p, d, 0, this.faceTilts[0]);
+        if (!front) return null;
+        moveTo(front.point);
+        d = refractDirection(d, front.normal, nOut, nIn);
+        if (!d) return null;
+
+        const back = this.realInterior(front.point, d, s);
+        if (!back) return null;
+        back.path.forEach(moveTo);
+        moveTo(back.point);
+        d = refractDirection(back.d, back.normal, nIn, nOut);
+        if (!d) return null;
+
+        return frame.dirToGlobal(d);
+    }
+}
+
+// Plane-parallel window. In a converging beam it moves the focus back by t (1 - 1/n).
+class Plate extends Block {
+    constructor(t, z, h) {
+        super('plate', z, t, h);
+        this.setGlass('N-BK7');
+    }
 }
 
+// Wedge prism with its apex toward +y. It deviates light toward the base (-y), by
+// (n - 1) * apex for a thin prism. `length` is the thickness on the axis.
+class Prism extends Block {
+    constructor(apex, t, z, h) {
+        super('prism', z, t, h);
+        this.apex = parseFloat(apex); // Apex angle [deg]
+        this.setGlass('N-BK7');
+    }
+
+    get faceTilts() {
+        return [-this.apex / 2, this.apex / 2];
+    }
+}
+
+// Radial gradient-index rod, n(r) = n0 (1 - g^2 r^2 / 2). Inside, paraxial rays follow
+// sines of period 2 pi / g (the pitch); a quarter-pitch rod focuses a collimated beam
+// onto its back face.
+class GrinRod extends Block {
+    constructor(n0, g, length, z, h) {
+        super('grin', z, length, h);
+        this.n = parseFloat(n0); // Index on the axis (no dispersion)
+        this.g = parseFloat(g); // Gradient constant [1/mm]
+    }
+
+    get pitch() {
+        return 2 * Math.PI / this.g;
+    }
+
+    interiorMatrix(n) {
+        const gL = this.g * this.length;
+        return {
+            A: Math.cos(gL), B: Math.sin(gL) / (n * this.g),
+            C: -n * this.g * Math.sin(gL), D: Math.cos(gL)
+        };
+    }
+
+    // Heights and slopes (along the path) of a ray starting at y0 with slope u0,
+    // after a distance s inside the rod
+    sine(y0, u0, s) {
+        const c = Math.cos(this.g * s), sn = Math.sin(this.g * s);
+        return { y: y0 * c + u0 / this.g * sn, u: -y0 * this.g * sn + u0 * c };
+    }
+
+    paraxialInterior(ray, steps = 16) {
+        const dir = Math.sign(ray.n);
+        const z0 = ray.z;
+        const y0 = ray.y - this.decenterY, x0 = ray.x - this.decenterX;
+        const u0 = dir * ray.u, v0 = dir * ray.v;
+        for (let k = 1; k <= steps; k++) {
+            const s = this.length * k / steps;
+            ray.moveTo(z0 + dir * s, this.decenterY + this.sine(y0, u0, s).y, this.decenterX + this.sine(x0, v0, s).y);
+        }
+        ray.u = dir * this.sine(y0, u0, this.length).u;
+        ray.v = dir * this.sine(x0, v0, this.length).u;
+    }
+
+    // The sinusoidal path applied to the slopes of the real ray relative to the axis
+    realInterior(p, d, s, steps = 16) {
+        const uy = d.y / Math.abs(d.z), ux = d.x / Math.abs(d.z);
+        const path = [];
+        for (let k = 1; k <= steps; k++) {
+            const l = this.length * k / steps;
+            path.push({ x: this.sine(p.x, ux, l).y, y: this.sine(p.y, uy, l).y, z: s * l });
+        }
+        const point = path.pop();
+        if (Math.hypot(point.x, point.y) > this.h) return null;
+
+        const sy = this.sine(p.y, uy, this.length).u;
+        const sx = this.sine(p.x, ux, this.length).u;
+        const m = Math.sqrt(1 + sx * sx + sy * sy);
+        return { point, normal: { x: 0, y: 0, z: -s }, d: { x: sx / m, y: sy / m, z: s / m }, path };
+    }
+}
+
+// Parameters written to a prescription for each element type
+const PRESCRIPTION_FIELDS = {
+    lens: ['f', 'z', 'h', 'glass', 'shape', 'decenterY', 'decenterX', 'tiltY', 'tiltX'],
+    surface: ['R', 'n', 'glass', 'z', 'h', 'part', 'decenterY', 'decenterX', 'tiltY', 'tiltX'],
+    mirror: ['R', 'z', 'h', 'hole', 'decenterY', 'decenterX', 'tiltY', 'tiltX'],
+    stop: ['z', 'h', 'decenterY', 'decenterX', 'tiltY', 'tiltX'],
+    plate: ['length', 'n', 'glass', 'z', 'h', 'decenterY', 'decenterX', 'tiltY', 'tiltX'],
+    prism: ['apex', 'length', 'n', 'glass', 'z', 'h', 'decenterY', 'decenterX', 'tiltY', 'tiltX'],
+    grin: ['n', 'g', 'length', 'z', 'h', 'decenterY', 'decenterX', 'tiltY', 'tiltX']
+};
+
 class OpticalSystem {
     constructor() {
         this.lenses = [];
+        this.wavelength = GlassCatalog.lines.d; // Design wavelength [nm]
+
+        // Multi-configuration (zoom) data: each configuration has its own value for
+        // every configured parameter. The elements hold those of the active one.
+        this.configParams = []; // { id, param } with param 'z' or 'f'
+        this.configurations = []; // { name, values } with values parallel to configParams
+        this.activeConfiguration = 0;
+    }
+
+    // Run a calculation at another wavelength, restoring the design wavelength afterwards
+    atWavelength(wavelength, fn) {
+        const saved = this.wavelength;
+        this.wavelength = wavelength;
+        try {
+            return fn();
+        } finally {
+            this.wavelength = saved;
+        }
     }
 
     addLens(f, z, h = 50) {
@@ -50,35 +505,441 @@ class OpticalSystem {
         return lens;
     }
 
+    addSurface(R, n, z, h = 50) {
+        const surface = new Surface(R, n, z, h);
+        this.lenses.push(surface);
+        this.sortLenses();
+        return surface;
+    }
+
+    addStop(z, h = 20) {
+        const stop = new Stop(z, h);
+        this.lenses.push(stop);
+        this.sortLenses();
+        return stop;
+    }
+
+    addMirror(R, z, h = 50) {
+        const mirror = new Mirror(R, z, h);
+        this.lenses.push(mirror);
+        this.sortLenses();
+        return mirror;
+    }
+
+    addPlate(t, z, h = 25) {
+        const plate = new Plate(t, z, h);
+        this.lenses.push(plate);
+        this.sortLenses();
+        return plate;
+    }
+
+    addPrism(apex, t, z, h = 20) {
+        const prism = new Prism(apex, t, z, h);
+        this.lenses.push(prism);
+        this.sortLenses();
+        return prism;
+    }
+
+    addGrinRod(n0, g, length, z, h = 5) {
+        const rod = new GrinRod(n0, g, length, z, h);
+        this.lenses.push(rod);
+        this.sortLenses();
+        return rod;
+    }
+
+    // Add a singlet as two surfaces enclosing glass of index n and center thickness t
+    // (a negative t builds it in -z, for light travelling back from a mirror)
+    addSinglet(R1, R2, t, n, z, h = 50) {
+        const front = new Surface(R1, n, z, h);
+        const back = new Surface(R2, 1, z + t, h);
+        front.group = back.group = front.id;
+        this.lenses.push(front, back);
+        this.sortLenses();
+        return [front, back];
+    }
+
+    // Add a cemented doublet: crown glass1 between R1 and R2, flint glass2 between R2 and R3
+    addDoublet(R1, R2, R3, t1, t2, glass1, glass2, z, h = 50) {
+        const front = new Surface(R1, 1, z, h);
+        const cemented = new Surface(R2, 1, z + t1, h);
+        const back = new Surface(R3, 1, z + t1 + t2, h);
+        front.setGlass(glass1);
+        cemented.setGlass(glass2);
+        front.group = cemented.group = back.group = front.id;
+        this.lenses.push(front, cemented, back);
+        this.sortLenses();
+        return [front, cemented, back];
+    }
+
     removeLens(id) {
-        this.lenses = this.lenses.filter(l => l.id !== id);
+        const target = this.lenses.find(l => l.id === id);
+        // Removing one surface of a lens removes the whole lens
+        if (target && target.group) {
+            this.lenses = this.lenses.filter(l => l.group !== target.group);
+        } else {
+            this.lenses = this.lenses.filter(l => l.id !== id);
+        }
+
+        // Parameters of removed elements are no longer configured
+        const keep = this.configParams.map(p => this.lenses.some(l => l.id === p.id));
+        this.configParams = this.configParams.filter((p, i) => keep[i]);
+        for (const config of this.configurations) {
+            config.values = config.values.filter((v, i) => keep[i]);
+        }
+    }
+
+    // --- Configurations ---
+
+    // Current values of the configured parameters, read from the elements
+    currentConfigValues() {
+        return this.configParams.map(p => {
+            const el = this.lenses.find(l => l.id === p.id);
+            return el ? el[p.param] : NaN;
+        });
+    }
+
+    // Write parameter values to the elements
+    applyConfigValues(values) {
+        this.configParams.forEach((p, i) => {
+            const el = this.lenses.find(l => l.id === p.id);
+            if (el && isFinite(values[i])) el[p.param] = values[i];
+        });
+        this.sortLenses();
+    }
+
+    // Keep edits made to the elements in the active configuration
+    storeConfiguration() {
+        const config = this.configurations[this.activeConfiguration];
+        if (config) config.values = this.currentConfigValues();
+    }
+
+    // Add a configuration starting from the current state and make it active. The
+    // first one added also keeps the state before it as configuration 1.
+    addConfiguration(name) {
+        this.storeConfiguration();
+        if (this.configurations.length === 0) {
+            this.configurations.push({ name: 'Config 1', values: this.currentConfigValues() });
+        }
+        this.configurations.push({
+            name: name || `Config ${this.configurations.length + 1}`,
+            values: this.currentConfigValues()
+        });
+        this.activeConfiguration = this.configurations.length - 1;
+    }
+
+    removeConfiguration(index) {
+        if (this.configurations.length <= 1) {
+            this.configurations = [];
+            this.activeConfiguration = 0;
+            return;
+        }
+        this.configurations.splice(index, 1);
+        this.activeConfiguration = Math.min(this.activeConfiguration, this.configurations.length - 1);
+        this.applyConfigValues(this.configurations[this.activeConfiguration].values);
     }
 
+    // Let a parameter (z or f of an element) differ between configurations. All
+    // configurations start from its current value.
+    addConfigParam(id, param) {
+        if (this.configParams.some(p => p.id === id && p.param === param)) return;
+        const el = this.lenses.find(l => l.id === id);
+        if (!el) return;
+        this.configParams.push({ id, param });
+        for (const config of this.configurations) config.values.push(el[param]);
+    }
+
+    removeConfigParam(index) {
+        this.configParams.splice(index, 1);
+        for (const config of this.configurations) config.values.splice(index, 1);
+    }
+
+    setConfiguration(index) {
+        if (!this.configurations[index]) return;
+        this.storeConfiguration();
+        this.activeConfiguration = index;
+        this.applyConfigValues(this.configurations[index].values);
+    }
+
+    // Run a calculation in another configuration, restoring the active one afterwards
+    withConfiguration(index, fn) {
+        this.storeConfiguration();
+        const config = this.configurations[index];
+        if (!config) return fn();
+        try {
+            this.applyConfigValues(config.values);
+            return fn();
+        } finally {
+            this.applyConfigValues(this.configurations[this.activeConfiguration].values);
+        }
+    }
+
+    // Values a fraction t of the way from configuration a to b. Focal lengths are
+    // interpolated in power, so a lens can pass smoothly through zero power.
+    interpolateConfigurations(a, b, t) {
+        const from = this.configurations[a].values;
+        const to = this.configurations[b].values;
+        return this.configParams.map((p, i) => {
+            if (p.param === 'f') {
+                const power = (1 - t) / from[i] + t / to[i];
+                return Math.abs(power) > 1e-12 ? 1 / power : 1e12;
+            }
+            return from[i] + (to[i] - from[i]) * t;
+        });
+    }
+
+    // --- Prescriptions ---
+
+    // Plain-JSON description of the system: { wavelength, elements } with one entry per
+    // element holding its type and the parameters of PRESCRIPTION_FIELDS. Infinite radii
+    // are written as null. Surfaces of one lens share a `group` number. Configurations,
+    // if any, refer to the elements by number (from 1); the active one is written as the
+    // elements are now, since edits reach it only when it is stored. Nothing is changed.
+    // With `ids`, each entry also keeps its element id, so a system rebuilt from it
+    // matches the optimizer and tolerances.
+    toPrescription({ ids = false } = {}) {
+        const groups = [...new Set(this.lenses.map(l => l.group).filter(Boolean))];
+        const elements = this.lenses.map(lens => {
+            const entry = { type: lens.type };
+            for (const key of PRESCRIPTION_FIELDS[lens.type]) {
+                const value = lens[key];
+                entry[key] = (typeof value === 'number' && !isFinite(value)) ? null : value;
+            }
+            if (lens.group) entry.group = groups.indexOf(lens.group) + 1;
+            if (ids) entry.id = lens.id;
+            return entry;
+        });
+        const prescription = { wavelength: this.wavelength, elements };
+
+        if (this.configurations.length > 0) {
+            const current = this.currentConfigValues();
+            prescription.configurations = {
+                params: this.configParams.map(p => ({
+                    element: this.lenses.findIndex(l => l.id === p.id) + 1,
+                    param: p.param
+                })),
+                list: this.configurations.map((c, k) => ({
+                    name: c.name,
+                    values: k === this.activeConfiguration ? current : [...c.values]
+                })),
+                active: this.activeConfiguration
+            };
+        }
+        return prescription;
+    }
+
+    /**
+     * Builds a system from a prescription (see toPrescription). Elements are taken in
+     * the order light meets them. Besides the element types, `singlet`
+     * ({ R1, R2, t, n or glass, z, h }) and `doublet` ({ R1, R2, R3, t1, t2, glass1,
+     * glass2, z, h }) entries are expanded into their surfaces. A radius of null or
+     * "Infinity" is flat. Throws on an unknown type or a missing parameter.
+     * @param {Object} data - { wavelength, elements }
+     * @returns {OpticalSystem}
+     */
+    static fromPrescription(data) {
+        const system = new OpticalSystem();
+        if (!data || !Array.isArray(data.elements)) throw new Error('Prescription has no "elements" list');
+        if (data.wavelength !== undefined) system.wavelength = Number(data.wavelength);
+
+        const groups = {};
+        const entries = []; // First element built from each entry
+        data.elements.forEach((entry, i) => {
+            const where = `element ${i + 1} (${entry.type})`;
+            const get = (key, fallback) => {
+                const value = entry[key] === undefined ? fallback : entry[key];
+                if (value === undefined) throw new Error(`Missing "${key}" in ${where}`);
+                if (value === null || value === 'Infinity' || value === 'inf') return Infinity;
+                if (value === '-Infinity' || value === '-inf') return -Infinity;
+                const number = Number(value);
+                if (Number.isNaN(number)) throw new Error(`"${key}" is not a number in ${where}`);
+                return number;
+            };
+            const h = get('h', 25);
+            const glass = (element, name) => {
+                if (!name) return;
+                if (!GlassCatalog.glasses[name]) throw new Error(`Unknown glass "${name}" in ${where}`);
+                if (element.setGlass) element.setGlass(name);
+                else element.glass = name;
+            };
+
+            let added;
+            switch (entry.type) {
+                case 'lens':
+                    added = [new Lens(get('f'), get('z'), h)];
+                    glass(added[0], entry.glass);
+                    added[0].shape = get('shape', 0);
+                    break;
+                case 'surface':
+                    added = [new Surface(get('R'), get('n', 1), get('z'), h)];
+                    glass(added[0], entry.glass);
+                    added[0].part = entry.part || null;
+                    break;
+                case 'mirror':
+                    added = [new Mirror(get('R'), get('z'), h)];
+                    added[0].hole = get('hole', 0);
+                    break;
+                case 'stop':
+                    added = [new Stop(get('z'), h)];
+                    break;
+                case 'plate':
+                case 'prism':
+                    added = [entry.type === 'plate'
+                        ? new Plate(get('length', entry.t), get('z'), h)
+                        : new Prism(get('apex'), get('length', entry.t), get('z'), h)];
+                    if (entry.glass !== undefined) {
+                        added[0].glass = null;
+                        glass(added[0], entry.glass);
+                    }
+                    if (!added[0].glass) added[0].n = get('n', added[0].n);
+                    break;
+                case 'grin':
+                    added = [new GrinRod(get('n', entry.n0), get('g'), get('length'), get('z'), h)];
+                    break;
+                case 'singlet': {
+                    const z = get('z');
+                    const t = get('t');
+                    added = [new Surface(get('R1'), get('n', 1.5168), z, h), new Surface(get('R2'), 1, z + t, h)];
+                    glass(added[0], entry.glass);
+                    added[0].group = added[1].group = added[0].id;
+                    added.forEach(surface => surface.part = entry.part || null);
+                    break;
+                }
+                case 'doublet': {
+                    const z = get('z');
+                    const t1 = get('t1');
+                    added = [
+                        new Surface(get('R1'), 1, z, h),
+                        new Surface(get('R2'), 1, z + t1, h),
+                        new Surface(get('R3'), 1, z + t1 + get('t2'), h)
+                    ];
+                    glass(added[0], entry.glass1 || 'N-BK7');
+                    glass(added[1], entry.glass2 || 'F2');
+                    added.forEach(surface => surface.group = added[0].id);
+                    added.forEach(surface => surface.part = entry.part || null);
+                    break;
+                }
+                default:
+                    throw new Error(`Unknown element type "${entry.type}" in element ${i + 1}`);
+            }
+
+            const element = added[0];
+            if (typeof entry.id === 'string' && added.length === 1) element.id = entry.id;
+            // A misaligned singlet or doublet moves as a whole
+            for (const key of ['decenterY', 'decenterX', 'tiltY', 'tiltX']) {
+                if (entry[key] !== undefined) added.forEach(e => e[key] = get(key));
+            }
+            if (entry.group !== undefined && element.type === 'surface') {
+                groups[entry.group] = groups[entry.group] || element.id;
+                element.group = groups[entry.group];
+            }
+            system.lenses.push(...added);
+            entries.push(element);
+        });
+
+        const configs = data.configurations;
+        if (configs && Array.isArray(configs.params) && Array.isArray(configs.list)) {
+            system.configParams = configs.params.map(({ element, param }) => {
+                if (!entries[element - 1]) throw new Error(`Configuration parameter refers to missing element ${element}`);
+                return { id: entries[element - 1].id, param };
+            });
+            system.configurations = configs.list.map((c, i) => ({
+                name: c.name || `Config ${i + 1}`,
+                values: system.configParams.map((p, k) => Number(c.values[k]))
+            }));
+            system.activeConfiguration = Math.min(Math.max(0, configs.active | 0), system.configurations.length - 1);
+            if (system.configurations.length > 0) {
+                system.applyConfigValues(system.configurations[system.activeConfiguration].values);
+            }
+        }
+
+        system.sortLenses();
+        return system;
+    }
+
+    // Replace this system's contents with a prescription, keeping the object
+    // (which the renderer and analyses hold on to). Nothing changes if it is invalid.
+    loadPrescription(data) {
+        const loaded = OpticalSystem.fromPrescription(data);
+        Object.assign(this, loaded);
+    }
+
+    // A folded system (one with mirrors) is not ordered by z
+    get isFolded() {
+        return this.lenses.some(l => l.type === 'mirror');
+    }
+
+    // The element list is the sequence in which light meets the elements. Without
+    // mirrors that is simply the order in z; folded systems keep the order given.
     sortLenses() {
+        if (this.isFolded) return;
         this.lenses.sort((a, b) => a.z - b.z);
     }
 
+    // Refractive index of the medium following an element. Each mirror flips
+    // the sign, so n < 0 while light travels in -z.
+    indexAfter(index, wavelength = this.wavelength) {
+        let n = 1;
+        for (let i = 0; i <= index; i++) {
+            const el = this.lenses[i];
+            if (el.type === 'surface') n = Math.sign(n) * el.index(wavelength);
+            else if (el.type === 'mirror') n = -n;
+        }
+        return n;
+    }
+
+    // Distance along the light path from an element to the next one
+    thicknessAfter(element) {
+        const i = this.lenses.indexOf(element);
+        if (i < 0 || i >= this.lenses.length - 1) return 0;
+        return (this.lenses[i + 1].z - element.z) * Math.sign(this.indexAfter(i));
+    }
+
+    // Change the distance to the next element, shifting everything behind it
+    setThicknessAfter(element, t) {
+        const i = this.lenses.indexOf(element);
+        if (i < 0) return;
+        const delta = (t - this.thicknessAfter(element)) * Math.sign(this.indexAfter(i));
+        for (let j = i + 1; j < this.lenses.length; j++) {
+            this.lenses[j].z += delta;
+        }
+    }
+
     // Trace a single ray through the entire system
     traceRay(ray) {
         // Sort lenses just in case
         this.sortLenses();
+        const wavelength = ray.wavelength || this.wavelength;
 
-        // Propagate to each lens in order
-        for (const lens of this.lenses) {
+        // Propagate to each lens in sequence
+        let started = false;
+        for (const [i, lens] of this.lenses.entries()) {
             // If ray starts after this lens, skip it
-            if (ray.z > lens.z + 1e-9) continue;
+            if (!started && ray.z > lens.z + 1e-9) continue;
+            started = true;
 
             // Propagate to lens position
             ray.propagate(lens.z);
+            ray.marks[i] = { arrive: ray.path.length - 1, leave: ray.path.length - 1 };
 
-            // Check if ray hits the lens aperture
-            if (Math.abs(ray.y) > lens.h) {
+            // Check if ray hits the lens aperture (or a mirror's central hole)
+            const r = Math.hypot(ray.x - lens.decenterX, ray.y - lens.decenterY);
+            if (r > lens.h || (lens.type === 'mirror' && r < lens.hole)) {
                 ray.stop();
                 break;
             }
 
             // Refract
-            ray.refract(lens.f);
+            if (lens.type === 'surface') {
+                ray.refractSurface(lens.R, Math.sign(ray.n) * lens.index(wavelength), lens);
+            } else if (lens.type === 'mirror') {
+                ray.reflect(lens.R, lens);
+            } else if (lens.type === 'lens') {
+                ray.refract(lens.focalLength(wavelength), lens);
+            } else if (lens instanceof Block) {
+                lens.traceParaxial(ray, wavelength);
+                ray.marks[i].leave = ray.path.length - 1;
+                if (!ray.active) break;
+            }
         }
 
         // Propagate a bit further to visualize the output
@@ -88,25 +949,156 @@ class OpticalSystem {
             // For now, push it out by 1000 units or until it hits axis?
             // Let's just push it a fixed distance for visualization
             const lastLensZ = this.lenses.length > 0 ? this.lenses[this.lenses.length-1].z : ray.z;
-            ray.propagate(lastLensZ + 1000); 
+            ray.propagate(lastLensZ + 1000 * Math.sign(ray.n)); 
+        }
+    }
+
+    // Trace a single ray exactly in 3D: intersect the real spherical surfaces and
+    // refract with the full vector form of Snell's law (or reflect at mirrors), each
+    // in the local frame of the (possibly decentered and tilted) element. Thin lenses
+    // have no shape, so they act as ideal (aberration-free) lenses at their plane.
+    traceRealRay(ray) {
+        this.sortLenses();
+        const wavelength = ray.wavelength || this.wavelength;
+
+        // Unit direction from the slopes
+        const norm = Math.sqrt(1 + ray.u * ray.u + ray.v * ray.v);
+        let dir = { x: ray.v / norm, y: ray.u / norm, z: 1 / norm };
+
+        let started = false;
+        for (const [i, lens] of this.lenses.entries()) {
+            if (!started && ray.z > lens.z + 1e-9) continue;
+            started = true;
+
+            // Plates, prisms and GRIN rods trace themselves
+            if (lens instanceof Block) {
+                ray.marks[i] = { arrive: ray.path.length };
+                dir = lens.traceReal(ray, dir, wavelength);
+                ray.marks[i].leave = ray.path.length - 1;
+                // Stopped inside, or leaving along the face (no slope)
+                if (!dir || Math.abs(dir.z) < 1e-12) {
+                    ray.stop();
+                    break;
+                }
+                ray.u = dir.y / dir.z;
+                ray.v = dir.x / dir.z;
+                continue;
+            }
+
+            const frame = new Frame(lens);
+            const p = frame.toLocal({ x: ray.x, y: ray.y, z: ray.z });
+            let d = frame.dirToLocal(dir);
+
+            let hit;
+            if (lens.type === 'surface' || lens.type === 'mirror') {
+                hit = lens.intersect(p, d);
+            } else {
+                // Thin lenses and stops lie in their local z = 0 plane
+                const t = Math.abs(d.z) > 1e-12 ? -p.z / d.z : -1;
+                hit = t < -1e-9 ? null : { point: { x: p.x + t * d.x, y: p.y + t * d.y, z: 0 } };
+            }
+            const r = hit ? Math.hypot(hit.point.x, hit.point.y) : 0;
+            if (!hit || r > lens.h || (lens.type === 'mirror' && r < lens.hole)) {
+                ray.stop();
+                break;
+            }
+            const g = frame.toGlobal(hit.point);
+            ray.moveTo(g.z, g.y, g.x);
+            ray.marks[i] = { arrive: ray.path.length - 1, leave: ray.path.length - 1 };
+
+            if (lens.type === 'mirror') {
+                // Law of reflection: d' = d - 2 (d . N) N
+                const N = hit.normal;
+                const dn = d.x * N.x + d.y * N.y + d.z * N.z;
+                d = { x: d.x - 2 * dn * N.x, y: d.y - 2 * dn * N.y, z: d.z - 2 * dn * N.z };
+            } else if (lens.type === 'surface') {
+                const n2 = lens.index(wavelength);
+                d = refractDirection(d, hit.normal, ray.n, n2);
+                if (!d) {
+                    // Total internal reflection
+                    ray.stop();
+                    break;
+                }
+                ray.n = n2;
+            } else if (lens.type === 'lens') {
+                // Ideal lens: slopes relative to the direction of travel change by -x/f and -y/f
+                const f = lens.focalLength(wavelength);
+                const sz = Math.sign(d.z);
+                const sx = d.x / Math.abs(d.z) - hit.point.x / f;
+                const sy = d.y / Math.abs(d.z) - hit.point.y / f;
+                const m = Math.sqrt(1 + sx * sx + sy * sy);
+                d = { x: sx / m, y: sy / m, z: sz / m };
+            }
+
+            // Slopes in z (very large for a ray leaving sideways, e.g. off a 45° fold mirror)
+            dir = frame.dirToGlobal(d);
+            const dz = Math.abs(dir.z) < 1e-12 ? (dir.z < 0 ? -1e-12 : 1e-12) : dir.z;
+            ray.u = dir.y / dz;
+            ray.v = dir.x / dz;
+        }
+
+        if (ray.active) {
+            // Extend 1000 units in z, or along the ray when it leaves nearly sideways
+            const lastLensZ = this.lenses.length > 0 ? this.lenses[this.lenses.length-1].z : ray.z;
+            if (Math.abs(dir.z) > 0.1) {
+                ray.propagate(lastLensZ + 1000 * Math.sign(dir.z));
+            } else {
+                ray.moveTo(ray.z + 1000 * dir.z, ray.y + 1000 * dir.y, ray.x + 1000 * dir.x);
+            }
         }
     }
 
-    // Calculate System Matrix (ABCD) from first lens to last lens
+    // Spherical aberration of a real marginal ray from an axial object point,
+    // measured against the paraxial image from calculateImage.
+    // yMarginal is the ray height at the first element (defaults to 95% of its aperture).
+    calculateSphericalAberration(objectZ, yMarginal) {
+        if (this.lenses.length === 0) return null;
+
+        const paraxial = this.calculateImage(objectZ);
+        if (!paraxial || !isFinite(paraxial.z)) return null;
+
+        const first = this.lenses[0];
+        const y0 = (yMarginal === undefined) ? first.h * 0.95 : yMarginal;
+
+        let ray;
+        if (isFinite(objectZ)) {
+            ray = new Ray(objectZ, 0, y0 / (first.z - objectZ));
+        } else {
+            ray = new Ray(first.z - 1, y0, 0);
+        }
+        this.traceRealRay(ray);
+        if (!ray.active || Math.abs(ray.u) < 1e-12) return null;
+
+        // Where the real marginal ray crosses the axis, and its height at the paraxial image
+        const zReal = ray.z - ray.y / ray.u;
+        const lsa = zReal - paraxial.z;
+        const tsa = ray.y + ray.u * (paraxial.z - ray.z);
+
+        return { lsa, tsa, zReal, zParaxial: paraxial.z };
+    }
+
+    // Calculate System Matrix (ABCD) from first lens to last lens.
+    // Angles are reduced (n * u), so translations use the reduced thickness d / n.
     calculateSystemMatrix() {
         if (this.lenses.length === 0) return null;
 
+        return this.calculateMatrixRange(0, this.lenses.length - 1);
+    }
+
+    // ABCD matrix from element `start` to element `end` (inclusive)
+    calculateMatrixRange(start, end) {
         // Identity matrix
         let A = 1, B = 0, C = 0, D = 1;
+        let n = start > 0 ? this.indexAfter(start - 1) : 1;
 
         // Iterate through lenses
-        for (let i = 0; i < this.lenses.length; i++) {
+        for (let i = start; i <= end; i++) {
             const lens = this.lenses[i];
             
             // Transfer from previous element
-            if (i > 0) {
-                const d = lens.z - this.lenses[i-1].z;
-                // Multiply by Translation Matrix: [1 d; 0 1]
+            if (i > start) {
+                const d = (lens.z - this.lenses[i-1].z) / n;
+                // Multiply by Translation Matrix: [1 d/n; 0 1]
                 const newA = A + d * C;
                 const newB = B + d * D;
                 const newC = C;
@@ -114,8 +1106,27 @@ class OpticalSystem {
                 A = newA; B = newB; C = newC; D = newD;
             }
 
-            // Multiply by Refraction Matrix: [1 0; -1/f 1]
-            const power = -1 / lens.f;
+            // Plates, prisms and GRIN rods supply a full matrix
+            if (lens instanceof Block) {
+                const M = lens.matrix(n, this.wavelength);
+                const newA = M.A * A + M.B * C;
+                const newB = M.A * B + M.B * D;
+                C = M.C * A + M.D * C;
+                D = M.C * B + M.D * D;
+                A = newA; B = newB;
+                continue;
+            }
+
+            // Multiply by Refraction Matrix: [1 0; -P 1]
+            // Thin lens: P = 1/f. Surface: P = (n' - n) / R. Mirror: n' = -n. Stop: P = 0
+            let power = 0;
+            if (lens.type === 'surface' || lens.type === 'mirror') {
+                const n2 = lens.type === 'mirror' ? -n : Math.sign(n) * lens.index(this.wavelength);
+                power = isFinite(lens.R) ? -(n2 - n) / lens.R : 0;
+                n = n2;
+            } else if (lens.type === 'lens') {
+                power = -1 / lens.focalLength(this.wavelength);
+            }
             const newC_ref = power * A + C;
             const newD_ref = power * B + D;
             // A and B remain unchanged by refraction matrix left-multiplication rows
@@ -128,72 +1139,144 @@ class OpticalSystem {
         return { A, B, C, D };
     }
 
+    // Refractive index of image space (after the last element)
+    get imageIndex() {
+        return this.indexAfter(this.lenses.length - 1);
+    }
+
+    // An afocal system has no net power (C = 0). Numerically, its power is
+    // below a millionth of the summed powers of its elements; a system of elements
+    // without power (stops, windows, plates) is afocal when C vanishes outright.
+    isAfocal(matrix = this.calculateSystemMatrix()) {
+        if (!matrix) return false;
+        let total = 0;
+        let n = 1;
+        for (const lens of this.lenses) {
+            if (lens.type === 'surface' || lens.type === 'mirror') {
+                const n2 = lens.type === 'mirror' ? -n : Math.sign(n) * lens.index(this.wavelength);
+                if (isFinite(lens.R)) total += Math.abs((n2 - n) / lens.R);
+                n = n2;
+            } else if (lens.type === 'lens') {
+                total += Math.abs(1 / lens.focalLength(this.wavelength));
+            } else if (lens instanceof Block) {
+                total += Math.abs(lens.matrix(n, this.wavelength).C);
+            }
+        }
+        return Math.abs(matrix.C) < (total > 0 ? 1e-6 * total : 1e-10);
+    }
+
+    // Telescope figures of an afocal system, or null for a focal one.
+    // A collimated beam of slope u leaves at slope M u and with its width scaled by |A|.
+    calculateAfocal() {
+        const matrix = this.calculateSystemMatrix();
+        if (!this.isAfocal(matrix)) return null;
+
+        const last = this.lenses[this.lenses.length - 1];
+        const pupils = this.calculatePupils(-Infinity);
+        const exitPupil = pupils ? pupils.exitPupil : { z: Infinity, r: Infinity };
+
+        return {
+            angularMagnification: matrix.D / this.imageIndex,
+            beamExpansion: Math.abs(matrix.A),
+            entrancePupil: pupils ? pupils.entrancePupil : { z: Infinity, r: Infinity },
+            exitPupil,
+            eyeRelief: exitPupil.z - last.z // Last element to exit pupil
+        };
+    }
+
     calculateCardinalPoints() {
         const matrix = this.calculateSystemMatrix();
         if (!matrix) return null;
         
         const { A, B, C, D } = matrix;
+        const nImg = this.imageIndex;
+
+        // Afocal: no focal points or principal planes
+        if (this.isAfocal(matrix)) {
+            return {
+                efl: Infinity, bfl: Infinity, ffl: Infinity,
+                H: NaN, H_prime: NaN, F: NaN, F_prime: NaN, N: NaN, N_prime: NaN,
+                afocal: true
+            };
+        }
         
         // System Power = -C
         const power = -C;
         
         // Effective Focal Length (EFL) = 1 / Power
-        const efl = (Math.abs(power) < 1e-10) ? Infinity : 1 / power;
+        const efl = 1 / power;
 
         const firstLensZ = this.lenses[0].z;
         const lastLensZ = this.lenses[this.lenses.length - 1].z;
 
         // Front Principal Plane (H) relative to First Lens
         // d_H = (D - 1) / C
-        const dH = (Math.abs(C) < 1e-10) ? 0 : (D - 1) / C;
+        const dH = (D - 1) / C;
         const H = firstLensZ + dH;
 
         // Back Principal Plane (H') relative to Last Lens
-        // d_H' = (1 - A) / C
-        const dH_prime = (Math.abs(C) < 1e-10) ? 0 : (1 - A) / C;
+        // d_H' = n' (1 - A) / C
+        const dH_prime = nImg * (1 - A) / C;
         const H_prime = lastLensZ + dH_prime;
 
         // Back Focal Length (BFL)
-        // F' position = H' + EFL.
-        const F_prime = H_prime + efl;
-        const bfl = F_prime - lastLensZ;
+        // F' position = H' + n' * EFL.
+        const F_prime = H_prime + nImg * efl;
+        const bfl = (F_prime - lastLensZ) * Math.sign(nImg); // Along the light path
+
+        // Front Focal Point (F) = H - EFL in object space (n = 1),
+        // Front Focal Length (FFL) from F to the first lens: -D / C
+        const F = H - efl;
+        const ffl = firstLensZ - F;
 
-        return { efl, bfl, H, H_prime, F_prime };
+        // Nodal points: a ray aimed at N leaves from N' at the same slope.
+        // Both lie (n' - n) * EFL past the principal planes.
+        const N = H + (nImg - 1) * efl;
+        const N_prime = H_prime + (nImg - 1) * efl;
+
+        return { efl, bfl, ffl, H, H_prime, F, F_prime, N, N_prime, afocal: false };
     }
 
     // Calculate Image position for a given Object Z
     calculateImage(objectZ) {
         if (this.lenses.length === 0) return null;
+        return this.calculateImageAfter(this.lenses.length - 1, objectZ);
+    }
 
-        const matrix = this.calculateSystemMatrix();
-        if (!matrix) return null;
+    // Image formed by the elements up to and including `index`
+    calculateImageAfter(index, objectZ) {
+        const matrix = this.calculateMatrixRange(0, index);
         
         const firstLensZ = this.lenses[0].z;
-        const lastLensZ = this.lenses[this.lenses.length - 1].z;
+        const lastLensZ = this.lenses[index].z;
         const d_o = firstLensZ - objectZ; // Distance from object to first lens
         
         const { A, B, C, D } = matrix;
+        const nImg = this.indexAfter(index);
 
         // Handle Infinite Object
         if (!isFinite(d_o)) {
             // Image is at Back Focal Plane
             // d_i = -A / C
-            // If C is 0 (afocal), image is at infinity
-            if (Math.abs(C) < 1e-10) {
+            // If C is 0 (afocal), the image is at infinity and the system
+            // is described by its angular magnification instead
+            if (this.isAfocal(matrix)) {
                 return {
                     z: Infinity,
-                    mag: 0,
-                    isVirtual: false
+                    mag: null,
+                    angularMag: D / nImg,
+                    isVirtual: false,
+                    afocal: true
                 };
             }
 
-            const d_i = -A / C;
+            const d_i = -nImg * A / C;
             const imageZ = lastLensZ + d_i;
 
             return {
                 z: imageZ,
                 mag: null, // Magnification is not defined (or 0) for infinite object, usually we talk about angular mag or plate scale.
-                isVirtual: d_i < 0 // Relative to last lens?
+                isVirtual: d_i * nImg < 0 // Relative to last lens, in the direction of travel
             };
         }
         
@@ -209,7 +1292,7 @@ class OpticalSystem {
             };
         }
         
-        const d_i = -numerator / denominator;
+        const d_i = -nImg * numerator / denominator;
         const imageZ = lastLensZ + d_i;
         
         // Magnification m
@@ -217,13 +1300,439 @@ class OpticalSystem {
         // Let's derive m from matrix M_total.
         // M_total = [[m, 0], [?, 1/m]] for conjugate planes.
         // M_total top-left element is A_total.
-        // A_total = A + d_i * C.
-        const mag = A + d_i * C;
+        // A_total = A + (d_i / n') * C.
+        const mag = A + (d_i / nImg) * C;
         
         return {
             z: imageZ,
             mag: mag,
-            isVirtual: d_i < 0
+            isVirtual: d_i * nImg < 0 // Behind the last element in the direction of travel
         };
     }
+
+    // Images formed between the elements: after each lens (or group of surfaces) but
+    // the last, the image of the object by everything up to it. `kind` tells how the
+    // rays in the following gap relate to it:
+    //   'real'            - they cross at the image inside the gap
+    //   'virtual'         - they diverge from it, as if from behind the element
+    //   'virtual-object'  - they converge toward it but are intercepted by the
+    //                       next element first, which sees it as a virtual object
+    // `next` is that next element (stops are looked through).
+    calculateIntermediateImages(objectZ) {
+        const images = [];
+        const count = this.lenses.length;
+        for (let i = 0; i < count - 1; i++) {
+            const lens = this.lenses[i];
+            if (lens.type === 'stop') continue;
+            if (lens.group && this.lenses[i + 1].group === lens.group) continue; // Inside a lens
+
+            let next = i + 1;
+            while (next < count - 1 && this.lenses[next].type === 'stop') next++;
+            if (this.lenses[next].type === 'stop') continue; // Nothing but stops behind
+
+            const image = this.calculateImageAfter(i, objectZ);
+            if (!image || !isFinite(image.z)) continue;
+
+            // Distances along the light path from the element
+            const dir = Math.sign(this.indexAfter(i));
+            const t = (image.z - lens.z) * dir;
+            const gap = (this.lenses[next].z - lens.z) * dir;
+            const kind = t < 0 ? 'virtual' : (t > gap ? 'virtual-object' : 'real');
+            images.push({ index: i, next, z: image.z, mag: image.mag, kind });
+        }
+        return images;
+    }
+
+    /**
+     * Paraxial (y-nu) trace report. For every element: the height and slope after it
+     * of the marginal ray and of the chief ray of `field` (object height or field
+     * slope, the edge of the field by default), the conjugate distances it works
+     * between and the image formed by everything up to it, with the magnification.
+     * s and s' are measured from the element along the light, so a real object in
+     * front has s < 0 and a real image behind it s' > 0. Stops pass their object on.
+     * @param {number} objectZ - Object position (-Infinity for an infinite object)
+     * @param {number} field - Object height or field slope of the chief ray
+     * @returns {Object} { rows, field, stopIndex, lagrange }
+     */
+    calculateParaxialReport(objectZ, field) {
+        const pupils = this.calculatePupils(objectZ);
+        if (!pupils) return null;
+        if (field === undefined) field = isFinite(pupils.fieldLimit) ? pupils.fieldLimit : 0;
+
+        const m = pupils.marginal;
+        const c = Math.abs(field) > 1e-12 ? this.chiefRayStart(objectZ, field, pupils.stopIndex) : null;
+        const marginal = this.traceParaxialRay(m.z, m.y, m.u);
+        const chief = c ? this.traceParaxialRay(c.z, c.y, c.u) : null;
+
+        // Lagrange invariant in object space
+        const first = this.lenses[0];
+        const y0 = m.y + m.u * (first.z - m.z);
+        const yc0 = c ? c.y + c.u * (first.z - c.z) : 0;
+        const lagrange = c ? c.u * y0 - m.u * yc0 : 0;
+
+        let object = objectZ; // What the current element images
+        let dirIn = 1;
+        const rows = this.lenses.map((lens, i) => {
+            const image = this.calculateImageAfter(i, objectZ);
+            const n = this.indexAfter(i);
+            const dirOut = Math.sign(n);
+            const row = {
+                index: i,
+                z: lens.z,
+                n,
+                y: marginal.heights[i],
+                u: marginal.slopes[i],
+                yc: chief ? chief.heights[i] : 0,
+                uc: chief ? chief.slopes[i] : 0,
+                s: isFinite(object) ? (object - lens.z) * dirIn : -Infinity,
+                sPrime: isFinite(image.z) ? (image.z - lens.z) * dirOut : Infinity,
+                imageZ: image.z,
+                mag: image.mag
+            };
+            object = image.z;
+            dirIn = dirOut;
+            return row;
+        });
+
+        return { rows, field, stopIndex: pupils.stopIndex, lagrange };
+    }
+
+    // Lateral displacement {x, y} of the image of the axial object point caused
+    // by decentered and tilted elements (zero for a centered system)
+    calculateImageShift(objectZ) {
+        const image = this.calculateImage(objectZ);
+        if (!image || !isFinite(image.z)) return null;
+
+        // Any ray from the object point reaches the same paraxial image point
+        const first = this.lenses[0];
+        const ray = isFinite(objectZ)
+            ? this.traceParaxialRay(objectZ, 0, 0).ray
+            : this.traceParaxialRay(first.z, 0, 0).ray;
+        ray.propagate(image.z);
+        return { x: ray.x, y: ray.y };
+    }
+
+    // Trace a paraxial ray without aperture clipping and record it at every element.
+    // Returns the height at each element and the slope after each element.
+    traceParaxialRay(z, y, u, x = 0, v = 0) {
+        this.sortLenses();
+
+        const ray = new Ray(z, y, u, x, v);
+        const heights = [];
+        const slopes = [];
+
+        for (const lens of this.lenses) {
+            ray.propagate(lens.z);
+            heights.push(ray.y);
+
+            if (lens.type === 'surface') {
+                ray.refractSurface(lens.R, Math.sign(ray.n) * lens.index(this.wavelength), lens);
+            } else if (lens.type === 'mirror') {
+                ray.reflect(lens.R, lens);
+            } else if (lens.type === 'lens') {
+                ray.refract(lens.focalLength(this.wavelength), lens);
+            } else if (lens instanceof Block) {
+                // Back at z with the outgoing slope, as the matrix sees it
+                lens.traceParaxial(ray, this.wavelength, false);
+                ray.propagate(lens.z);
+            }
+            slopes.push(ray.u);
+        }
+
+        return { heights, slopes, ray };
+    }
+
+    // Locate the aperture stop, field stop and pupils for a given Object Z.
+    // The aperture stop limits the axial (marginal) ray, the field stop limits
+    // the chief ray that passes through the center of the aperture stop.
+    calculatePupils(objectZ) {
+        if (this.lenses.length === 0) return null;
+        this.sortLenses();
+
+        const first = this.lenses[0];
+        const last = this.lenses[this.lenses.length - 1];
+        const infinite = !isFinite(objectZ);
+        if (!infinite && objectZ >= first.z) return null;
+
+        // 1. Aperture Stop: smallest ratio of aperture to axial ray height
+        const axial = infinite
+            ? this.traceParaxialRay(first.z, 1, 0)
+            : this.traceParaxialRay(objectZ, 0, 1);
+
+        let stopIndex = -1;
+        let marginalScale = Infinity;
+        axial.heights.forEach((y, i) => {
+            const ratio = this.lenses[i].h / Math.abs(y);
+            if (ratio < marginalScale) {
+                marginalScale = ratio;
+                stopIndex = i;
+            }
+        });
+        if (stopIndex < 0) return null;
+
+        const stop = this.lenses[stopIndex];
+
+        // 2. Entrance Pupil: image of the stop through the elements in front of it.
+        // A plane at distance s before the first element is conjugate to the stop when A s + B = 0.
+        const pre = this.calculateMatrixRange(0, stopIndex);
+        const entrancePupil = (Math.abs(pre.A) < 1e-10)
+            ? { z: Infinity, r: Infinity }
+            : { z: first.z + pre.B / pre.A, r: stop.h / Math.abs(pre.A) };
+
+        // 3. Exit Pupil: image of the stop through the elements behind it.
+        // Image distance d_i = -n' B / D, magnification 1 / D.
+        const post = this.calculateMatrixRange(stopIndex, this.lenses.length - 1);
+        const nImg = this.imageIndex;
+        const exitPupil = (Math.abs(post.D) < 1e-10)
+            ? { z: Infinity, r: Infinity }
+            : { z: last.z - nImg * post.B / post.D, r: stop.h / Math.abs(post.D) };
+
+        // 4. Marginal ray: axial ray scaled to fill the stop
+        const marginal = infinite
+            ? { z: first.z, y: marginalScale, u: 0 }
+            : { z: objectZ, y: 0, u: marginalScale };
+        const uImage = axial.slopes[axial.slopes.length - 1] * marginalScale;
+
+        // 5. Field Stop: smallest ratio of aperture to chief ray height (excluding the aperture stop)
+        const chiefUnit = this.chiefRayStart(objectZ, 1, stopIndex);
+        let fieldStopIndex = -1;
+        let fieldLimit = Infinity;
+        if (chiefUnit) {
+            const chief = this.traceParaxialRay(chiefUnit.z, chiefUnit.y, chiefUnit.u);
+            chief.heights.forEach((y, i) => {
+                if (i === stopIndex) return;
+                const ratio = this.lenses[i].h / Math.abs(y);
+                if (ratio < fieldLimit) {
+                    fieldLimit = ratio;
+                    fieldStopIndex = i;
+                }
+            });
+        }
+
+        // 6. Figures of merit
+        const cardinal = this.calculateCardinalPoints();
+        const fNumber = (isFinite(cardinal.efl) && isFinite(entrancePupil.r))
+            ? Math.abs(cardinal.efl) / (2 * entrancePupil.r)
+            : Infinity;
+        const na = Math.abs(nImg) * Math.sin(Math.atan(Math.abs(uImage)));
+        const workingFNumber = Math.abs(uImage) > 1e-12 ? 1 / (2 * Math.abs(nImg * uImage)) : Infinity;
+
+        // Field of view: half angle (deg) for an infinite object, half height otherwise
+        let fov = null;
+        if (isFinite(fieldLimit)) {
+            fov = infinite
+                ? { type: 'angle', half: Math.atan(fieldLimit) * 180 / Math.PI }
+                : { type: 'height', half: fieldLimit };
+        }
+
+        return {
+            stopIndex, stop,
+            fieldStopIndex,
+            fieldStop: fieldStopIndex >= 0 ? this.lenses[fieldStopIndex] : null,
+            fieldLimit,
+            entrancePupil, exitPupil,
+            marginal,
+            fNumber, workingFNumber, na, fov
+        };
+    }
+
+    // Object-space start of the chief ray for a field point that passes through
+    // the center of the aperture stop. `field` is the object height for a finite
+    // object, or the field slope (tan of the angle) for an infinite object.
+    chiefRayStart(objectZ, field, stopIndex) {
+        if (this.lenses.length === 0) return null;
+        const first = this.lenses[0];
+
+        if (stopIndex === undefined) {
+            const pupils = this.calculatePupils(objectZ);
+            if (!pupils) return null;
+            stopIndex = pupils.stopIndex;
+        }
+        const pre = this.calculateMatrixRange(0, stopIndex);
+
+        if (!isFinite(objectZ)) {
+            // Parallel bundle at slope `field` crossing the axis at the entrance pupil
+            if (Math.abs(pre.A) < 1e-10) return null;
+            return { z: first.z, y: -field * pre.B / pre.A, u: field };
+        }
+
+        // From (objectZ, field): A (field + u L) + B u = 0 at the stop
+        const L = first.z - objectZ;
+        const denom = pre.A * L + pre.B;
+        if (Math.abs(denom) < 1e-10) return null;
+        return { z: objectZ, y: field, u: -pre.A * field / denom };
+    }
+
+    // Longitudinal and lateral color between the F and C lines, relative to the d-line.
+    // `field` is the object height (finite object) or field slope (infinite object)
+    // used for the chief ray; lateral color is its height spread at the d-line image.
+    calculateChromaticAberration(objectZ, field = 0) {
+        const { F, d, C } = GlassCatalog.lines;
+        const reference = this.atWavelength(d, () => this.calculateImage(objectZ));
+        if (!reference || !isFinite(reference.z)) return null;
+
+        const images = {};
+        const chiefHeights = {};
+        for (const [line, wavelength] of Object.entries({ F, d, C })) {
+            this.atWavelength(wavelength, () => {
+                images[line] = this.calculateImage(objectZ);
+
+                const start = Math.abs(field) > 1e-12 ? this.chiefRayStart(objectZ, field) : null;
+                if (start) {
+                    const ray = this.traceParaxialRay(start.z, start.y, start.u).ray;
+                    ray.propagate(reference.z);
+                    chiefHeights[line] = ray.y;
+                } else {
+                    chiefHeights[line] = 0;
+                }
+            });
+        }
+
+        return {
+            longitudinal: images.F.z - images.C.z,
+            lateral: chiefHeights.F - chiefHeights.C,
+            images
+        };
+    }
+
+    // Third-order (Seidel) aberration sums S_I..S_V per element, from the paraxial
+    // marginal ray and the chief ray of the given field (object height or field
+    // slope; defaults to the edge of the field). Thin lenses are evaluated as two
+    // surfaces of zero thickness with their bending factor and glass (N-BK7 when
+    // no glass is set); a mirror is a surface into the index -n; plates, prisms and GRIN
+    // rods contribute through their flat faces; stops contribute nothing.
+    calculateSeidel(objectZ, field) {
+        const pupils = this.calculatePupils(objectZ);
+        if (!pupils) return null;
+        if (field === undefined) field = isFinite(pupils.fieldLimit) ? pupils.fieldLimit : 0;
+
+        const first = this.lenses[0];
+        const m = pupils.marginal;
+        const c = Math.abs(field) > 1e-12 ? this.chiefRayStart(objectZ, field, pupils.stopIndex) : null;
+
+        // Marginal (y, u) and chief (yc, uc) rays at the first element
+        let y = m.y + m.u * (first.z - m.z);
+        let u = m.u;
+        let yc = c ? c.y + c.u * (first.z - c.z) : 0;
+        let uc = c ? c.u : 0;
+        let n = 1;
+
+        // Lagrange invariant
+        const H = n * (uc * y - u * yc);
+
+        const elements = [];
+        const total = [0, 0, 0, 0, 0];
+
+        for (let i = 0; i < this.lenses.length; i++) {
+            const lens = this.lenses[i];
+            if (i > 0) {
+                const d = lens.z - this.lenses[i - 1].z;
+                y += u * d;
+                yc += uc * d;
+            }
+
+            const sums = [0, 0, 0, 0, 0];
+
+            // Contributions of one surface of curvature `curv` from index n1 to n2
+            const surface = (curv, n1, n2) => {
+                const A = n1 * (u + y * curv); // Refraction invariants
+                const Ab = n1 * (uc + yc * curv);
+                const u2 = (n1 * u - y * curv * (n2 - n1)) / n2;
+                const uc2 = (n1 * uc - yc * curv * (n2 - n1)) / n2;
+
+                const dun = u2 / n2 - u / n1;
+                const dn = 1 / n2 - 1 / n1;
+                const dn2 = 1 / (n2 * n2) - 1 / (n1 * n1);
+
+                sums[0] += -A * A * y * dun;
+                sums[1] += -A * Ab * y * dun;
+                sums[2] += -Ab * Ab * y * dun;
+                sums[3] += -H * H * curv * dn;
+                sums[4] += -Ab * Ab * Ab * y * dn2 + Ab * yc * curv * (2 * Ab * y - A * yc) * dn;
+
+                u = u2;
+                uc = uc2;
+            };
+
+            if (lens.type === 'surface' || lens.type === 'mirror') {
+                const n2 = this.indexAfter(i);
+                surface(isFinite(lens.R) ? 1 / lens.R : 0, n, n2);
+                n = n2;
+            } else if (lens.type === 'lens') {
+                const nGlass = Math.sign(n) * GlassCatalog.index(lens.glass || 'N-BK7', this.wavelength);
+                const k = 1 / (lens.focalLength(this.wavelength) * (nGlass - n));
+                surface((lens.shape + 1) * k / 2, n, nGlass);
+                surface((lens.shape - 1) * k / 2, nGlass, n);
+            } else if (lens instanceof Block) {
+                // Flat faces around the interior matrix, then back to z with the outgoing
+                // slopes (face tilts are left out)
+                const nIn = Math.sign(n) * lens.index(this.wavelength);
+                const M = lens.interiorMatrix(Math.abs(nIn));
+                const back = Math.sign(n) * lens.length;
+                surface(0, n, nIn);
+                [y, u] = [M.A * y + M.B * nIn * u, (M.C * y + M.D * nIn * u) / nIn];
+                [yc, uc] = [M.A * yc + M.B * nIn * uc, (M.C * yc + M.D * nIn * uc) / nIn];
+                surface(0, nIn, n);
+                y -= u * back;
+                yc -= uc * back;
+            }
+
+            sums.forEach((v, j) => total[j] += v);
+            elements.push({ index: i, sums });
+        }
+
+        return { elements, total, H, field };
+    }
+
+    // Round trip of a linear cavity formed by the first and last elements (both
+    // mirrors), starting just after the first mirror. The return pass through the
+    // interior uses the reversed matrix [D B; C A]. Returns the round-trip matrix,
+    // the stability parameter m = (A + D) / 2 (stable for |m| < 1) and, when stable,
+    // the waist of the fundamental mode at `wavelength` [nm].
+    calculateCavity(wavelength = this.wavelength) {
+        const count = this.lenses.length;
+        if (count < 2) return null;
+        const first = this.lenses[0];
+        const last = this.lenses[count - 1];
+        if (first.type !== 'mirror' || last.type !== 'mirror') return null;
+
+        const mul = (P, Q) => ({
+            A: P.A * Q.A + P.B * Q.C, B: P.A * Q.B + P.B * Q.D,
+            C: P.C * Q.A + P.D * Q.C, D: P.C * Q.B + P.D * Q.D
+        });
+
+        // Refraction matrix [1 0; -P 1] of a mirror reflecting from index n to -n
+        const reflection = (R, n) => ({ A: 1, B: 0, C: isFinite(R) ? 2 * n / R : 0, D: 1 });
+        const inverse = (M) => ({ A: M.D, B: -M.B, C: -M.C, D: M.A }); // det = 1
+        const n0 = this.indexAfter(0); // Inside the cavity, after the first mirror
+
+        // One pass from just after the first mirror, including the reflection at the last
+        const forward = mul(this.calculateMatrixRange(0, count - 1), inverse(reflection(first.R, 1)));
+
+        // Interior alone, reversed for the return pass, then back at the first mirror
+        const interior = mul(inverse(reflection(last.R, n0)), forward);
+        const back = { A: interior.D, B: interior.B, C: interior.C, D: interior.A };
+        const matrix = mul(reflection(first.R, -n0), mul(back, forward));
+        const m = (matrix.A + matrix.D) / 2;
+        const stable = Math.abs(m) < 1 && Math.abs(matrix.C) > 1e-15;
+
+        // Self-consistent q: C q^2 + (D - A) q - B = 0
+        let waist = null;
+        if (stable) {
+            const zR = Math.abs(n0) * Math.sqrt(1 - m * m) / Math.abs(matrix.C);
+            const re = (matrix.A - matrix.D) / (2 * matrix.C);
+            const lambda = wavelength * 1e-6; // nm -> mm
+            waist = { z: first.z - n0 * re, zR, w0: Math.sqrt(lambda * zR / Math.PI) }; // as GaussianBeam.waistOf
+        }
+
+        return { matrix, m, stable, waist };
+    }
+}
+
+// Exports for Node (scripts, the command-line tool and tests); the page uses the globals
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        Ray, Lens, Surface, Mirror, Stop, Frame, Block, Plate, Prism, GrinRod,
+        OpticalSystem, PRESCRIPTION_FIELDS, refractDirection, GlassCatalog
+    };
 }
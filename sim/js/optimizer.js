@@ -0,0 +1,213 @@
+// optimizer.js
+
+// Damped least squares (Levenberg-Marquardt) design optimizer.
+//   variables: element parameters the optimizer may change, with bounds
+//   targets:   quantities to drive to a value, with a weight
+//   solves:    quantities pinned exactly by adjusting one parameter
+// Quantities are named as in Optimizer.QUANTITIES.
+class Optimizer {
+    constructor(system) {
+        this.system = system;
+        this.variables = []; // { id, param, min, max }
+        this.targets = []; // { quantity, value, weight }
+        this.solves = []; // { quantity, value, id, param }
+        this.damping = 1e-3;
+        this.iteration = 0;
+    }
+
+    // Evaluate a named quantity of the system for an object position
+    static evaluate(system, quantity, objectZ) {
+        if (system.lenses.length === 0) return NaN;
+
+        if (quantity === 'efl' || quantity === 'bfl') {
+            const points = system.calculateCardinalPoints();
+            return points ? points[quantity] : NaN;
+        }
+
+        const image = system.calculateImage(objectZ);
+        if (!image) return NaN;
+        if (quantity === 'imageZ') return image.z;
+        if (quantity === 'mag') return image.mag === null ? NaN : image.mag;
+        if (quantity === 'track') return image.z - system.lenses[0].z;
+        return NaN;
+    }
+
+    element(id) {
+        return this.system.lenses.find(l => l.id === id);
+    }
+
+    getParam(v) {
+        const el = this.element(v.id);
+        return el ? el[v.param] : NaN;
+    }
+
+    setParam(v, value) {
+        const el = this.element(v.id);
+        if (!el) return;
+        el[v.param] = value;
+        if (v.param === 'z') this.system.sortLenses();
+    }
+
+    // Drop variables, targets and solves that refer to removed elements, and variables
+    // that can no longer vary (a radius made flat)
+    prune() {
+        this.variables = this.variables.filter(v => this.element(v.id) && isFinite(this.getParam(v)));
+        this.solves = this.solves.filter(s => this.element(s.id));
+    }
+
+    // Pin each solved quantity with a secant search on its parameter
+    applySolves(objectZ) {
+        for (const solve of this.solves) {
+            const f = (x) => {
+                this.setParam(solve, x);
+                return Optimizer.evaluate(this.system, solve.quantity, objectZ) - solve.value;
+            };
+
+            const start = this.getParam(solve);
+            let x0 = start;
+            let x1 = start + Math.max(1e-3, Math.abs(start) * 1e-3);
+            let f0 = f(x0);
+            let f1 = f(x1);
+            let solved = Math.abs(f0) < 1e-9;
+
+            for (let i = 0; i < 30 && !solved; i++) {
+                if (!isFinite(f0) || !isFinite(f1) || f1 === f0) break;
+                const x2 = x1 - f1 * (x1 - x0) / (f1 - f0);
+                x0 = x1; f0 = f1;
+                x1 = x2; f1 = f(x1);
+                solved = Math.abs(f1) < 1e-9;
+            }
+
+            solve.solved = solved;
+            this.setParam(solve, solved ? x1 : start);
+        }
+    }
+
+    residuals(objectZ) {
+        this.applySolves(objectZ);
+        return this.targets.map(t => {
+            const value = Optimizer.evaluate(this.system, t.quantity, objectZ);
+            // Unreachable quantities (e.g. image at infinity) get a large penalty
+            return isFinite(value) ? (value - t.value) * t.weight : 1e6;
+        });
+    }
+
+    merit(objectZ) {
+        return this.residuals(objectZ).reduce((sum, r) => sum + r * r, 0);
+    }
+
+    clamp(v, value) {
+        return Math.min(v.max, Math.max(v.min, value));
+    }
+
+    // One damped least squares iteration. Returns the merit after the step.
+    step(objectZ) {
+        this.prune();
+        const vars = this.variables;
+        const x0 = vars.map(v => this.getParam(v));
+        const r0 = this.residuals(objectZ);
+        const m0 = r0.reduce((sum, r) => sum + r * r, 0);
+        if (vars.length === 0 || r0.length === 0) return m0;
+
+        // Jacobian by forward differences
+        const J = r0.map(() => new Array(vars.length).fill(0));
+        vars.forEach((v, j) => {
+            const h = Math.max(1e-4, Math.abs(x0[j]) * 1e-5);
+            this.setParam(v, x0[j] + h);
+            const r = this.residuals(objectZ);
+            r.forEach((ri, i) => J[i][j] = (ri - r0[i]) / h);
+            this.setParam(v, x0[j]);
+        });
+
+        // Normal equations: (J^T J + lambda diag(J^T J)) dx = -J^T r
+        const n = vars.length;
+        const JtJ = [];
+        const Jtr = [];
+        for (let a = 0; a < n; a++) {
+            JtJ.push(new Array(n).fill(0));
+            Jtr.push(0);
+            for (let i = 0; i < r0.length; i++) {
+                Jtr[a] += J[i][a] * r0[i];
+                for (let b = 0; b < n; b++) JtJ[a][b] += J[i][a] * J[i][b];
+            }
+        }
+
+        // Raise the damping until the step improves the merit
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const M = JtJ.map((row, a) => row.map((val, b) => a === b ? val * (1 + this.damping) + 1e-12 : val));
+            const dx = Optimizer.solveLinear(M, Jtr.map(g => -g));
+
+            if (dx) {
+                vars.forEach((v, j) => this.setParam(v, this.clamp(v, x0[j] + dx[j])));
+                const m1 = this.merit(objectZ);
+                if (m1 < m0) {
+                    this.damping = Math.max(1e-7, this.damping / 3);
+                    this.iteration++;
+                    return m1;
+                }
+            }
+
+            this.damping *= 10;
+        }
+
+        // No improvement: restore the starting point
+        vars.forEach((v, j) => this.setParam(v, x0[j]));
+        this.applySolves(objectZ);
+        this.iteration++;
+        return m0;
+    }
+
+    // Run until converged or out of iterations; onStep(iteration, merit) is called after each step
+    run(objectZ, maxIterations = 50, onStep) {
+        let merit = this.merit(objectZ);
+        for (let i = 0; i < maxIterations; i++) {
+            const next = this.step(objectZ);
+            if (onStep) onStep(this.iteration, next);
+            const converged = merit - next < 1e-12 * (1 + merit);
+            merit = next;
+            if (converged) break;
+        }
+        return merit;
+    }
+
+    // Gaussian elimination with partial pivoting; null if singular
+    static solveLinear(M, b) {
+        const n = b.length;
+        const A = M.map((row, i) => [...row, b[i]]);
+
+        for (let c = 0; c < n; c++) {
+            let pivot = c;
+            for (let r = c + 1; r < n; r++) {
+                if (Math.abs(A[r][c]) > Math.abs(A[pivot][c])) pivot = r;
+            }
+            if (Math.abs(A[pivot][c]) < 1e-14) return null;
+            [A[c], A[pivot]] = [A[pivot], A[c]];
+
+            for (let r = c + 1; r < n; r++) {
+                const k = A[r][c] / A[c][c];
+                for (let k2 = c; k2 <= n; k2++) A[r][k2] -= k * A[c][k2];
+            }
+        }
+
+        const x = new Array(n).fill(0);
+        for (let r = n - 1; r >= 0; r--) {
+            let sum = A[r][n];
+            for (let c = r + 1; c < n; c++) sum -= A[r][c] * x[c];
+            x[r] = sum / A[r][r];
+        }
+        return x;
+    }
+}
+
+// Quantities available to targets and solves
+Optimizer.QUANTITIES = {
+    efl: 'EFL',
+    bfl: 'BFL',
+    imageZ: 'Image Z',
+    mag: 'Magnification',
+    track: 'Total Track'
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Optimizer };
+}
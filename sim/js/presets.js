@@ -0,0 +1,154 @@
+// presets.js
+
+// Ready-made systems for teaching. Each preset is a setup in the saved-setup format
+// (see serializeSetup in main.js) without a viewport: loading one frames it instead.
+// Settings a preset leaves out (trace mode, spectrum, ...) are reset to the defaults.
+const PresetGallery = {
+    presets: [
+        {
+            id: 'keplerian',
+            name: 'Keplerian Telescope',
+            description: 'Objective f = 200 and eyepiece f = 50, separated by the sum of their focal lengths, so a ' +
+                'distant object leaves collimated: the system is afocal. The angular magnification is -f1/f2 = -4 ' +
+                '(the view is inverted) and the beam is compressed 4x. The exit pupil, where the eye goes, lies ' +
+                '62.5 mm behind the eyepiece.',
+            setup: {
+                version: 1,
+                system: {
+                    elements: [
+                        { type: 'lens', f: 200, z: 0, h: 25 },
+                        { type: 'lens', f: 50, z: 250, h: 12.5 }
+                    ]
+                },
+                object: { mode: 'infinity', angle: 1 },
+                rayCount: 9
+            }
+        },
+        {
+            id: 'galilean',
+            name: 'Galilean Telescope',
+            description: 'A negative eyepiece (f = -50) placed before the focus of the objective (f = 200) makes ' +
+                'an afocal system only f1 + f2 = 150 mm long. The angular magnification is +4: the view is upright, ' +
+                'as in opera glasses. The exit pupil is virtual, inside the telescope, which limits the field.',
+            setup: {
+                version: 1,
+                system: {
+                    elements: [
+                        { type: 'lens', f: 200, z: 0, h: 25 },
+                        { type: 'lens', f: -50, z: 150, h: 10 }
+                    ]
+                },
+                object: { mode: 'infinity', angle: 1 },
+                rayCount: 9
+            }
+        },
+        {
+            id: 'microscope',
+            name: 'Compound Microscope',
+            description: 'The objective (f = 16) forms a real, inverted intermediate image 10x the object, 160 mm ' +
+                'past its back focal point (the tube length). The eyepiece (f = 25) is used as a magnifier on that ' +
+                'image and forms a virtual image near 250 mm in front of it (the near point of the eye), for an ' +
+                'overall magnification of about -110.',
+            setup: {
+                version: 1,
+                system: {
+                    elements: [
+                        { type: 'lens', f: 16, z: 0, h: 6 },
+                        { type: 'lens', f: 25, z: 198.7, h: 12 }
+                    ]
+                },
+                object: { mode: 'extended', z: -17.6, height: 0.5, fields: 3, shape: 'arrow' },
+                rayCount: 7
+            }
+        },
+        {
+            id: 'relay-4f',
+            name: '4f Relay',
+            description: 'Two f = 100 lenses 2f apart image the front focal plane of the first onto the back focal ' +
+                'plane of the second with magnification -1, for every object distance. The stop sits in the shared ' +
+                'focal plane (the Fourier plane, where spatial filters go), which makes the relay telecentric on both ' +
+                'sides: the chief rays run parallel to the axis.',
+            setup: {
+                version: 1,
+                system: {
+                    elements: [
+                        { type: 'lens', f: 100, z: 0, h: 25 },
+                        { type: 'stop', z: 100, h: 8 },
+                        { type: 'lens', f: 100, z: 200, h: 25 }
+                    ]
+                },
+                object: { mode: 'extended', z: -100, height: 10, fields: 3, shape: 'line' },
+                rayCount: 7
+            }
+        },
+        {
+            id: 'beam-expander',
+            name: 'Beam Expander',
+            description: 'A Galilean expander: f = -25 followed by f = 100 at 75 mm widens a HeNe laser beam 4x. ' +
+                'The wider beam diverges 4x less and can be focused to a 4x smaller spot. The envelope is the ' +
+                'Gaussian beam radius w(z), drawn 2x exaggerated.',
+            setup: {
+                version: 1,
+                system: {
+                    elements: [
+                        { type: 'lens', f: -25, z: 0, h: 5 },
+                        { type: 'lens', f: 100, z: 75, h: 15 }
+                    ]
+                },
+                object: { mode: 'beam', z: -150, w0: 1, wavelength: 633, beamScale: 2 },
+                rayCount: 10
+            }
+        },
+        {
+            id: 'camera-relay',
+            name: 'Camera Relay',
+            description: 'A camera objective (achromat, f = 100, stopped down to f/8) images a distant scene; a 1:1 ' +
+                'relay of two achromats facing each other re-images it onto the sensor. The intermediate image is ' +
+                'inverted and the final one upright, as in periscopes and endoscopes. Between the relay lenses the ' +
+                'light is collimated, so their spacing does not matter.',
+            setup: {
+                version: 1,
+                system: {
+                    elements: [
+                        { type: 'stop', z: -5, h: 6.25 },
+                        { type: 'doublet', part: 'ACH-25-100', R1: 45.04, R2: -45.04, R3: -815.27, t1: 5.7, t2: 2, glass1: 'N-BK7', glass2: 'F2', z: 0, h: 12.7 },
+                        { type: 'doublet', part: 'ACH-25-100', R1: 815.27, R2: 45.04, R3: -45.04, t1: 2, t2: 5.7, glass1: 'F2', glass2: 'N-BK7', z: 196.8, h: 12.7 },
+                        { type: 'doublet', part: 'ACH-25-100', R1: 45.04, R2: -45.04, R3: -815.27, t1: 5.7, t2: 2, glass1: 'N-BK7', glass2: 'F2', z: 225, h: 12.7 }
+                    ]
+                },
+                object: { mode: 'infinity', angle: 1.5 },
+                rayCount: 7
+            }
+        },
+        {
+            id: 'cooke-triplet',
+            name: 'Cooke Triplet',
+            description: 'The classic anastigmat: two positive N-SK16 crown singlets around a negative F2 flint, with ' +
+                'the stop in the rear air gap. The spacings balance the Petzval sum, astigmatism and distortion, so ' +
+                'three simple lenses give a usable f = 100, f/4.2 lens, shown here over a 10 degree half field. ' +
+                'Real rays are traced; try the F, d, C spectrum and the Seidel panel.',
+            setup: {
+                version: 1,
+                system: {
+                    elements: [
+                        { type: 'singlet', R1: 48.12, R2: -952.45, t: 7.12, glass: 'N-SK16', z: 0, h: 22 },
+                        { type: 'singlet', R1: -48.55, R2: 44.35, t: 2.19, glass: 'F2', z: 20.25, h: 17.5 },
+                        { type: 'stop', z: 32.82, h: 10 },
+                        { type: 'singlet', R1: 174.17, R2: -40.17, t: 6.56, glass: 'N-SK16', z: 39.28, h: 19.5 }
+                    ]
+                },
+                object: { mode: 'infinity', angle: 10 },
+                rayCount: 9,
+                traceMode: 'real'
+            }
+        }
+    ],
+
+    find(id) {
+        return this.presets.find(preset => preset.id === id) || null;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PresetGallery };
+}
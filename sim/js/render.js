@@ -1,5 +1,86 @@
 // render.js
 
+// Under Node the element classes are loaded here; the page provides them as globals
+if (typeof module !== 'undefined' && module.exports && typeof Block === 'undefined') {
+    globalThis.Block = require('./optics.js').Block;
+}
+
+// Colors of the diagram. 'light' is meant for printing and slides.
+const RENDER_THEMES = {
+    dark: {
+        background: '#000',
+        grid: '#222',
+        axis: '#444',
+        muted: '#666',
+        label: '#fff',
+        element: '#0af',
+        glass: 'rgba(0, 170, 255, 0.15)',
+        glassEdge: 'rgba(0, 170, 255, 0.5)',
+        grin: ['rgba(0, 170, 255, 0.05)', 'rgba(0, 170, 255, 0.4)'],
+        mirror: '#ddd',
+        stop: '#ccc',
+        pupil: 'rgba(255, 170, 0, 0.8)',
+        pupilTag: '#fa0',
+        ray: 'rgba(255, 255, 100, 0.5)',
+        rayExtension: 'rgba(255, 255, 100, 0.3)',
+        marginalRay: 'rgba(255, 140, 0, 0.9)',
+        chiefRay: 'rgba(0, 255, 255, 0.9)',
+        fieldLightness: 60, // [%] of the field point colors
+        spectrumBrightness: 1,
+        beamFill: 'rgba(255, 40, 40, 0.25)',
+        beamEdge: 'rgba(255, 60, 60, 0.9)',
+        waist: '#f66',
+        evaluation: 'rgba(0, 255, 200, 0.6)',
+        evaluationLabel: 'rgba(0, 255, 200, 0.8)',
+        panel: 'rgba(0, 0, 0, 0.7)',
+        status: '#4CAF50',
+        object: '#f00',
+        image: '#f0f',
+        intermediate: 'rgba(255, 0, 255, 0.8)',
+        intermediateVirtual: 'rgba(255, 0, 255, 0.45)',
+        principal: 'rgba(0, 255, 0, 0.5)',
+        principalLabel: 'rgba(0, 255, 0, 0.8)',
+        dimension: '#aaa',
+        measure: '#ffeb3b'
+    },
+    light: {
+        background: '#fff',
+        grid: '#eee',
+        axis: '#999',
+        muted: '#888',
+        label: '#222',
+        element: '#0060c0',
+        glass: 'rgba(0, 96, 192, 0.12)',
+        glassEdge: 'rgba(0, 96, 192, 0.5)',
+        grin: ['rgba(0, 96, 192, 0.05)', 'rgba(0, 96, 192, 0.35)'],
+        mirror: '#444',
+        stop: '#555',
+        pupil: 'rgba(210, 120, 0, 0.9)',
+        pupilTag: '#c60',
+        ray: 'rgba(200, 110, 0, 0.6)',
+        rayExtension: 'rgba(200, 110, 0, 0.35)',
+        marginalRay: 'rgba(230, 90, 0, 0.9)',
+        chiefRay: 'rgba(0, 130, 170, 0.9)',
+        fieldLightness: 42,
+        spectrumBrightness: 0.8,
+        beamFill: 'rgba(220, 0, 0, 0.15)',
+        beamEdge: 'rgba(200, 0, 0, 0.9)',
+        waist: '#c00',
+        evaluation: 'rgba(0, 150, 120, 0.6)',
+        evaluationLabel: 'rgba(0, 150, 120, 0.9)',
+        panel: 'rgba(255, 255, 255, 0.85)',
+        status: '#2e7d32',
+        object: '#d00',
+        image: '#a0a',
+        intermediate: 'rgba(160, 0, 160, 0.8)',
+        intermediateVirtual: 'rgba(160, 0, 160, 0.45)',
+        principal: 'rgba(0, 140, 0, 0.6)',
+        principalLabel: 'rgba(0, 120, 0, 0.9)',
+        dimension: '#333',
+        measure: '#d32f2f'
+    }
+};
+
 class Renderer {
     constructor(canvas, system) {
         this.canvas = canvas;
@@ -10,6 +91,8 @@ class Renderer {
         this.scale = 2.0; // Pixels per unit
         this.offsetX = canvas.width / 2;
         this.offsetY = canvas.height / 2;
+        this.view = 'yz'; // 'yz' (meridional) or 'xz' (sagittal, seen from above)
+        this.theme = 'dark'; // Key of RENDER_THEMES
         
         // Mouse State
         this.isDragging = false;
@@ -17,8 +100,8 @@ class Renderer {
         this.lastMouseX = 0;
         this.lastMouseY = 0;
 
-        // Resize observer
-        window.addEventListener('resize', () => this.resize());
+        // Resize observer (there is no window under Node)
+        if (typeof window !== 'undefined') window.addEventListener('resize', () => this.resize());
         this.resize();
     }
 
@@ -32,6 +115,35 @@ class Renderer {
         this.draw();
     }
 
+    get colors() {
+        return RENDER_THEMES[this.theme];
+    }
+
+    // Draw through another context of width x height (CSS pixels) instead of the
+    // screen: an SvgContext, or a scaled offscreen canvas for a large PNG. `fn`
+    // draws as usual.
+    renderTo(ctx, width, height, fn) {
+        const screen = { ctx: this.ctx, canvas: this.canvas };
+        this.ctx = ctx;
+        this.canvas = { width, height };
+        try {
+            fn();
+        } finally {
+            this.ctx = screen.ctx;
+            this.canvas = screen.canvas;
+        }
+    }
+
+    // Zoom and pan so z from zMin to zMax and y within +/- yMax fill the canvas,
+    // leaving `margin` pixels around them. The axis stays centered vertically.
+    fit(zMin, zMax, yMax, margin = 40) {
+        const sz = (this.canvas.width - 2 * margin) / Math.max(zMax - zMin, 1);
+        const sy = (this.canvas.height / 2 - margin) / Math.max(yMax, 1);
+        this.scale = Math.max(0.05, Math.min(sz, sy));
+        this.offsetX = this.canvas.width / 2 - (zMin + zMax) / 2 * this.scale;
+        this.offsetY = this.canvas.height / 2;
+    }
+
     // Coordinate Transforms
     toCanvas(z, y) {
         return {
@@ -47,29 +159,60 @@ class Renderer {
         };
     }
 
+    // Lateral coordinate of a point in the current view
+    lateral(p) {
+        return this.view === 'xz' ? p.x : p.y;
+    }
+
+    // Canvas point of an element's local coordinates (axial s, lateral t in the
+    // view plane), following its decenter and tilt
+    elementPoint(element, s, t) {
+        const xz = this.view === 'xz';
+        const decenter = xz ? element.decenterX : element.decenterY;
+        const tilt = (xz ? element.tiltX : element.tiltY) * Math.PI / 180;
+        const c = Math.cos(tilt), sn = Math.sin(tilt);
+        return this.toCanvas(element.z + s * c - t * sn, decenter + t * c + s * sn);
+    }
+
     draw() {
         const ctx = this.ctx;
         const w = this.canvas.width;
         const h = this.canvas.height;
 
         // Clear
-        ctx.fillStyle = '#000';
+        ctx.fillStyle = this.colors.background;
         ctx.fillRect(0, 0, w, h);
 
         // Draw Grid
         this.drawGrid();
 
         // Draw Optical Axis
-        ctx.strokeStyle = '#444';
+        ctx.strokeStyle = this.colors.axis;
         ctx.lineWidth = 1;
         ctx.beginPath();
         ctx.moveTo(0, this.offsetY);
         ctx.lineTo(w, this.offsetY);
         ctx.stroke();
 
-        // Draw Lenses
+        // View plane
+        ctx.fillStyle = this.colors.muted;
+        ctx.font = '12px monospace';
+        ctx.fillText(this.view === 'xz' ? 'x-z (sagittal)' : 'y-z (meridional)', 10, h - 10);
+
+        // Draw Glass between surfaces, then Lenses
+        this.drawGlass();
         for (const lens of this.system.lenses) {
-            this.drawLens(lens);
+            if (lens.type === 'surface') {
+                this.drawSurface(lens);
+            } else if (lens.type === 'mirror') {
+                this.drawMirror(lens);
+            } else if (lens.type === 'stop') {
+                this.drawStop(lens);
+            } else if (lens instanceof Block) {
+                this.drawBlock(lens);
+            } else {
+                this.drawLens(lens);
+            }
         }
 
         // Draw Principal Planes
@@ -89,7 +232,7 @@ class Renderer {
         const gridSize = 50 * this.scale; // Every 50 units
         const subGridSize = 10 * this.scale; // Every 10 units
 
-        ctx.strokeStyle = '#222';
+        ctx.strokeStyle = this.colors.grid;
         ctx.lineWidth = 1;
 
         // Vertical lines
@@ -113,11 +256,11 @@ class Renderer {
 
     drawLens(lens) {
         const ctx = this.ctx;
-        const center = this.toCanvas(lens.z, 0);
-        const top = this.toCanvas(lens.z, lens.h);
-        const bottom = this.toCanvas(lens.z, -lens.h);
+        const center = this.elementPoint(lens, 0, 0);
+        const top = this.elementPoint(lens, 0, lens.h);
+        const bottom = this.elementPoint(lens, 0, -lens.h);
 
-        ctx.strokeStyle = '#0af';
+        ctx.strokeStyle = this.colors.element;
         ctx.lineWidth = 3;
         ctx.beginPath();
         ctx.moveTo(top.x, top.y);
@@ -149,9 +292,212 @@ class Renderer {
         ctx.stroke();
 
         // Label
-        ctx.fillStyle = '#0af';
+        ctx.fillStyle = this.colors.element;
         ctx.font = '12px monospace';
         ctx.fillText(`f=${lens.f}`, center.x + 5, bottom.y + 15);
+        if (lens.glass) ctx.fillText(lens.glass, center.x + 5, bottom.y + 29);
+    }
+
+    // Surface profile as a polyline following the sag
+    surfaceProfile(surface, h, steps = 24) {
+        const points = [];
+        for (let i = 0; i <= steps; i++) {
+            const y = h - (2 * h) * i / steps;
+            points.push(this.elementPoint(surface, surface.sag(y), y));
+        }
+        return points;
+    }
+
+    drawSurface(surface) {
+        const ctx = this.ctx;
+        const profile = this.surfaceProfile(surface, surface.h);
+
+        ctx.strokeStyle = this.colors.element;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(profile[0].x, profile[0].y);
+        for (let i = 1; i < profile.length; i++) {
+            ctx.lineTo(profile[i].x, profile[i].y);
+        }
+        ctx.stroke();
+
+        // Label
+        const bottom = profile[profile.length - 1];
+        ctx.fillStyle = this.colors.element;
+        ctx.font = '12px monospace';
+        const label = isFinite(surface.R) ? `R=${surface.R}` : 'R=inf';
+        ctx.fillText(label, bottom.x + 5, bottom.y + 15);
+    }
+
+    // Mirror profile with hatching on the back (the side away from the incoming light)
+    drawMirror(mirror) {
+        const ctx = this.ctx;
+        const index = this.system.lenses.indexOf(mirror);
+        const back = index > 0 ? Math.sign(this.system.indexAfter(index - 1)) : 1;
+
+        ctx.strokeStyle = this.colors.mirror;
+        for (const side of [1, -1]) {
+            // Upper and lower halves, leaving out the central hole
+            const ys = [];
+            for (let i = 0; i <= 12; i++) ys.push(side * (mirror.hole + (mirror.h - mirror.hole) * i / 12));
+            const profile = ys.map(y => this.elementPoint(mirror, mirror.sag(y), y));
+            const hatch = ys.map(y => this.elementPoint(mirror, mirror.sag(y) + back * 6 / this.scale, y - 4 * side / this.scale));
+
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            profile.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+            ctx.stroke();
+
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            profile.forEach((p, i) => {
+                ctx.moveTo(p.x, p.y);
+                ctx.lineTo(hatch[i].x, hatch[i].y);
+            });
+            ctx.stroke();
+        }
+
+        // Label
+        const bottom = this.elementPoint(mirror, mirror.sag(-mirror.h), -mirror.h);
+        ctx.fillStyle = this.colors.mirror;
+        ctx.font = '12px monospace';
+        ctx.fillText(isFinite(mirror.R) ? `R=${mirror.R}` : 'Flat', bottom.x + 5, bottom.y + 15);
+    }
+
+    // Plates, prisms and GRIN rods: the outline between the two faces, drawn toward
+    // the direction of travel. GRIN rods are shaded densest on the axis.
+    drawBlock(block) {
+        const ctx = this.ctx;
+        const index = this.system.lenses.indexOf(block);
+        const s = index > 0 ? Math.sign(this.system.indexAfter(index - 1)) : 1;
+
+        // Face tilts are about x, so the faces are square to the axis in the x-z view
+        const [front, back] = this.view === 'xz' ? [0, 0] : block.faceTilts;
+        const face = (z0, tilt, t) => this.elementPoint(block, z0 - t * Math.tan(tilt * Math.PI / 180), t);
+        const corners = [
+            face(0, front, block.h),
+            face(s * block.length, back, block.h),
+            face(s * block.length, back, -block.h),
+            face(0, front, -block.h)
+        ];
+
+        if (block.type === 'grin') {
+            const top = this.elementPoint(block, 0, block.h);
+            const bottom = this.elementPoint(block, 0, -block.h);
+            const gradient = ctx.createLinearGradient(top.x, top.y, bottom.x, bottom.y);
+            const [edge, center] = this.colors.grin;
+            gradient.addColorStop(0, edge);
+            gradient.addColorStop(0.5, center);
+            gradient.addColorStop(1, edge);
+            ctx.fillStyle = gradient;
+        } else {
+            ctx.fillStyle = this.colors.glass;
+        }
+        ctx.strokeStyle = this.colors.element;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        corners.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+
+        // Label
+        const labels = {
+            plate: `t=${block.length}`,
+            prism: `${block.apex}°`,
+            grin: `${(block.length / block.pitch).toFixed(2)}P`
+        };
+        const bottom = corners[3];
+        ctx.fillStyle = this.colors.element;
+        ctx.font = '12px monospace';
+        ctx.fillText(labels[block.type], bottom.x + 5, bottom.y + 15);
+        if (block.glass) ctx.fillText(block.glass, bottom.x + 5, bottom.y + 29);
+    }
+
+    drawStop(stop) {
+        const ctx = this.ctx;
+        const blade = Math.max(10, stop.h * 0.5); // Length of the diaphragm blades
+        const outerTop = this.elementPoint(stop, 0, stop.h + blade);
+        const innerTop = this.elementPoint(stop, 0, stop.h);
+        const innerBottom = this.elementPoint(stop, 0, -stop.h);
+        const outerBottom = this.elementPoint(stop, 0, -stop.h - blade);
+
+        ctx.strokeStyle = this.colors.stop;
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(outerTop.x, outerTop.y);
+        ctx.lineTo(innerTop.x, innerTop.y);
+        ctx.moveTo(innerBottom.x, innerBottom.y);
+        ctx.lineTo(outerBottom.x, outerBottom.y);
+        ctx.stroke();
+
+        // Label
+        ctx.fillStyle = this.colors.stop;
+        ctx.font = '12px monospace';
+        ctx.fillText(`a=${stop.h}`, outerBottom.x + 5, outerBottom.y + 15);
+    }
+
+    // Mark the aperture stop, field stop and the pupils
+    drawPupils(pupils) {
+        if (!pupils) return;
+        const ctx = this.ctx;
+        ctx.font = '12px monospace';
+
+        const tag = (element, text) => {
+            const p = this.elementPoint(element, 0, element.h);
+            ctx.fillStyle = this.colors.pupilTag;
+            ctx.fillText(text, p.x + 5, p.y - 5);
+        };
+        tag(pupils.stop, 'AS');
+        if (pupils.fieldStop) tag(pupils.fieldStop, 'FS');
+
+        const pupil = (p, label) => {
+            if (!isFinite(p.z) || !isFinite(p.r) || Math.abs(p.z) > 1e5) return;
+            const top = this.toCanvas(p.z, p.r);
+            const bottom = this.toCanvas(p.z, -p.r);
+
+            ctx.strokeStyle = this.colors.pupil;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(top.x, top.y);
+            ctx.lineTo(bottom.x, bottom.y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = this.colors.pupil;
+            ctx.fillText(label, top.x + 3, top.y - 5);
+        };
+        pupil(pupils.entrancePupil, 'EP');
+        pupil(pupils.exitPupil, 'XP');
+    }
+
+    // Fill media with n != 1 between consecutive surfaces
+    drawGlass() {
+        const ctx = this.ctx;
+        const elements = this.system.lenses;
+
+        for (let i = 0; i < elements.length - 1; i++) {
+            const front = elements[i];
+            const back = elements[i + 1];
+            if (front.type !== 'surface' || back.type !== 'surface') continue;
+            if (Math.abs(Math.abs(this.system.indexAfter(i)) - 1) < 1e-9) continue;
+
+            const h = Math.min(front.h, back.h);
+            const frontProfile = this.surfaceProfile(front, h);
+            const backProfile = this.surfaceProfile(back, h).reverse();
+
+            ctx.fillStyle = this.colors.glass;
+            ctx.strokeStyle = this.colors.glassEdge;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(frontProfile[0].x, frontProfile[0].y);
+            for (const p of frontProfile) ctx.lineTo(p.x, p.y);
+            for (const p of backProfile) ctx.lineTo(p.x, p.y);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+        }
     }
 
     drawRays(rays) {
@@ -161,38 +507,278 @@ class Renderer {
         for (const ray of rays) {
             if (ray.path.length < 2) continue;
 
-            // Determine color based on start Y (Marginal vs Chief)
-            // Or just a uniform color with transparency
-            ctx.strokeStyle = 'rgba(255, 255, 100, 0.5)';
+            // Rays may carry their own color (e.g. marginal and chief rays),
+            // are colored by wavelength, or get a uniform color with transparency
+            if (ray.color) {
+                ctx.strokeStyle = ray.color;
+            } else if (ray.fieldColor) {
+                ctx.strokeStyle = ray.fieldColor;
+            } else if (ray.wavelength) {
+                ctx.strokeStyle = this.wavelengthColor(ray.wavelength, 0.6, this.colors.spectrumBrightness);
+            } else {
+                ctx.strokeStyle = this.colors.ray;
+            }
+            ctx.lineWidth = ray.color ? 2 : 1;
             
             ctx.beginPath();
-            const start = this.toCanvas(ray.path[0].z, ray.path[0].y);
+            const start = this.toCanvas(ray.path[0].z, this.lateral(ray.path[0]));
             ctx.moveTo(start.x, start.y);
 
             for (let i = 1; i < ray.path.length; i++) {
-                const p = this.toCanvas(ray.path[i].z, ray.path[i].y);
+                const p = this.toCanvas(ray.path[i].z, this.lateral(ray.path[i]));
                 ctx.lineTo(p.x, p.y);
             }
             ctx.stroke();
         }
     }
 
+    // Gaussian beam envelope +/- w(z), exaggerated transversely by `magnify`
+    drawBeam(envelope, segments, magnify) {
+        if (envelope.length < 2) return;
+        const ctx = this.ctx;
+
+        // One band per segment, so folded paths overlap instead of crossing over
+        ctx.fillStyle = this.colors.beamFill;
+        ctx.strokeStyle = this.colors.beamEdge;
+        ctx.lineWidth = 1;
+        for (const seg of segments) {
+            const points = envelope.filter(p => p.segment === seg);
+            if (points.length < 2) continue;
+            const upper = points.map(p => this.toCanvas(p.z, p.w * magnify));
+            const lower = points.map(p => this.toCanvas(p.z, -p.w * magnify)).reverse();
+
+            ctx.beginPath();
+            ctx.moveTo(upper[0].x, upper[0].y);
+            for (const p of upper) ctx.lineTo(p.x, p.y);
+            for (const p of lower) ctx.lineTo(p.x, p.y);
+            ctx.closePath();
+            ctx.fill();
+            ctx.stroke();
+        }
+
+        // Real waists
+        ctx.font = '12px monospace';
+        segments.forEach((seg, i) => {
+            const waist = seg.waist;
+            if (waist.isVirtual) return;
+            const top = this.toCanvas(waist.z, waist.w0 * magnify);
+            const bottom = this.toCanvas(waist.z, -waist.w0 * magnify);
+
+            ctx.strokeStyle = this.colors.waist;
+            ctx.setLineDash([2, 2]);
+            ctx.beginPath();
+            ctx.moveTo(top.x, top.y - 10);
+            ctx.lineTo(bottom.x, bottom.y + 10);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = this.colors.waist;
+            ctx.fillText(`w${i}`, top.x + 3, top.y - 12);
+        });
+    }
+
+    // Plane of the image-plane analysis
+    drawEvaluationPlane(z) {
+        const ctx = this.ctx;
+        const p = this.toCanvas(z, 0);
+
+        ctx.strokeStyle = this.colors.evaluation;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 4]);
+        ctx.beginPath();
+        ctx.moveTo(p.x, 0);
+        ctx.lineTo(p.x, this.canvas.height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = this.colors.evaluationLabel;
+        ctx.font = '12px monospace';
+        ctx.fillText('Eval', p.x + 5, this.canvas.height - 10);
+    }
+
+    // Status lines in the top-left corner (e.g. optimizer progress)
+    drawStatus(lines) {
+        const ctx = this.ctx;
+        ctx.font = '13px monospace';
+        const width = Math.max(...lines.map(l => ctx.measureText(l).width)) + 16;
+
+        ctx.fillStyle = this.colors.panel;
+        ctx.fillRect(10, 10, width, lines.length * 18 + 10);
+        ctx.fillStyle = this.colors.status;
+        lines.forEach((line, i) => ctx.fillText(line, 18, 28 + i * 18));
+    }
+
+    // Approximate visible color of a wavelength [nm], darkened by `brightness` < 1
+    wavelengthColor(wavelength, alpha = 1, brightness = 1) {
+        let r = 0, g = 0, b = 0;
+        if (wavelength < 440) {
+            r = (440 - wavelength) / 60; b = 1;
+        } else if (wavelength < 490) {
+            g = (wavelength - 440) / 50; b = 1;
+        } else if (wavelength < 510) {
+            g = 1; b = (510 - wavelength) / 20;
+        } else if (wavelength < 580) {
+            r = (wavelength - 510) / 70; g = 1;
+        } else if (wavelength < 645) {
+            r = 1; g = (645 - wavelength) / 65;
+        } else {
+            r = 1;
+        }
+        const c = (v) => Math.round(255 * brightness * Math.min(1, Math.max(0, v)));
+        return `rgba(${c(r)}, ${c(g)}, ${c(b)}, ${alpha})`;
+    }
+
     drawObjectPoint(z, y) {
         const ctx = this.ctx;
         const p = this.toCanvas(z, y);
 
-        ctx.fillStyle = '#f00';
+        ctx.fillStyle = this.colors.object;
         ctx.beginPath();
         ctx.arc(p.x, p.y, 5, 0, Math.PI * 2);
         ctx.fill();
 
         // Label
-        ctx.fillStyle = '#fff';
+        ctx.fillStyle = this.colors.label;
         ctx.font = '12px monospace';
         ctx.fillText("Obj", p.x + 8, p.y + 3);
 
         // Draw Object Arrow (Up)
-        this.drawArrow(p.x, p.y, 40, true, '#f00');
+        this.drawArrow(p.x, p.y, 40, true, this.colors.object);
+    }
+
+    // Dashed extensions of the rays to the virtual images and objects they point at:
+    // back from where they leave element `index` to a virtual image, or on from where
+    // they reach element `next` to a virtual object behind it
+    drawRayExtensions(rays, images) {
+        const ctx = this.ctx;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        for (const image of images) {
+            if (!isFinite(image.z) || Math.abs(image.z) > 1e5) continue;
+            for (const ray of rays) {
+                let a, b, from;
+                if (image.kind === 'virtual') {
+                    const mark = ray.marks[image.index];
+                    if (!mark || mark.leave + 1 >= ray.path.length) continue;
+                    a = ray.path[mark.leave];
+                    b = ray.path[mark.leave + 1];
+                    from = a;
+                } else {
+                    const mark = ray.marks[image.next];
+                    if (!mark || mark.arrive < 1) continue;
+                    a = ray.path[mark.arrive - 1];
+                    b = ray.path[mark.arrive];
+                    from = b;
+                }
+                if (Math.abs(b.z - a.z) < 1e-9) continue;
+
+                const t = (image.z - a.z) / (b.z - a.z);
+                const lateral = this.lateral(a) + (this.lateral(b) - this.lateral(a)) * t;
+                const p = this.toCanvas(from.z, this.lateral(from));
+                const q = this.toCanvas(image.z, lateral);
+
+                ctx.strokeStyle = ray.fieldColor || (ray.wavelength ? this.wavelengthColor(ray.wavelength, 0.35, this.colors.spectrumBrightness) : this.colors.rayExtension);
+                ctx.beginPath();
+                ctx.moveTo(p.x, p.y);
+                ctx.lineTo(q.x, q.y);
+                ctx.stroke();
+            }
+        }
+        ctx.setLineDash([]);
+    }
+
+    // Image formed between elements (see OpticalSystem.calculateIntermediateImages),
+    // with its height y when known. Virtual ones are drawn fainter.
+    drawIntermediateImage(image, y) {
+        if (!isFinite(image.z) || Math.abs(image.z) > 1e5) return;
+        const ctx = this.ctx;
+        const color = image.kind === 'real' ? this.colors.intermediate : this.colors.intermediateVirtual;
+        const axis = this.toCanvas(image.z, 0);
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 4]);
+        ctx.beginPath();
+        ctx.moveTo(axis.x, axis.y - 30);
+        ctx.lineTo(axis.x, axis.y + 30);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        if (y !== null && isFinite(y)) {
+            const p = this.toCanvas(image.z, y);
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        const labels = { real: 'Img', virtual: 'Virt. img', 'virtual-object': 'Virt. obj' };
+        ctx.fillStyle = color;
+        ctx.font = '11px monospace';
+        ctx.fillText(`${labels[image.kind]} ${image.index + 1}`, axis.x + 4, axis.y + 42);
+    }
+
+    // Extended object at z through its field points { y, color }, bottom to top,
+    // with an arrowhead on the top point for an arrow
+    drawExtendedObject(z, fields, arrow) {
+        const ctx = this.ctx;
+        const bottom = this.toCanvas(z, fields[0].y);
+        const top = this.toCanvas(z, fields[fields.length - 1].y);
+
+        ctx.strokeStyle = this.colors.object;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(bottom.x, bottom.y);
+        ctx.lineTo(top.x, top.y);
+        if (arrow && top.y !== bottom.y) {
+            const head = top.y < bottom.y ? 8 : -8;
+            ctx.moveTo(top.x - 6, top.y + head);
+            ctx.lineTo(top.x, top.y);
+            ctx.lineTo(top.x + 6, top.y + head);
+        }
+        ctx.stroke();
+
+        for (const f of fields) {
+            const p = this.toCanvas(z, f.y);
+            ctx.fillStyle = f.color;
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.fillStyle = this.colors.label;
+        ctx.font = '12px monospace';
+        ctx.fillText("Obj", bottom.x + 8, bottom.y + 15);
+    }
+
+    // Image of an extended object built from its field points { y, color, relative }:
+    // a line through the image points, each drawn smaller and fainter the more it is vignetted
+    drawExtendedImage(z, points) {
+        this.drawImagePoint(z, null);
+        const ctx = this.ctx;
+        const imaged = points.filter(p => isFinite(p.y));
+
+        ctx.strokeStyle = this.colors.image;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        imaged.forEach((p, i) => {
+            const c = this.toCanvas(z, p.y);
+            i === 0 ? ctx.moveTo(c.x, c.y) : ctx.lineTo(c.x, c.y);
+        });
+        ctx.stroke();
+
+        ctx.font = '11px monospace';
+        for (const p of points) {
+            if (!isFinite(p.y)) continue;
+            const c = this.toCanvas(z, p.y);
+            ctx.globalAlpha = 0.3 + 0.7 * p.relative;
+            ctx.fillStyle = p.color;
+            ctx.beginPath();
+            ctx.arc(c.x, c.y, 2 + 3 * p.relative, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            if (p.relative < 0.995) ctx.fillText(`${(p.relative * 100).toFixed(0)}%`, c.x + 8, c.y + 4);
+        }
     }
 
     drawImagePoint(z, mag, y = 0) {
@@ -203,7 +789,7 @@ class Renderer {
         const ctx = this.ctx;
         const pAxis = this.toCanvas(z, 0); // On axis
 
-        ctx.strokeStyle = '#f0f'; // Magenta
+        ctx.strokeStyle = this.colors.image;
         ctx.setLineDash([5, 5]);
         ctx.lineWidth = 1;
         ctx.beginPath();
@@ -212,22 +798,46 @@ class Renderer {
         ctx.stroke();
         ctx.setLineDash([]);
 
-        ctx.fillStyle = '#f0f';
+        ctx.fillStyle = this.colors.image;
         ctx.fillText("Img", pAxis.x + 5, this.offsetY - 10);
 
         // Draw Image Point and Arrow
         if (mag !== null && isFinite(mag)) {
             const p = this.toCanvas(z, y);
 
-            ctx.fillStyle = '#f0f';
+            ctx.fillStyle = this.colors.image;
             ctx.beginPath();
             ctx.arc(p.x, p.y, 5, 0, Math.PI * 2);
             ctx.fill();
 
             // Arrow Direction: Up if mag > 0, Down if mag < 0
             const pointsUp = mag > 0;
-            this.drawArrow(p.x, p.y, 40, pointsUp, '#f0f');
+            this.drawArrow(p.x, p.y, 40, pointsUp, this.colors.image);
+        }
+    }
+
+    // Collimated output of an afocal system: arrows toward infinity behind the last element
+    drawAfocalMarker(lastZ, angularMag) {
+        const ctx = this.ctx;
+        const p = this.toCanvas(lastZ, 0);
+        const x = Math.min(p.x + 60, this.canvas.width - 150);
+
+        ctx.strokeStyle = this.colors.image;
+        ctx.fillStyle = this.colors.image;
+        ctx.lineWidth = 1;
+        for (const dy of [-12, 12]) {
+            ctx.beginPath();
+            ctx.moveTo(x, this.offsetY + dy);
+            ctx.lineTo(x + 30, this.offsetY + dy);
+            ctx.lineTo(x + 24, this.offsetY + dy - 4);
+            ctx.moveTo(x + 30, this.offsetY + dy);
+            ctx.lineTo(x + 24, this.offsetY + dy + 4);
+            ctx.stroke();
         }
+
+        ctx.font = '12px monospace';
+        ctx.fillText('Img at ∞ (afocal)', x, this.offsetY - 20);
+        if (isFinite(angularMag)) ctx.fillText(`M = ${angularMag.toFixed(2)}x`, x, this.offsetY + 30);
     }
 
     drawArrow(x, y, length, pointsUp, color) {
@@ -275,18 +885,21 @@ class Renderer {
         const points = this.system.calculateCardinalPoints();
         if (!points) return;
         
+        // Afocal systems have no principal planes
+        if (points.afocal) return;
+
         const { H, H_prime } = points;
         const ctx = this.ctx;
 
         // H (Front Principal Plane)
         const pH = this.toCanvas(H, 0);
-        ctx.strokeStyle = 'rgba(0, 255, 0, 0.5)';
+        ctx.strokeStyle = this.colors.principal;
         ctx.setLineDash([2, 2]);
         ctx.beginPath();
         ctx.moveTo(pH.x, 0);
         ctx.lineTo(pH.x, this.canvas.height);
         ctx.stroke();
-        ctx.fillStyle = 'rgba(0, 255, 0, 0.8)';
+        ctx.fillStyle = this.colors.principalLabel;
         ctx.fillText("H", pH.x + 2, 20);
 
         // H' (Back Principal Plane)
@@ -299,4 +912,159 @@ class Renderer {
 
         ctx.setLineDash([]);
     }
+
+    // Key to the colors in the top-right corner: entries { label, color, dash }
+    drawLegend(entries) {
+        if (entries.length === 0) return;
+        const ctx = this.ctx;
+        ctx.font = '12px monospace';
+        const width = Math.max(...entries.map(e => ctx.measureText(e.label).width)) + 50;
+        const height = entries.length * 18 + 8;
+        const x = this.canvas.width - width - 10;
+        const y = 10;
+
+        ctx.fillStyle = this.colors.panel;
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = this.colors.axis;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + width, y);
+        ctx.lineTo(x + width, y + height);
+        ctx.lineTo(x, y + height);
+        ctx.closePath();
+        ctx.stroke();
+
+        entries.forEach((entry, i) => {
+            const row = y + 17 + i * 18;
+            ctx.strokeStyle = entry.color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash(entry.dash || []);
+            ctx.beginPath();
+            ctx.moveTo(x + 8, row - 4);
+            ctx.lineTo(x + 34, row - 4);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = this.colors.label;
+            ctx.fillText(entry.label, x + 42, row);
+        });
+    }
+
+    // Dimension lines below the elements: the spacings between components (the
+    // surfaces of one lens and the faces of a block count as one), then the BFL
+    // (last vertex to F') and the EFL (H' to F'). Folded systems are left out.
+    drawDimensions() {
+        const lenses = this.system.lenses;
+        if (lenses.length === 0 || this.system.isFolded || this.view !== 'yz') return;
+
+        const components = [];
+        for (const l of lenses) {
+            const last = components[components.length - 1];
+            const end = l.z + (l instanceof Block ? l.length : 0);
+            if (last && l.group && last.group === l.group) {
+                last.end = end;
+            } else {
+                components.push({ start: l.z, end, group: l.group });
+            }
+        }
+        const reach = Math.max(...lenses.map(l => l.type === 'stop' ? l.h + Math.max(10, l.h * 0.5) : l.h));
+        let row = this.toCanvas(0, -reach).y + 45; // Below the element labels
+
+        for (let i = 0; i < components.length - 1; i++) {
+            const gap = components[i + 1].start - components[i].end;
+            if (gap > 1e-6) this.dimensionLine(components[i].end, components[i + 1].start, row, gap.toFixed(1));
+        }
+
+        const c = this.system.calculateCardinalPoints();
+        if (!c || c.afocal) return;
+        row += 24;
+        this.dimensionLine(c.F_prime - c.bfl, c.F_prime, row, `BFL ${c.bfl.toFixed(1)}`);
+        row += 24;
+        this.dimensionLine(c.H_prime, c.F_prime, row, `EFL ${c.efl.toFixed(1)}`);
+    }
+
+    // Measurement from world point a to b with its label. The one being made is
+    // drawn in the measure color, pinned ones like the dimension lines. A zero-length
+    // one is a single point.
+    drawMeasurement(a, b, text, pinned = false) {
+        const ctx = this.ctx;
+        const p = this.toCanvas(a.z, a.y);
+        const q = this.toCanvas(b.z, b.y);
+        const color = pinned ? this.colors.dimension : this.colors.measure;
+
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash(pinned ? [] : [6, 3]);
+        ctx.beginPath();
+        ctx.moveTo(p.x, p.y);
+        ctx.lineTo(q.x, q.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        for (const end of [p, q]) {
+            ctx.beginPath();
+            ctx.arc(end.x, end.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.font = '12px monospace';
+        const width = ctx.measureText(text).width;
+        const x = Math.min(Math.max((p.x + q.x) / 2 - width / 2, 4), this.canvas.width - width - 4);
+        const y = Math.min(p.y, q.y) - 8;
+        ctx.fillStyle = this.colors.panel;
+        ctx.fillRect(x - 3, y - 12, width + 6, 16);
+        ctx.fillStyle = color;
+        ctx.fillText(text, x, y);
+    }
+
+    // Snap target under the cursor: a ring and its name
+    drawSnap(point, label) {
+        const ctx = this.ctx;
+        const p = this.toCanvas(point.z, point.y);
+        ctx.strokeStyle = this.colors.measure;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 6, 0, Math.PI * 2);
+        ctx.stroke();
+        if (label) {
+            ctx.fillStyle = this.colors.measure;
+            ctx.font = '11px monospace';
+            ctx.fillText(label, p.x + 9, p.y - 9);
+        }
+    }
+
+    // Horizontal dimension from z1 to z2 at canvas height y, labeled above its middle
+    dimensionLine(z1, z2, y, text) {
+        const ctx = this.ctx;
+        const a = this.toCanvas(Math.min(z1, z2), 0).x;
+        const b = this.toCanvas(Math.max(z1, z2), 0).x;
+        const head = b - a > 14 ? 5 : 0; // No room for arrowheads on short ones
+
+        ctx.strokeStyle = this.colors.dimension;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(a, y - 6);
+        ctx.lineTo(a, y + 6);
+        ctx.moveTo(b, y - 6);
+        ctx.lineTo(b, y + 6);
+        ctx.moveTo(a, y);
+        ctx.lineTo(b, y);
+        if (head) {
+            ctx.moveTo(a + head, y - 3);
+            ctx.lineTo(a, y);
+            ctx.lineTo(a + head, y + 3);
+            ctx.moveTo(b - head, y - 3);
+            ctx.lineTo(b, y);
+            ctx.lineTo(b - head, y + 3);
+        }
+        ctx.stroke();
+
+        ctx.fillStyle = this.colors.dimension;
+        ctx.font = '11px monospace';
+        ctx.fillText(text, (a + b) / 2 - ctx.measureText(text).width / 2, y - 4);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Renderer, RENDER_THEMES };
 }
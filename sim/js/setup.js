@@ -0,0 +1,83 @@
+// setup.js
+
+// The saved setup format (files and #setup= links): upgrading older versions and
+// reading the settings in one. A loaded setup is untrusted, so every setting is
+// checked against what the sidebar would accept before it reaches the state.
+
+// Version of the saved setup format. When the format changes, bump it and add a
+// step to SETUP_MIGRATIONS that upgrades setups of the previous version.
+const SETUP_VERSION = 1;
+
+// Upgrade from version k to k + 1. Version 0 is a bare prescription as read by the
+// command-line tool: { wavelength, object, elements }.
+const SETUP_MIGRATIONS = {
+    0: (data) => {
+        const object = data.object || {};
+        const infinite = object.z === null || object.z === '-Infinity' || (object.z === undefined && object.angle !== undefined);
+        return {
+            version: 1,
+            system: { wavelength: data.wavelength, elements: data.elements, configurations: data.configurations },
+            object: infinite
+                ? { mode: 'infinity', angle: Number(object.angle) || 0 }
+                : { mode: 'point', z: object.z === undefined ? -200 : Number(object.z), y: Number(object.y) || 0 }
+        };
+    }
+};
+
+// Ranges of the numeric settings, as the sidebar inputs enforce them. Values outside
+// are clamped; a value with no lower bound to clamp to (min: 0, exclusive) is dropped.
+const SETUP_RANGES = {
+    height: { min: 0 },
+    fields: { min: 2, max: 9, integer: true },
+    w0: { min: 0, exclusive: true },
+    wavelength: { min: 0, exclusive: true },
+    beamScale: { min: 0, exclusive: true },
+    rayCount: { min: 1, integer: true },
+    spotGrid: { min: 3, max: 41, integer: true }
+};
+
+function migrateSetup(data) {
+    if (!data || typeof data !== 'object') throw new Error('not a setup file');
+    let version = data.version === undefined ? 0 : Number(data.version);
+    if (!(version >= 0)) throw new Error(`unknown version "${data.version}"`);
+    if (version > SETUP_VERSION) throw new Error(`version ${version} is newer than this page supports (${SETUP_VERSION})`);
+    while (version < SETUP_VERSION) {
+        data = SETUP_MIGRATIONS[version](data);
+        version = data.version;
+    }
+    return data;
+}
+
+// The settings of a migrated setup, in the shape of `current`:
+// { object, rayCount, traceMode, view, spectrum, spotZ, spotGrid }. Unknown or
+// malformed settings keep their current values; spectra lists the known spectrum keys.
+function readSetupSettings(data, current, spectra) {
+    const choose = (value, allowed, fallback) => allowed.includes(value) ? value : fallback;
+    const number = (key, value, fallback) => {
+        if (typeof value !== 'number' || !isFinite(value)) return fallback;
+        const range = SETUP_RANGES[key];
+        if (!range) return value;
+        if (range.integer) value = Math.round(value);
+        if (range.exclusive && value <= range.min) return fallback;
+        return Math.min(Math.max(value, range.min), range.max === undefined ? Infinity : range.max);
+    };
+
+    const object = data.object || {};
+    const settings = { object: {} };
+    for (const key of Object.keys(current.object)) {
+        settings.object[key] = key === 'mode' || key === 'shape'
+            ? choose(object[key], key === 'mode' ? ['point', 'infinity', 'extended', 'beam'] : ['arrow', 'line'], current.object[key])
+            : number(key, object[key], current.object[key]);
+    }
+    settings.rayCount = number('rayCount', data.rayCount, current.rayCount);
+    settings.traceMode = choose(data.traceMode, ['paraxial', 'real'], current.traceMode);
+    settings.view = choose(data.view, ['yz', 'xz'], current.view);
+    settings.spectrum = choose(data.spectrum, spectra, current.spectrum);
+    settings.spotZ = data.spotZ === null ? null : number('spotZ', data.spotZ, current.spotZ);
+    settings.spotGrid = number('spotGrid', data.spotGrid, current.spotGrid);
+    return settings;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SETUP_VERSION, migrateSetup, readSetupSettings };
+}
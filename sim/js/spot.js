@@ -0,0 +1,184 @@
+// spot.js
+
+// Image-plane analysis: spot diagram, transverse ray fans and through-focus RMS.
+// Rays are aimed at normalized pupil coordinates (px, py) on the entrance pupil
+// (the first element's aperture when the pupil is at infinity) from a field point:
+// the object height for a finite object, the field slope for an infinite one.
+class SpotAnalysis {
+    constructor(system) {
+        this.system = system;
+        this.mode = 'paraxial'; // 'paraxial' or 'real'
+    }
+
+    // Ray through pupil point (px, py) from the field point
+    pupilRay(objectZ, field, px, py, pupils) {
+        const first = this.system.lenses[0];
+        const ep = pupils && pupils.entrancePupil;
+        const target = (ep && isFinite(ep.z) && isFinite(ep.r))
+            ? { z: ep.z, r: ep.r }
+            : { z: first.z, r: first.h };
+        const tx = px * target.r;
+        const ty = py * target.r;
+
+        if (isFinite(objectZ)) {
+            const d = target.z - objectZ;
+            return new Ray(objectZ, field, (ty - field) / d, 0, tx / d);
+        }
+
+        // Parallel bundle at slope `field`, started in front of the pupil and the first element
+        const startZ = Math.min(first.z, target.z) - 10;
+        return new Ray(startZ, ty - field * (target.z - startZ), field, tx, 0);
+    }
+
+    trace(ray) {
+        if (this.mode === 'real') {
+            this.system.traceRealRay(ray);
+        } else {
+            this.system.traceRay(ray);
+        }
+        return ray;
+    }
+
+    // Where a traced ray crosses the plane z (image space is straight)
+    static landing(ray, z) {
+        return {
+            x: ray.x + ray.v * (z - ray.z),
+            y: ray.y + ray.u * (z - ray.z)
+        };
+    }
+
+    // RMS and geometric (largest) radius about the centroid
+    static spotSize(points) {
+        const n = points.length;
+        if (n === 0) return null;
+        const cx = points.reduce((a, p) => a + p.x, 0) / n;
+        const cy = points.reduce((a, p) => a + p.y, 0) / n;
+        let sum = 0;
+        let geo = 0;
+        for (const p of points) {
+            const r2 = (p.x - cx) * (p.x - cx) + (p.y - cy) * (p.y - cy);
+            sum += r2;
+            geo = Math.max(geo, r2);
+        }
+        return { centroid: { x: cx, y: cy }, rms: Math.sqrt(sum / n), geo: Math.sqrt(geo) };
+    }
+
+    /**
+     * Traces a square grid of pupil points (inside the unit circle) at each wavelength.
+     * @param {number} objectZ - Object position (-Infinity for an infinite object)
+     * @param {number} field - Object height or field slope
+     * @param {number} grid - Samples across the pupil diameter
+     * @param {Array} wavelengths - Wavelengths [nm] (null = design wavelength)
+     * @returns {Ray[]} Rays that reached image space
+     */
+    traceGrid(objectZ, field, grid, wavelengths = [null]) {
+        const pupils = this.system.calculatePupils(objectZ);
+        const rays = [];
+        for (const wavelength of wavelengths) {
+            for (let i = 0; i < grid; i++) {
+                for (let j = 0; j < grid; j++) {
+                    const px = grid > 1 ? -1 + 2 * i / (grid - 1) : 0;
+                    const py = grid > 1 ? -1 + 2 * j / (grid - 1) : 0;
+                    if (px * px + py * py > 1 + 1e-9) continue;
+
+                    const ray = this.pupilRay(objectZ, field, px * 0.999, py * 0.999, pupils);
+                    ray.wavelength = wavelength;
+                    this.trace(ray);
+                    if (ray.active) rays.push(ray);
+                }
+            }
+        }
+        return rays;
+    }
+
+    /**
+     * Relative illumination across the field: the share of a pupil grid of paraxial
+     * rays (traceRay, with aperture clipping) that each field point gets through,
+     * relative to the axial point. Rays are aimed at the entrance pupil, so any
+     * loss comes from vignetting by the other apertures.
+     * @param {number} objectZ - Object position (-Infinity for an infinite object)
+     * @param {number[]} fields - Object heights or field slopes
+     * @param {number} grid - Samples across the pupil diameter
+     * @returns {Array} { field, passed, launched, relative } per field
+     */
+    relativeIllumination(objectZ, fields, grid = 21) {
+        const pupils = this.system.calculatePupils(objectZ);
+        const count = (field) => {
+            let passed = 0, launched = 0;
+            for (let i = 0; i < grid; i++) {
+                for (let j = 0; j < grid; j++) {
+                    const px = -1 + 2 * i / (grid - 1);
+                    const py = -1 + 2 * j / (grid - 1);
+                    if (px * px + py * py > 1 + 1e-9) continue;
+                    const ray = this.pupilRay(objectZ, field, px * 0.999, py * 0.999, pupils);
+                    this.system.traceRay(ray);
+                    launched++;
+                    if (ray.active) passed++;
+                }
+            }
+            return { passed, launched };
+        };
+
+        const axial = count(0);
+        return fields.map(field => {
+            const c = Math.abs(field) < 1e-12 ? axial : count(field);
+            return { field, ...c, relative: axial.passed > 0 ? c.passed / axial.passed : 0 };
+        });
+    }
+
+    // Spot diagram at plane z from traced rays: points relative to the centroid
+    spot(rays, z) {
+        const points = rays.map(ray => ({ ...SpotAnalysis.landing(ray, z), wavelength: ray.wavelength }));
+        const size = SpotAnalysis.spotSize(points);
+        if (!size) return null;
+        const { centroid } = size;
+        return {
+            points: points.map(p => ({ x: p.x - centroid.x, y: p.y - centroid.y, wavelength: p.wavelength })),
+            centroid,
+            rms: size.rms,
+            geo: size.geo,
+            count: points.length
+        };
+    }
+
+    // RMS spot radius over `steps` planes spanning z +/- range
+    throughFocus(rays, z, range, steps = 41) {
+        const curve = [];
+        for (let k = 0; k < steps; k++) {
+            const zk = z - range + 2 * range * k / (steps - 1);
+            const size = SpotAnalysis.spotSize(rays.map(ray => SpotAnalysis.landing(ray, zk)));
+            if (size) curve.push({ z: zk, rms: size.rms });
+        }
+        const best = curve.reduce((a, b) => (!a || b.rms < a.rms) ? b : a, null);
+        return { curve, best };
+    }
+
+    /**
+     * Transverse ray fans at plane z: the tangential fan (py across the pupil)
+     * gives the y error, the sagittal fan (px) the x error, both relative to the
+     * chief ray. Each fan is a list of { p, e }; rays that are blocked are left out.
+     */
+    fans(objectZ, field, z, samples = 21) {
+        const pupils = this.system.calculatePupils(objectZ);
+        const chief = this.trace(this.pupilRay(objectZ, field, 0, 0, pupils));
+        if (!chief.active) return null;
+        const ref = SpotAnalysis.landing(chief, z);
+
+        const fan = (tangential) => {
+            const points = [];
+            for (let k = 0; k < samples; k++) {
+                const p = -1 + 2 * k / (samples - 1);
+                const pc = p * 0.999;
+                const ray = this.trace(tangential
+                    ? this.pupilRay(objectZ, field, 0, pc, pupils)
+                    : this.pupilRay(objectZ, field, pc, 0, pupils));
+                if (!ray.active) continue;
+                const hit = SpotAnalysis.landing(ray, z);
+                points.push({ p, e: tangential ? hit.y - ref.y : hit.x - ref.x });
+            }
+            return points;
+        };
+
+        return { tangential: fan(true), sagittal: fan(false), chief: ref };
+    }
+}
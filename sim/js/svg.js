@@ -0,0 +1,196 @@
+// svg.js
+
+// Stands in for a canvas 2D context and writes what is drawn on it as an SVG
+// document, so the Renderer exports vector diagrams with the code that draws them
+// on screen (see Renderer.renderTo). Only the part of the canvas API the Renderer
+// uses is implemented: paths of lines and arcs, fillRect, fillText, line dashes,
+// globalAlpha and linear gradients. Colors are written as rgb() with a separate
+// opacity, which every SVG reader understands.
+class SvgContext {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.fillStyle = '#000';
+        this.strokeStyle = '#000';
+        this.lineWidth = 1;
+        this.font = '10px sans-serif';
+        this.globalAlpha = 1;
+        this.dash = [];
+        this.path = [];
+        this.pen = null; // Current point, for arcs continuing a path
+        this.shapes = [];
+        this.gradients = [];
+    }
+
+    // --- Canvas API ---
+
+    setLineDash(segments) {
+        this.dash = segments.slice();
+    }
+
+    beginPath() {
+        this.path = [];
+        this.pen = null;
+    }
+
+    moveTo(x, y) {
+        this.path.push(`M${SvgContext.num(x)} ${SvgContext.num(y)}`);
+        this.pen = { x, y };
+    }
+
+    lineTo(x, y) {
+        this.path.push(`${this.pen ? 'L' : 'M'}${SvgContext.num(x)} ${SvgContext.num(y)}`);
+        this.pen = { x, y };
+    }
+
+    closePath() {
+        this.path.push('Z');
+    }
+
+    // Arc from angle `start` to `end`, clockwise on screen unless `ccw`. A full
+    // circle is written as two half arcs, which SVG needs.
+    arc(x, y, r, start, end, ccw = false) {
+        const point = (a) => ({ x: x + r * Math.cos(a), y: y + r * Math.sin(a) });
+        const p0 = point(start);
+        this.lineTo(p0.x, p0.y);
+
+        let sweep = ccw ? start - end : end - start;
+        if (sweep >= 2 * Math.PI - 1e-9) {
+            this.arcTo(r, point(start + (ccw ? -Math.PI : Math.PI)), false, ccw);
+            this.arcTo(r, p0, false, ccw);
+            return;
+        }
+        sweep = ((sweep % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+        this.arcTo(r, point(end), sweep > Math.PI, ccw);
+    }
+
+    fill() {
+        this.shapes.push(`<path d="${this.path.join(' ')}" ${this.paint('fill', this.fillStyle)}/>`);
+    }
+
+    stroke() {
+        this.shapes.push(`<path d="${this.path.join(' ')}" fill="none" ${this.paint('stroke', this.strokeStyle)} ${this.strokeAttributes()}/>`);
+    }
+
+    fillRect(x, y, w, h) {
+        const n = SvgContext.num;
+        this.shapes.push(`<rect x="${n(x)}" y="${n(y)}" width="${n(w)}" height="${n(h)}" ${this.paint('fill', this.fillStyle)}/>`);
+    }
+
+    fillText(text, x, y) {
+        const { size, family } = this.fontParts();
+        const n = SvgContext.num;
+        this.shapes.push(`<text x="${n(x)}" y="${n(y)}" font-family="${family}" font-size="${size}" ` +
+            `${this.paint('fill', this.fillStyle)}>${SvgContext.escape(text)}</text>`);
+    }
+
+    // Monospace estimate: the Renderer only measures to size label boxes
+    measureText(text) {
+        return { width: String(text).length * this.fontParts().size * 0.6 };
+    }
+
+    createLinearGradient(x0, y0, x1, y1) {
+        const gradient = {
+            id: `gradient${this.gradients.length + 1}`,
+            x0, y0, x1, y1,
+            stops: [],
+            addColorStop(offset, color) {
+                this.stops.push({ offset, color });
+            }
+        };
+        this.gradients.push(gradient);
+        return gradient;
+    }
+
+    // --- Output ---
+
+    toString() {
+        const n = SvgContext.num;
+        const defs = this.gradients.map(g => {
+            const stops = g.stops.map(s => {
+                const c = SvgContext.parseColor(s.color);
+                return `<stop offset="${s.offset}" stop-color="${c.rgb}" stop-opacity="${n(c.alpha)}"/>`;
+            }).join('');
+            return `<linearGradient id="${g.id}" gradientUnits="userSpaceOnUse" x1="${n(g.x0)}" y1="${n(g.y0)}" ` +
+                `x2="${n(g.x1)}" y2="${n(g.y1)}">${stops}</linearGradient>`;
+        }).join('\n');
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" ` +
+                `viewBox="0 0 ${this.width} ${this.height}">`,
+            defs ? `<defs>\n${defs}\n</defs>` : '',
+            ...this.shapes,
+            '</svg>',
+            ''
+        ].filter(line => line !== '').join('\n') + '\n';
+    }
+
+    // --- Helpers ---
+
+    arcTo(r, to, large, ccw) {
+        const n = SvgContext.num;
+        this.path.push(`A${n(r)} ${n(r)} 0 ${large ? 1 : 0} ${ccw ? 0 : 1} ${n(to.x)} ${n(to.y)}`);
+        this.pen = to;
+    }
+
+    // fill="..." or stroke="..." with its opacity, including globalAlpha
+    paint(attribute, style) {
+        if (style && style.stops) {
+            return `${attribute}="url(#${style.id})"${this.globalAlpha < 1 ? ` ${attribute}-opacity="${SvgContext.num(this.globalAlpha)}"` : ''}`;
+        }
+        const c = SvgContext.parseColor(style);
+        const alpha = c.alpha * this.globalAlpha;
+        return `${attribute}="${c.rgb}"${alpha < 1 ? ` ${attribute}-opacity="${SvgContext.num(alpha)}"` : ''}`;
+    }
+
+    strokeAttributes() {
+        const dash = this.dash.length > 0 ? ` stroke-dasharray="${this.dash.join(' ')}"` : '';
+        return `stroke-width="${SvgContext.num(this.lineWidth)}" stroke-linejoin="round"${dash}`;
+    }
+
+    fontParts() {
+        const match = /(\d+(?:\.\d+)?)px\s+(.+)/.exec(this.font);
+        return match ? { size: Number(match[1]), family: match[2] } : { size: 10, family: 'sans-serif' };
+    }
+
+    static num(value) {
+        return String(Math.round(value * 100) / 100);
+    }
+
+    static escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Splits a CSS color into an SVG-safe rgb() and an alpha.
+     * @param {string} color - #rgb, #rrggbb, rgb(), rgba(), hsl() or hsla()
+     * @returns {{rgb: string, alpha: number}}
+     */
+    static parseColor(color) {
+        const text = String(color).trim();
+        let r = 0, g = 0, b = 0, alpha = 1;
+        let m;
+        if ((m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(text))) {
+            const hex = m[1].length === 3 ? m[1].replace(/./g, c => c + c) : m[1];
+            [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+        } else if ((m = /^rgba?\(([^)]+)\)$/i.exec(text))) {
+            const parts = m[1].split(',').map(Number);
+            [r, g, b] = parts;
+            if (parts.length > 3) alpha = parts[3];
+        } else if ((m = /^hsla?\(([^)]+)\)$/i.exec(text))) {
+            const parts = m[1].split(',').map(p => parseFloat(p));
+            const [h, s, l] = [parts[0], parts[1] / 100, parts[2] / 100];
+            if (parts.length > 3) alpha = parts[3];
+            // hsl -> rgb (CSS Color 3)
+            const k = (n) => (n + h / 30) % 12;
+            const a = s * Math.min(l, 1 - l);
+            const f = (n) => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+            [r, g, b] = [f(0), f(8), f(4)].map(v => Math.round(v * 255));
+        }
+        return { rgb: `rgb(${r}, ${g}, ${b})`, alpha };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SvgContext };
+}
@@ -0,0 +1,198 @@
+// tolerance.js
+
+// Monte Carlo tolerance analysis. Every trial perturbs each element's power
+// parameter (f for thin lenses, R for surfaces), position z and decenter
+// uniformly within its +/- tolerance, then re-evaluates the system. The surfaces
+// of one lens (a group) move together: the first carries the position of the
+// lens and each later one the thickness in front of it.
+class ToleranceAnalysis {
+    constructor(system) {
+        this.system = system;
+        this.tolerances = {}; // element id -> { power, z, thickness, decenter }
+        this.seed = 1;
+    }
+
+    // Tolerances of an element, created with defaults on first use
+    tolerance(element) {
+        if (!this.tolerances[element.id]) {
+            const value = this.powerParam(element) ? Math.abs(element[this.powerParam(element)]) : 0;
+            this.tolerances[element.id] = {
+                power: isFinite(value) ? +(value * 0.01).toFixed(3) : 0, // 1%
+                z: 0.5,
+                thickness: 0.1, // Used by the surfaces after the first of a lens
+                decenter: 0.1
+            };
+        }
+        return this.tolerances[element.id];
+    }
+
+    // Name of the parameter that sets an element's power
+    powerParam(element) {
+        if (element.type === 'lens') return 'f';
+        if (element.type === 'surface' || element.type === 'mirror') return 'R';
+        if (element.type === 'grin') return 'g';
+        return null;
+    }
+
+    // Surfaces of the lens an element belongs to, in order; just the element if it has no group
+    groupOf(element) {
+        return element.group ? this.system.lenses.filter(l => l.group === element.group) : [element];
+    }
+
+    // Small seeded generator (mulberry32) so runs are repeatable
+    random() {
+        let t = this.seed += 0x6D2B79F5;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Quantities recorded for every trial
+    evaluate(objectZ) {
+        const points = this.system.calculateCardinalPoints();
+        const image = this.system.calculateImage(objectZ);
+        const shift = this.system.calculateImageShift(objectZ);
+        return {
+            imageZ: image ? image.z : NaN,
+            mag: (image && image.mag !== null) ? image.mag : NaN,
+            efl: points ? points.efl : NaN,
+            shift: shift ? shift.y : NaN
+        };
+    }
+
+    // All perturbable parameters: { element, param, tol }. Positions and thicknesses
+    // also list the surfaces they move: { moves }
+    parameters() {
+        const params = [];
+        for (const element of this.system.lenses) {
+            const tol = this.tolerance(element);
+            const power = this.powerParam(element);
+            const group = this.groupOf(element);
+            const index = group.indexOf(element);
+            if (power && tol.power > 0 && isFinite(element[power])) params.push({ element, param: power, tol: tol.power });
+            if (index === 0 && tol.z > 0) params.push({ element, param: 'z', tol: tol.z, moves: group });
+            if (index > 0 && tol.thickness > 0) params.push({ element, param: 'thickness', tol: tol.thickness, moves: group.slice(index) });
+            if (tol.decenter > 0) params.push({ element, param: 'decenterY', tol: tol.decenter });
+        }
+        return params;
+    }
+
+    // Offset a parameter from where it is by delta
+    perturb(p, delta) {
+        if (p.moves) {
+            p.moves.forEach(element => element.z += delta);
+        } else {
+            p.element[p.param] += delta;
+        }
+    }
+
+    // The values the parameters change, as [element, key, value], to restore them with
+    save(params) {
+        return params.flatMap(p => p.moves ? p.moves.map(element => [element, 'z']) : [[p.element, p.param]])
+            .map(([element, key]) => [element, key, element[key]]);
+    }
+
+    restore(saved) {
+        saved.forEach(([element, key, value]) => element[key] = value);
+        this.system.sortLenses();
+    }
+
+    /**
+     * Runs the Monte Carlo analysis.
+     * @param {number} objectZ - Object position (-Infinity for an infinite object)
+     * @param {number} trials - Number of perturbed systems
+     * @param {object} specs - Allowed +/- deviation from nominal per quantity, e.g. { imageZ: 1 }
+     * @returns {object} { nominal, samples, stats, yield, sensitivity }
+     */
+    run(objectZ, trials, specs) {
+        const params = this.parameters();
+        const saved = this.save(params);
+        const nominal = this.evaluate(objectZ);
+        const samples = { imageZ: [], mag: [], efl: [], shift: [] };
+        let passed = 0;
+
+        try {
+            for (let t = 0; t < trials; t++) {
+                this.restore(saved);
+                params.forEach(p => this.perturb(p, (2 * this.random() - 1) * p.tol));
+                this.system.sortLenses();
+
+                const result = this.evaluate(objectZ);
+                for (const key in samples) samples[key].push(result[key]);
+                if (this.withinSpec(result, nominal, specs)) passed++;
+            }
+        } finally {
+            this.restore(saved);
+        }
+
+        const stats = {};
+        for (const key in samples) stats[key] = ToleranceAnalysis.statistics(samples[key]);
+
+        return {
+            nominal,
+            samples,
+            stats,
+            yield: trials > 0 ? passed / trials : 0,
+            sensitivity: this.sensitivity(objectZ, params, nominal, specs)
+        };
+    }
+
+    withinSpec(result, nominal, specs) {
+        for (const key in specs) {
+            if (!(specs[key] > 0) || !isFinite(nominal[key])) continue;
+            if (!(Math.abs(result[key] - nominal[key]) <= specs[key])) return false;
+        }
+        return true;
+    }
+
+    // One-at-a-time sensitivity: each parameter at +/- its tolerance. The score is
+    // the largest change of any quantity as a fraction of its spec; quantities
+    // without a spec have no common scale with the others and are not scored.
+    sensitivity(objectZ, params, nominal, specs) {
+        const ranking = params.map(p => {
+            const saved = this.save([p]);
+            const deltas = {};
+
+            for (const sign of [1, -1]) {
+                this.restore(saved);
+                this.perturb(p, sign * p.tol);
+                this.system.sortLenses();
+                const result = this.evaluate(objectZ);
+                for (const key in result) {
+                    const d = Math.abs(result[key] - nominal[key]);
+                    if (isFinite(d)) deltas[key] = Math.max(deltas[key] || 0, d);
+                }
+            }
+            this.restore(saved);
+
+            let score = 0;
+            for (const key in deltas) {
+                if (specs[key] > 0) score = Math.max(score, deltas[key] / specs[key]);
+            }
+            return { element: p.element, param: p.param, tol: p.tol, deltas, score };
+        });
+
+        return ranking.sort((a, b) => b.score - a.score);
+    }
+
+    // Mean, standard deviation and range of the finite values
+    static statistics(values) {
+        const finite = values.filter(v => isFinite(v));
+        const n = finite.length;
+        if (n === 0) return { mean: NaN, std: NaN, min: NaN, max: NaN, count: 0 };
+
+        const mean = finite.reduce((a, b) => a + b, 0) / n;
+        const variance = finite.reduce((a, v) => a + (v - mean) * (v - mean), 0) / Math.max(1, n - 1);
+        return {
+            mean,
+            std: Math.sqrt(variance),
+            min: Math.min(...finite),
+            max: Math.max(...finite),
+            count: n
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ToleranceAnalysis };
+}
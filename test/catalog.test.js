@@ -0,0 +1,63 @@
+// catalog.test.js
+
+// The bundled lens catalog: every part must behave as listed once it is built
+// from its surfaces
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OpticalSystem } = require('../sim/js/optics.js');
+const { LensCatalog } = require('../sim/js/catalog.js');
+
+function build(lens, reversed = false, dir = 1) {
+    const system = new OpticalSystem();
+    const surfaces = LensCatalog.insert(system, lens, 0, dir, reversed);
+    return { system, surfaces };
+}
+
+test('part numbers are unique', () => {
+    const parts = LensCatalog.lenses.map(lens => lens.part);
+    assert.equal(new Set(parts).size, parts.length);
+});
+
+test('every lens has the listed focal length within 1%', () => {
+    for (const lens of LensCatalog.lenses) {
+        const { efl } = build(lens).system.calculateCardinalPoints();
+        assert.ok(Math.abs(efl - lens.f) <= 0.01 * Math.abs(lens.f), `${lens.part}: EFL ${efl}`);
+    }
+});
+
+test('turning a lens around keeps its focal length', () => {
+    for (const lens of LensCatalog.lenses) {
+        const forward = build(lens).system.calculateCardinalPoints().efl;
+        const reversed = build(lens, true).system.calculateCardinalPoints().efl;
+        assert.ok(Math.abs(forward - reversed) < 1e-9 * Math.abs(forward), lens.part);
+    }
+});
+
+test('inserted lenses carry the aperture, glass and part number', () => {
+    const lens = LensCatalog.find('ACH-25-100');
+    const { surfaces } = build(lens);
+    assert.equal(surfaces.length, 3);
+    assert.deepEqual(surfaces.map(s => s.h), [12.7, 12.7, 12.7]);
+    assert.deepEqual(surfaces.map(s => s.glass), ['N-BK7', 'F2', null]);
+    assert.ok(surfaces.every(s => s.part === 'ACH-25-100' && s.group === surfaces[0].group));
+});
+
+test('isStock recognizes catalog shapes in any orientation and notices edits', () => {
+    const lens = LensCatalog.find('PCX-25-100');
+    for (const reversed of [false, true]) {
+        for (const dir of [1, -1]) {
+            assert.ok(LensCatalog.isStock(lens, build(lens, reversed, dir).surfaces), `reversed=${reversed} dir=${dir}`);
+        }
+    }
+    const { surfaces } = build(lens);
+    surfaces[0].R *= 1.01;
+    assert.equal(LensCatalog.isStock(lens, surfaces), false);
+});
+
+test('search matches every word and applies the filters', () => {
+    const achromats = LensCatalog.search('achromat 100');
+    assert.deepEqual(achromats.map(lens => lens.part), ['ACH-25-100']);
+    const negative = LensCatalog.search('', { diameter: 25.4, fMax: 0 });
+    assert.ok(negative.length > 0 && negative.every(lens => lens.f < 0 && lens.diameter === 25.4));
+    assert.equal(LensCatalog.search('no-such-glass').length, 0);
+});
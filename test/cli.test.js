@@ -0,0 +1,19 @@
+// cli.test.js
+
+// The command-line evaluator's report
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OpticalSystem } = require('../sim/js/optics.js');
+const { evaluate, parseObject } = require('../sim/cli.js');
+
+test('the image height of an object at infinity is efl tan(angle)', () => {
+    const s = OpticalSystem.fromPrescription({ elements: [{ type: 'lens', f: 100, z: 0 }, { type: 'lens', f: 50, z: 50 }] });
+    const result = evaluate(s, parseObject({ z: null, angle: 2 }));
+    const height = result.cardinal.efl * Math.tan(2 * Math.PI / 180);
+    assert.ok(Math.abs(result.image.height - height) < 1e-9, `${result.image.height} vs ${height}`);
+});
+
+test('an afocal system has no image height', () => {
+    const s = OpticalSystem.fromPrescription({ elements: [{ type: 'lens', f: 200, z: 0 }, { type: 'lens', f: 50, z: 250 }] });
+    assert.equal(evaluate(s, parseObject({ z: null, angle: 1 })).image.height, null);
+});
@@ -0,0 +1,11 @@
+// helpers.js
+
+// Assertions shared by the tests
+const assert = require('node:assert/strict');
+
+function assertClose(actual, expected, tolerance = 1e-9, message = '') {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        `${message} expected ${expected}, got ${actual} (tolerance ${tolerance})`);
+}
+
+module.exports = { assertClose };
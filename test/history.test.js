@@ -0,0 +1,60 @@
+// history.test.js
+
+// Undo stacks of the editor, and the element ids that undo snapshots carry
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UndoHistory } = require('../sim/js/history.js');
+const { OpticalSystem } = require('../sim/js/optics.js');
+
+test('undo and redo walk the recorded states', () => {
+    const history = new UndoHistory();
+    history.reset('a');
+    assert.equal(history.canUndo, false);
+    assert.equal(history.record('b'), true);
+    assert.equal(history.record('c'), true);
+    assert.equal(history.undo(), 'b');
+    assert.equal(history.undo(), 'a');
+    assert.equal(history.undo(), null);
+    assert.equal(history.redo(), 'b');
+    assert.equal(history.current, 'b');
+    assert.equal(history.canRedo, true);
+});
+
+test('an unchanged state is not a step', () => {
+    const history = new UndoHistory();
+    history.reset('a');
+    assert.equal(history.record('a'), false);
+    assert.equal(history.canUndo, false);
+});
+
+test('a new edit after an undo drops the redo steps', () => {
+    const history = new UndoHistory();
+    history.reset('a');
+    history.record('b');
+    history.undo();
+    history.record('c');
+    assert.equal(history.canRedo, false);
+    assert.equal(history.undo(), 'a');
+});
+
+test('the oldest steps are dropped beyond the limit', () => {
+    const history = new UndoHistory(2);
+    history.reset('a');
+    for (const s of ['b', 'c', 'd']) history.record(s);
+    assert.equal(history.undo(), 'c');
+    assert.equal(history.undo(), 'b');
+    assert.equal(history.canUndo, false);
+});
+
+test('prescriptions with ids keep element ids, groups and configurations', () => {
+    const s = new OpticalSystem();
+    s.addLens(100, 0);
+    s.addSinglet(60, -60, 5, 1.5, 80, 20);
+    s.addConfiguration('A');
+    s.addConfigParam(s.lenses[0].id, 'z');
+    const copy = OpticalSystem.fromPrescription(JSON.parse(JSON.stringify(s.toPrescription({ ids: true }))));
+    assert.deepEqual(copy.lenses.map(l => l.id), s.lenses.map(l => l.id));
+    assert.equal(copy.lenses[1].group, copy.lenses[2].group);
+    assert.deepEqual(copy.configParams, s.configParams);
+    assert.equal(s.toPrescription().elements[0].id, undefined);
+});
@@ -0,0 +1,121 @@
+// math.test.js
+
+// Bessel functions and point spread functions of the resolution simulator
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MathUtils } = require('../resolution/js/math.js');
+const { assertClose } = require('./helpers.js');
+
+// Abramowitz & Stegun, Table 9.1
+const J0_TABLE = [
+    [0, 1],
+    [0.5, 0.9384698072],
+    [1, 0.7651976866],
+    [2, 0.2238907791],
+    [3, -0.2600519549],
+    [5, -0.1775967713],
+    [10, -0.2459357645],
+    [20, 0.1670246643]
+];
+
+const J1_TABLE = [
+    [0, 0],
+    [0.5, 0.2422684577],
+    [1, 0.4400505857],
+    [2, 0.5767248078],
+    [3, 0.3390589585],
+    [5, -0.3275791376],
+    [10, 0.0434727462],
+    [20, 0.0668331242]
+];
+
+// Zeros of J0 and J1 (the dark rings of the Airy pattern)
+const J0_ZEROS = [2.4048255577, 5.5200781103, 8.6537279129];
+const J1_ZEROS = [3.8317059702, 7.0155866698, 10.1734681351];
+
+// The polynomial approximations are good to a few parts in 1e8
+const TOLERANCE = 1e-6;
+
+test('j0 matches the reference table', () => {
+    for (const [x, value] of J0_TABLE) assertClose(MathUtils.j0(x), value, TOLERANCE, `J0(${x})`);
+});
+
+test('j1 matches the reference table', () => {
+    for (const [x, value] of J1_TABLE) assertClose(MathUtils.j1(x), value, TOLERANCE, `J1(${x})`);
+});
+
+test('j0 and j1 vanish at their zeros', () => {
+    for (const x of J0_ZEROS) assertClose(MathUtils.j0(x), 0, TOLERANCE, `J0(${x})`);
+    for (const x of J1_ZEROS) assertClose(MathUtils.j1(x), 0, TOLERANCE, `J1(${x})`);
+});
+
+test('j0 is even and j1 is odd on both sides of the series switch at x = 3', () => {
+    for (const x of [0.7, 2.9, 3, 4.2, 12]) {
+        assertClose(MathUtils.j0(-x), MathUtils.j0(x), 1e-12, `J0(-${x})`);
+        assertClose(MathUtils.j1(-x), -MathUtils.j1(x), 1e-12, `J1(-${x})`);
+    }
+});
+
+test('j0 and j1 are continuous at the series switch', () => {
+    assertClose(MathUtils.j0(3 - 1e-9), MathUtils.j0(3), TOLERANCE, 'J0');
+    assertClose(MathUtils.j1(3 - 1e-9), MathUtils.j1(3), TOLERANCE, 'J1');
+});
+
+test('Airy PSF', async (t) => {
+    const lambda = 0.55;
+    const NA = 0.5;
+    // Radius of the optical coordinate v = 2 pi NA r / lambda
+    const radius = (v) => v * lambda / (2 * Math.PI * NA);
+    const psf = (v, type = 'uniform', params = {}) => MathUtils.calculatePSFIntensity(radius(v), lambda, NA, type, params);
+
+    await t.test('peak is 1 at the center', () => {
+        assert.equal(psf(0), 1);
+    });
+
+    await t.test('dark rings at the zeros of J1', () => {
+        for (const v of J1_ZEROS) assertClose(psf(v), 0, 1e-10, `v = ${v}`);
+    });
+
+    await t.test('first dark ring at 0.61 lambda / NA', () => {
+        assertClose(radius(J1_ZEROS[0]), 0.6098 * lambda / NA, 1e-4);
+    });
+
+    await t.test('first bright ring at v = 5.1356 with 1.75% of the peak', () => {
+        assertClose(psf(5.1356), 0.0175, 1e-4);
+        assert.ok(psf(5.1356) > psf(5.0) && psf(5.1356) > psf(5.3));
+    });
+
+    await t.test('half maximum at v = 1.6163', () => {
+        assertClose(psf(1.6163), 0.5, 1e-4);
+    });
+
+    await t.test('an annular pupil moves the first dark ring inward', () => {
+        // I(v) ~ (J1(v) - e J1(e v))^2: still normalized, first zero at v = 3.144 for e = 0.5
+        assertClose(psf(1e-6, 'annular', { epsilon: 0.5 }), 1, 1e-6);
+        assert.ok(psf(3.144, 'annular', { epsilon: 0.5 }) < 1e-5);
+        assert.ok(psf(J1_ZEROS[0], 'annular', { epsilon: 0.5 }) > 1e-3);
+    });
+
+    await t.test('a wide Gaussian pupil approaches the Airy pattern', () => {
+        const v = J1_ZEROS[0];
+        assert.ok(psf(v, 'gaussian', { sigma: 100 }) < 1e-4);
+        assertClose(psf(1.6163, 'gaussian', { sigma: 100 }), 0.5, 1e-3);
+    });
+
+    await t.test('a narrow Gaussian pupil broadens the core and removes the first zero', () => {
+        assert.ok(psf(1.6163, 'gaussian', { sigma: 0.3 }) > 0.5);
+        assert.ok(psf(J1_ZEROS[0], 'gaussian', { sigma: 0.3 }) > 1e-3);
+    });
+});
+
+test('PSF kernel is normalized and symmetric', () => {
+    const size = 9;
+    const kernel = MathUtils.generatePSFKernel(size, 0.1, 0.55, 0.5, 'uniform', {});
+    const sum = kernel.reduce((a, b) => a + b, 0);
+    assertClose(sum, 1, 1e-5);
+    const at = (x, y) => kernel[y * size + x];
+    assert.equal(at(4, 4), Math.max(...kernel));
+    assertClose(at(0, 4), at(8, 4), 1e-9);
+    assertClose(at(4, 0), at(4, 8), 1e-9);
+    assertClose(at(2, 3), at(3, 2), 1e-9);
+});
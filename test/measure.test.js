@@ -0,0 +1,102 @@
+// measure.test.js
+
+// Snapping measurements to the system and pinned dimensions that follow it
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OpticalSystem, Ray } = require('../sim/js/optics.js');
+const { Measurements } = require('../sim/js/measure.js');
+const { assertClose } = require('./helpers.js');
+
+function twoLenses() {
+    const system = new OpticalSystem();
+    system.addLens(100, 0, 20);
+    system.addLens(50, 60, 20);
+    return system;
+}
+
+const empty = { object: null, image: null, rays: [] };
+
+test('points snap to the focal point and to element planes', () => {
+    const system = twoLenses();
+    const m = new Measurements(system);
+    const c = system.calculateCardinalPoints();
+
+    const focus = m.snap(c.F_prime + 0.5, 0.3, 1, empty);
+    assert.equal(focus.label, "F'");
+    assertClose(focus.z, c.F_prime, 1e-6);
+    assertClose(focus.y, 0, 1e-6);
+
+    const plane = m.snap(60.4, 7, 1, empty);
+    assert.equal(plane.anchor.kind, 'element');
+    assert.equal(plane.anchor.id, system.lenses[1].id);
+    assertClose(plane.z, 60, 1e-6);
+    assertClose(plane.y, 7, 1e-6);
+
+    const free = m.snap(30, 30, 1, empty);
+    assert.equal(free.label, null);
+    assert.deepEqual(free.anchor, { kind: 'point', z: 30, y: 30 });
+});
+
+test('points snap to where rays cross', () => {
+    const system = new OpticalSystem();
+    system.addLens(100, 0, 20);
+    const rays = [new Ray(-50, 5, 0), new Ray(-50, -5, 0)];
+    rays.forEach(ray => system.traceRay(ray));
+    const m = new Measurements(system);
+
+    // Parallel rays meet at the back focal point; away from F' they cross the axis there too
+    const crossing = m.rayCrossings(100.5, 0.2, 1, rays, 'yz');
+    assert.ok(crossing.length > 0);
+    crossing.forEach(p => { assertClose(p.z, 100, 1e-6); assertClose(p.y, 0, 1e-6); });
+});
+
+test('distance and angle between two points', () => {
+    const r = Measurements.measure({ z: 0, y: 0 }, { z: 3, y: 3 });
+    assertClose(r.distance, Math.hypot(3, 3), 1e-6);
+    assertClose(r.angle, 45, 1e-6);
+});
+
+test('pinned dimensions follow moved elements and drop removed ones', () => {
+    const system = twoLenses();
+    const m = new Measurements(system);
+    const [a, b] = system.lenses;
+    m.pin({ kind: 'element', id: a.id, y: 0 }, { kind: 'element', id: b.id, y: 0 });
+    m.pin({ kind: 'cardinal', key: 'F_prime', y: 0 }, { kind: 'element', id: b.id, y: 0 });
+
+    b.z = 80;
+    const d = m.dimensions[0];
+    assertClose(Measurements.measure(m.resolve(d.a, empty), m.resolve(d.b, empty)).distance, 80, 1e-6);
+    assertClose(m.resolve(m.dimensions[1].a, empty).z, system.calculateCardinalPoints().F_prime, 1e-6);
+
+    system.lenses.splice(0, 1);
+    m.prune();
+    assert.equal(m.dimensions.length, 1);
+});
+
+test('dimensions round-trip with elements by number', () => {
+    const system = twoLenses();
+    const m = new Measurements(system);
+    m.pin({ kind: 'element', id: system.lenses[1].id, y: 4 }, { kind: 'image' });
+    m.pin({ kind: 'point', z: 10, y: -2 }, { kind: 'cardinal', key: 'H', y: 1 });
+    const saved = JSON.parse(JSON.stringify(m.serialize()));
+    assert.deepEqual(saved[0].a, { kind: 'element', element: 2, y: 4 });
+
+    // A loaded system has new ids
+    const loaded = OpticalSystem.fromPrescription(system.toPrescription());
+    const n = new Measurements(loaded);
+    n.load([...saved, { a: { kind: 'element', element: 9 }, b: { kind: 'image' } }, null]);
+    assert.equal(n.dimensions.length, 2);
+    assert.equal(n.dimensions[0].a.id, loaded.lenses[1].id);
+    assert.deepEqual(n.dimensions[1], m.dimensions[1]);
+});
+
+test('a ray bending at an element is not a crossing', () => {
+    const system = new OpticalSystem();
+    system.addLens(100, 0, 20);
+    const ray = new Ray(-50, 5, 0);
+    system.traceRay(ray);
+    const m = new Measurements(system);
+    assert.deepEqual(m.rayCrossings(0, 5, 1, [ray], 'yz'), []);
+    const snapped = m.snap(0.2, 5, 1, { object: null, image: null, rays: [ray] });
+    assert.equal(snapped.anchor.kind, 'element');
+});
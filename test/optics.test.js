@@ -0,0 +1,347 @@
+// optics.test.js
+
+// Regression tests for the ABCD engine against textbook cases. Positions are in
+// mm along z, objects to the left; see the README for the sign conventions.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OpticalSystem, Ray } = require('../sim/js/optics.js');
+const { assertClose } = require('./helpers.js');
+
+function assertMatrix(matrix, expected, tolerance = 1e-12) {
+    for (const key of ['A', 'B', 'C', 'D']) assertClose(matrix[key], expected[key], tolerance, key);
+}
+
+function system(...lenses) {
+    const s = new OpticalSystem();
+    for (const [f, z, h = 50] of lenses) s.addLens(f, z, h);
+    return s;
+}
+
+test('single thin lens', async (t) => {
+    const s = system([100, 0]);
+
+    await t.test('matrix is the lens matrix', () => {
+        assertMatrix(s.calculateSystemMatrix(), { A: 1, B: 0, C: -0.01, D: 1 });
+    });
+
+    await t.test('cardinal points lie on the lens, foci at +/- f', () => {
+        const c = s.calculateCardinalPoints();
+        assert.equal(c.afocal, false);
+        assertClose(c.efl, 100);
+        assertClose(c.bfl, 100);
+        assertClose(c.ffl, 100);
+        assertClose(c.H, 0);
+        assertClose(c.H_prime, 0);
+        assertClose(c.F, -100);
+        assertClose(c.F_prime, 100);
+        assertClose(c.N, 0);
+        assertClose(c.N_prime, 0);
+    });
+
+    await t.test('real image outside the focal length: 1/s\' - 1/s = 1/f', () => {
+        const image = s.calculateImage(-300);
+        assertClose(image.z, 150);
+        assertClose(image.mag, -0.5);
+        assert.equal(image.isVirtual, false);
+    });
+
+    await t.test('virtual upright image inside the focal length', () => {
+        const image = s.calculateImage(-50);
+        assertClose(image.z, -100);
+        assertClose(image.mag, 2);
+        assert.equal(image.isVirtual, true);
+    });
+
+    await t.test('object at 2f images 1:1 at 2f', () => {
+        const image = s.calculateImage(-200);
+        assertClose(image.z, 200);
+        assertClose(image.mag, -1);
+    });
+
+    await t.test('infinite object images at the back focal point', () => {
+        const image = s.calculateImage(-Infinity);
+        assertClose(image.z, 100);
+        assert.equal(image.mag, null);
+    });
+
+    await t.test('diverging lens forms a virtual image', () => {
+        const image = system([-100, 0]).calculateImage(-100);
+        assertClose(image.z, -50);
+        assertClose(image.mag, 0.5);
+        assert.equal(image.isVirtual, true);
+    });
+});
+
+test('two-lens system', async (t) => {
+    // f1 = 100, f2 = 50, d = 50
+    const s = system([100, 0], [50, 50]);
+
+    await t.test('matrix is L2 T(d) L1', () => {
+        assertMatrix(s.calculateSystemMatrix(), { A: 0.5, B: 50, C: -0.02, D: 0 });
+    });
+
+    await t.test('EFL, BFL and FFL follow the two-lens formulas', () => {
+        // EFL = f1 f2 / (f1 + f2 - d), BFL = f2 (f1 - d) / (...), FFL = f1 (f2 - d) / (...)
+        const c = s.calculateCardinalPoints();
+        assertClose(c.efl, 50);
+        assertClose(c.bfl, 25);
+        assertClose(c.ffl, 0);
+        assertClose(c.F_prime, 75);
+        assertClose(c.H_prime, 25);
+        assertClose(c.H, 50);
+    });
+
+    await t.test('image by successive imaging', () => {
+        // Lens 1: -200 -> 200 (m = -1); lens 2 sees a virtual object 150 behind it
+        const image = s.calculateImage(-200);
+        assertClose(image.z, 50 + 1 / (1 / 50 + 1 / 150));
+        assertClose(image.mag, -1 * (37.5 / 150));
+        assert.equal(image.isVirtual, false);
+    });
+
+    await t.test('isVirtual is relative to the last lens', () => {
+        // Lens 2 (f = -40 at 100) sees the image of lens 1 at 200 as a virtual
+        // object: s = 100, s' = -66.7. The image lies between the lenses.
+        const image = system([100, 0], [-40, 100]).calculateImage(-200);
+        assertClose(image.z, 100 - 200 / 3);
+        assert.ok(image.z > 0, 'image lies behind the first lens');
+        assert.equal(image.isVirtual, true);
+    });
+
+    await t.test('intermediate image is a virtual object for the second lens', () => {
+        const images = s.calculateIntermediateImages(-200);
+        assert.equal(images.length, 1);
+        assertClose(images[0].z, 200);
+        assert.equal(images[0].kind, 'virtual-object');
+    });
+});
+
+test('4f relay', async (t) => {
+    const f = 100;
+    const s = system([f, 0], [f, 2 * f]);
+
+    await t.test('matrix is [-1, 2f; 0, -1]', () => {
+        assertMatrix(s.calculateSystemMatrix(), { A: -1, B: 2 * f, C: 0, D: -1 });
+    });
+
+    await t.test('is afocal, with no focal points or principal planes', () => {
+        // Regression: H fell back to the first lens when C was ~0
+        const c = s.calculateCardinalPoints();
+        assert.equal(c.afocal, true);
+        assert.equal(c.efl, Infinity);
+        assert.ok(Number.isNaN(c.H));
+        assert.ok(Number.isNaN(c.H_prime));
+        assert.ok(Number.isNaN(c.F_prime));
+    });
+
+    await t.test('front focal plane images onto the back focal plane inverted', () => {
+        const image = s.calculateImage(-f);
+        assertClose(image.z, 3 * f);
+        assertClose(image.mag, -1);
+        assert.equal(image.isVirtual, false);
+    });
+
+    await t.test('magnification is -1 for every object distance', () => {
+        for (const z of [-50, -150, -400]) {
+            assertClose(s.calculateImage(z).mag, -1, 1e-9, `object at ${z}`);
+        }
+    });
+});
+
+test('telescopes', async (t) => {
+    await t.test('Keplerian: angular magnification -f1/f2, beam compression f2/f1', () => {
+        const s = system([200, 0], [50, 250]);
+        assertMatrix(s.calculateSystemMatrix(), { A: -0.25, B: 250, C: 0, D: -4 });
+        const afocal = s.calculateAfocal();
+        assertClose(afocal.angularMagnification, -4);
+        assertClose(afocal.beamExpansion, 0.25);
+        // Exit pupil: the objective imaged by the eyepiece, 62.5 behind it
+        assertClose(afocal.eyeRelief, 62.5);
+    });
+
+    await t.test('Galilean: erect image, angular magnification +f1/|f2|', () => {
+        const s = system([100, 0], [-25, 75]);
+        const afocal = s.calculateAfocal();
+        assertClose(afocal.angularMagnification, 4);
+        assert.ok(afocal.eyeRelief < 0, 'exit pupil is virtual');
+    });
+
+    await t.test('collimated input leaves collimated', () => {
+        const image = system([200, 0], [50, 250]).calculateImage(-Infinity);
+        assert.equal(image.afocal, true);
+        assert.equal(image.z, Infinity);
+        assertClose(image.angularMag, -4);
+    });
+});
+
+test('systems without power', async (t) => {
+    await t.test('a stop on its own is afocal and images the object onto itself', () => {
+        const s = new OpticalSystem();
+        s.addStop(0, 10);
+        const c = s.calculateCardinalPoints();
+        assert.equal(c.afocal, true);
+        assert.equal(c.efl, Infinity);
+
+        const image = s.calculateImage(-100);
+        assertClose(image.z, -100);
+        assertClose(image.mag, 1);
+        const collimated = s.calculateImage(-Infinity);
+        assert.equal(collimated.afocal, true);
+        assertClose(collimated.angularMag, 1);
+    });
+
+    await t.test('a flat window is afocal and moves the image by t (1 - 1/n)', () => {
+        const s = new OpticalSystem();
+        s.addPlate(10, 0);
+        const n = s.lenses[0].index(s.wavelength);
+        const c = s.calculateCardinalPoints();
+        assert.equal(c.afocal, true);
+        for (const key of ['bfl', 'ffl']) assert.equal(c[key], Infinity, key);
+
+        const image = s.calculateImage(-100);
+        assertClose(image.z, -100 + 10 * (1 - 1 / n), 1e-9);
+        assertClose(image.mag, 1);
+        assert.equal(s.calculateImage(-Infinity).afocal, true);
+        assertClose(s.calculateAfocal().beamExpansion, 1);
+    });
+});
+
+test('concave mirror', () => {
+    // R = -200 (center of curvature at -200): f = 100 toward the incoming light
+    const s = new OpticalSystem();
+    s.addMirror(-200, 0);
+    const c = s.calculateCardinalPoints();
+    assertClose(c.efl, 100);
+    assertClose(c.F_prime, -100);
+    assertClose(c.N, -200, 1e-9, 'nodal point at the center of curvature');
+
+    const image = s.calculateImage(-300);
+    assertClose(image.z, -150);
+    assertClose(image.mag, -0.5);
+    assert.equal(image.isVirtual, false);
+});
+
+test('traceRay aperture clipping', async (t) => {
+    await t.test('ray inside the aperture passes and is refracted', () => {
+        const s = system([100, 0, 10]);
+        const ray = new Ray(-100, 0, 0.05);
+        s.traceRay(ray);
+        assert.equal(ray.active, true);
+        assertClose(ray.u, 0.05 - 5 / 100);
+    });
+
+    await t.test('ray outside the aperture stops at the lens', () => {
+        const s = system([100, 0, 10]);
+        const ray = new Ray(-100, 0, 0.15);
+        s.traceRay(ray);
+        assert.equal(ray.active, false);
+        const last = ray.path[ray.path.length - 1];
+        assertClose(last.z, 0);
+        assertClose(last.y, 15);
+    });
+
+    await t.test('a stop clips between lenses', () => {
+        // Parallel rays converge toward the focus at 100, halving their height at 50
+        const s = system([100, 0, 50], [100, 200, 50]);
+        s.addStop(50, 2);
+        const passed = new Ray(-100, 1, 0);
+        const blocked = new Ray(-100, 30, 0);
+        s.traceRay(passed);
+        s.traceRay(blocked);
+        assert.equal(passed.active, true);
+        assert.equal(blocked.active, false);
+        assertClose(blocked.path[blocked.path.length - 1].z, 50);
+    });
+
+    await t.test('clipping follows a decentered aperture', () => {
+        const s = system([100, 0, 10]);
+        s.lenses[0].decenterY = 8;
+        const ray = new Ray(-100, 15, 0);
+        s.traceRay(ray);
+        assert.equal(ray.active, true);
+    });
+
+    await t.test('the central hole of a mirror blocks', () => {
+        const s = new OpticalSystem();
+        s.addMirror(-200, 0, 50).hole = 5;
+        const ray = new Ray(-100, 2, 0);
+        s.traceRay(ray);
+        assert.equal(ray.active, false);
+    });
+
+    await t.test('the aperture stop found by calculatePupils limits the marginal ray', () => {
+        const s = system([100, 0, 50], [100, 150, 10]);
+        const pupils = s.calculatePupils(-200);
+        assert.equal(pupils.stopIndex, 1);
+
+        // Just inside and just outside the marginal ray
+        const m = pupils.marginal;
+        const inside = new Ray(m.z, m.y, m.u * 0.999);
+        const outside = new Ray(m.z, m.y, m.u * 1.001);
+        s.traceRay(inside);
+        s.traceRay(outside);
+        assert.equal(inside.active, true);
+        assert.equal(outside.active, false);
+    });
+});
+
+test('prescriptions round-trip', () => {
+    const s = system([100, 0], [50, 50]);
+    s.addStop(20, 5);
+    s.addSinglet(60, -60, 5, 1.5, 80, 20);
+    const copy = OpticalSystem.fromPrescription(JSON.parse(JSON.stringify(s.toPrescription())));
+    assert.deepEqual(copy.calculateCardinalPoints(), s.calculateCardinalPoints());
+    assert.deepEqual(copy.calculateImage(-200), s.calculateImage(-200));
+    assert.throws(() => OpticalSystem.fromPrescription({ elements: [{ type: 'lens', z: 0 }] }), /Missing "f"/);
+});
+
+test('a misaligned singlet or doublet entry moves all its surfaces', () => {
+    const s = OpticalSystem.fromPrescription({ elements: [
+        { type: 'singlet', R1: 50, R2: -50, t: 5, glass: 'N-BK7', z: 0, h: 12, decenterY: 2, tiltX: 1 },
+        { type: 'doublet', R1: 45, R2: -45, R3: -800, t1: 5, t2: 2, z: 20, h: 12, decenterX: -1 }
+    ] });
+    for (const surface of s.lenses.slice(0, 2)) {
+        assert.equal(surface.decenterY, 2);
+        assert.equal(surface.tiltX, 1);
+    }
+    for (const surface of s.lenses.slice(2)) assert.equal(surface.decenterX, -1);
+});
+
+test('writing a prescription leaves the configurations as stored', () => {
+    const s = system([100, 0], [50, 50]);
+    s.addConfiguration('A');
+    s.addConfigParam(s.lenses[1].id, 'z');
+    s.lenses[1].z = 70; // Edited since the active configuration was stored
+    const prescription = s.toPrescription();
+    assert.deepEqual(s.configurations[1].values, [50]);
+    assert.deepEqual(prescription.configurations.list[1].values, [70]);
+    assert.equal(OpticalSystem.fromPrescription(prescription).lenses[1].z, 70);
+});
+
+test('a real ray leaving a block along its face is stopped', () => {
+    // A 60 degree prism of index 1.9 turns an axial ray through 90 degrees at some
+    // tilt between -56 and -54 degrees: find it, so the ray leaves with no forward slope
+    const prism = (tilt) => {
+        const s = new OpticalSystem();
+        s.addPrism(60, 10, 0, 25);
+        Object.assign(s.lenses[0], { glass: null, n: 1.9, tiltY: tilt });
+        return s;
+    };
+    const exitZ = (tilt) => {
+        const s = prism(tilt);
+        return s.lenses[0].traceReal(new Ray(-10, 0, 0), { x: 0, y: 0, z: 1 }, s.wavelength).z;
+    };
+    let [lo, hi] = [-56, -54];
+    assert.ok(exitZ(lo) < 0 && exitZ(hi) > 0);
+    for (let i = 0; i < 100 && Math.abs(exitZ(hi)) >= 1e-13; i++) {
+        const mid = (lo + hi) / 2;
+        if (exitZ(mid) > 0) hi = mid;
+        else lo = mid;
+    }
+    assert.ok(Math.abs(exitZ(hi)) < 1e-12);
+
+    const ray = new Ray(-10, 0, 0);
+    prism(hi).traceRealRay(ray);
+    assert.equal(ray.active, false);
+    assert.ok(Number.isFinite(ray.u));
+});
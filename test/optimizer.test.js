@@ -0,0 +1,30 @@
+// optimizer.test.js
+
+// Damped least squares on thin-lens systems
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OpticalSystem } = require('../sim/js/optics.js');
+const { Optimizer } = require('../sim/js/optimizer.js');
+const { assertClose } = require('./helpers.js');
+
+test('a varied focal length reaches its EFL target', () => {
+    const s = new OpticalSystem();
+    s.addLens(80, 0);
+    const optimizer = new Optimizer(s);
+    optimizer.variables.push({ id: s.lenses[0].id, param: 'f', min: 1, max: 1000 });
+    optimizer.targets.push({ quantity: 'efl', value: 120, weight: 1 });
+    for (let i = 0; i < 20; i++) optimizer.step(-Infinity);
+    assertClose(s.lenses[0].f, 120, 1e-6);
+});
+
+test('a flat radius is not varied', () => {
+    const s = new OpticalSystem();
+    s.addSinglet(50, Infinity, 5, 1.5, 0);
+    const optimizer = new Optimizer(s);
+    for (const surface of s.lenses) optimizer.variables.push({ id: surface.id, param: 'R', min: -1e3, max: 1e3 });
+    optimizer.targets.push({ quantity: 'efl', value: 80, weight: 1 });
+    optimizer.step(-Infinity);
+    assert.deepEqual(optimizer.variables.map(v => v.id), [s.lenses[0].id]);
+    assert.equal(s.lenses[1].R, Infinity);
+    assert.ok(Number.isFinite(s.lenses[0].R));
+});
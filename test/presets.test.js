@@ -0,0 +1,76 @@
+// presets.test.js
+
+// The preset gallery: each system must do what its description says
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OpticalSystem } = require('../sim/js/optics.js');
+const { GlassCatalog } = require('../sim/js/glass.js');
+const { PresetGallery } = require('../sim/js/presets.js');
+const { assertClose } = require('./helpers.js');
+
+function load(id) {
+    const preset = PresetGallery.find(id);
+    assert.ok(preset, `preset ${id}`);
+    const object = preset.setup.object;
+    return {
+        system: OpticalSystem.fromPrescription(preset.setup.system),
+        objectZ: object.mode === 'infinity' ? -Infinity : object.z
+    };
+}
+
+test('every preset loads, with a unique id, a description and an object mode', () => {
+    const ids = PresetGallery.presets.map(p => p.id);
+    assert.equal(new Set(ids).size, ids.length);
+    for (const preset of PresetGallery.presets) {
+        assert.ok(preset.description.length > 0);
+        assert.ok(['point', 'infinity', 'extended', 'beam'].includes(preset.setup.object.mode));
+        assert.ok(preset.setup.rayCount > 0);
+        assert.ok(OpticalSystem.fromPrescription(preset.setup.system).lenses.length > 0);
+    }
+});
+
+test('telescopes are afocal with angular magnification -4 and +4', () => {
+    assertClose(load('keplerian').system.calculateAfocal().angularMagnification, -4, 1e-9);
+    const galilean = load('galilean').system.calculateAfocal();
+    assertClose(galilean.angularMagnification, 4, 1e-9);
+    assert.ok(galilean.eyeRelief < 0, 'virtual exit pupil');
+});
+
+test('microscope: 10x real intermediate image at the tube length, about -110x overall', () => {
+    const { system, objectZ } = load('microscope');
+    const [intermediate] = system.calculateIntermediateImages(objectZ);
+    assertClose(intermediate.z, 16 + 160, 0.1);
+    assertClose(intermediate.mag, -10, 0.01);
+    const image = system.calculateImage(objectZ);
+    assert.equal(image.isVirtual, true);
+    assertClose(image.z, 198.7 - 250, 5);
+    assertClose(image.mag, -110, 2);
+});
+
+test('4f relay images at -1 and is telecentric on both sides', () => {
+    const { system, objectZ } = load('relay-4f');
+    assertClose(system.calculateImage(objectZ).mag, -1, 1e-9);
+    const pupils = system.calculatePupils(objectZ);
+    assert.equal(system.lenses[pupils.stopIndex].type, 'stop');
+    assert.ok(!isFinite(pupils.entrancePupil.z) && !isFinite(pupils.exitPupil.z));
+});
+
+test('beam expander widens the beam 4x', () => {
+    assertClose(load('beam-expander').system.calculateAfocal().beamExpansion, 4, 1e-9);
+});
+
+test('camera relay forms an inverted intermediate and an upright final image', () => {
+    // The 1:1 relay flips the sign of the EFL, so the final image is the other way up
+    // from the one the objective forms
+    const { system } = load('camera-relay');
+    assertClose(system.calculateCardinalPoints().efl, -100, 0.1);
+    const objective = OpticalSystem.fromPrescription({ elements: PresetGallery.find('camera-relay').setup.system.elements.slice(0, 2) });
+    assertClose(objective.calculateCardinalPoints().efl, 100, 0.1);
+});
+
+test('Cooke triplet: f = 100 at f/4 in N-SK16 and F2', () => {
+    assertClose(GlassCatalog.index('N-SK16', GlassCatalog.lines.d), 1.62041, 1e-5);
+    const { system, objectZ } = load('cooke-triplet');
+    assertClose(system.calculateCardinalPoints().efl, 100, 0.1);
+    assertClose(system.calculatePupils(objectZ).fNumber, 4.2, 0.1);
+});
@@ -0,0 +1,40 @@
+// render.test.js
+
+// Drawing the diagram off screen, as the exports do
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OpticalSystem } = require('../sim/js/optics.js');
+const { Renderer } = require('../sim/js/render.js');
+const { SvgContext } = require('../sim/js/svg.js');
+
+// A renderer drawing into an SVG document instead of a canvas
+function svgRenderer(system) {
+    const ctx = new SvgContext(600, 400);
+    const renderer = new Renderer({ clientWidth: 600, clientHeight: 400, getContext: () => ctx }, system);
+    return { renderer, ctx };
+}
+
+test('an empty system draws without principal planes or dimensions', () => {
+    const system = new OpticalSystem();
+    assert.equal(system.calculateCardinalPoints(), null);
+    assert.equal(system.calculateImage(-100), null);
+
+    const { renderer, ctx } = svgRenderer(system);
+    renderer.draw();
+    renderer.drawPrincipalPlanes();
+    renderer.drawDimensions();
+    renderer.drawLegend([{ label: 'Rays', color: renderer.colors.ray }]);
+    const svg = ctx.toString();
+    assert.ok(svg.includes('>Rays</text>'));
+    assert.ok(!svg.includes('EFL'));
+});
+
+test('a system with elements gets its dimension lines', () => {
+    const system = new OpticalSystem();
+    system.addLens(100, 0);
+    system.addPlate(10, 40);
+    const { renderer, ctx } = svgRenderer(system);
+    renderer.draw();
+    renderer.drawDimensions();
+    assert.match(ctx.toString(), /EFL \d+\.\d/);
+});
@@ -0,0 +1,72 @@
+// setup.test.js
+
+// Reading saved setups: old versions are upgraded and settings are checked
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SETUP_VERSION, migrateSetup, readSetupSettings } = require('../sim/js/setup.js');
+
+function current() {
+    return {
+        object: {
+            mode: 'point', z: -200, y: 10, angle: 5, height: 10, fields: 5, shape: 'arrow',
+            w0: 0.5, wavelength: 0.00055, beamScale: 20
+        },
+        rayCount: 11,
+        traceMode: 'paraxial',
+        view: 'yz',
+        spectrum: 'mono',
+        spotZ: null,
+        spotGrid: 15
+    };
+}
+
+test('a bare prescription is upgraded to the current version', () => {
+    const data = migrateSetup({ wavelength: 587.6, object: { z: null, angle: 3 }, elements: [] });
+    assert.equal(data.version, SETUP_VERSION);
+    assert.deepEqual(data.object, { mode: 'infinity', angle: 3 });
+    assert.throws(() => migrateSetup({ version: SETUP_VERSION + 1 }), /newer/);
+});
+
+test('valid settings are taken as they are', () => {
+    const data = {
+        object: { mode: 'extended', z: -150, height: 4, fields: 7, shape: 'line' },
+        rayCount: 21, traceMode: 'real', view: 'xz', spectrum: 'visible', spotZ: 98.5, spotGrid: 21
+    };
+    const s = readSetupSettings(data, current(), ['mono', 'visible']);
+    assert.equal(s.object.mode, 'extended');
+    assert.equal(s.object.z, -150);
+    assert.equal(s.object.fields, 7);
+    assert.equal(s.object.w0, 0.5);
+    assert.equal(s.rayCount, 21);
+    assert.equal(s.spectrum, 'visible');
+    assert.equal(s.spotZ, 98.5);
+});
+
+test('out-of-range settings are clamped to what the sidebar allows', () => {
+    const data = {
+        object: { height: -5, fields: 40, w0: 0, wavelength: -0.00055, beamScale: -1 },
+        rayCount: -3, spotGrid: 1000
+    };
+    const s = readSetupSettings(data, current(), ['mono']);
+    assert.equal(s.object.height, 0);
+    assert.equal(s.object.fields, 9);
+    assert.equal(s.object.w0, 0.5); // Nothing above zero to clamp to: kept
+    assert.equal(s.object.wavelength, 0.00055);
+    assert.equal(s.object.beamScale, 20);
+    assert.equal(s.rayCount, 1);
+    assert.equal(s.spotGrid, 41);
+
+    const low = readSetupSettings({ object: { fields: 0.4 }, rayCount: 2.6, spotGrid: -7 }, current(), ['mono']);
+    assert.equal(low.object.fields, 2);
+    assert.equal(low.rayCount, 3);
+    assert.equal(low.spotGrid, 3);
+});
+
+test('malformed settings keep their current values', () => {
+    const data = {
+        object: { mode: 'laser', z: 'far', fields: NaN, w0: Infinity },
+        rayCount: null, traceMode: 'exact', spectrum: 'ultraviolet', spotZ: '12', spotGrid: {}
+    };
+    assert.deepEqual(readSetupSettings(data, current(), ['mono']), current());
+    assert.deepEqual(readSetupSettings({}, current(), ['mono']), current());
+});
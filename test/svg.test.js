@@ -0,0 +1,56 @@
+// svg.test.js
+
+// The canvas stand-in behind the SVG export
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SvgContext } = require('../sim/js/svg.js');
+
+test('colors are split into rgb() and an opacity', () => {
+    assert.deepEqual(SvgContext.parseColor('#0af'), { rgb: 'rgb(0, 170, 255)', alpha: 1 });
+    assert.deepEqual(SvgContext.parseColor('#4CAF50'), { rgb: 'rgb(76, 175, 80)', alpha: 1 });
+    assert.deepEqual(SvgContext.parseColor('rgba(255, 140, 0, 0.9)'), { rgb: 'rgb(255, 140, 0)', alpha: 0.9 });
+    assert.deepEqual(SvgContext.parseColor('hsla(0, 100%, 50%, 0.5)'), { rgb: 'rgb(255, 0, 0)', alpha: 0.5 });
+    assert.deepEqual(SvgContext.parseColor('hsla(240, 100%, 50%, 1)'), { rgb: 'rgb(0, 0, 255)', alpha: 1 });
+});
+
+test('strokes keep width, dashes and opacity, times globalAlpha', () => {
+    const ctx = new SvgContext(100, 50);
+    ctx.strokeStyle = 'rgba(0, 0, 255, 0.5)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 3]);
+    ctx.globalAlpha = 0.5;
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10.123, 20);
+    ctx.stroke();
+    assert.match(ctx.toString(), /<path d="M0 0 L10\.12 20" fill="none" stroke="rgb\(0, 0, 255\)" stroke-opacity="0\.25" stroke-width="2" stroke-linejoin="round" stroke-dasharray="4 3"\/>/);
+});
+
+test('a full circle is two half arcs', () => {
+    const ctx = new SvgContext(100, 50);
+    ctx.beginPath();
+    ctx.arc(10, 10, 5, 0, Math.PI * 2);
+    ctx.fill();
+    assert.match(ctx.toString(), /d="M15 10 A5 5 0 0 1 5 10 A5 5 0 0 1 15 10"/);
+});
+
+test('text is escaped and sized from the font', () => {
+    const ctx = new SvgContext(100, 50);
+    ctx.font = '12px monospace';
+    ctx.fillStyle = '#fff';
+    ctx.fillText('a<b & c', 1, 2);
+    assert.match(ctx.toString(), /<text x="1" y="2" font-family="monospace" font-size="12" fill="rgb\(255, 255, 255\)">a&lt;b &amp; c<\/text>/);
+    assert.equal(ctx.measureText('abcd').width, 4 * 12 * 0.6);
+});
+
+test('gradients are written as definitions', () => {
+    const ctx = new SvgContext(100, 50);
+    const gradient = ctx.createLinearGradient(0, 0, 0, 50);
+    gradient.addColorStop(0, 'rgba(0, 170, 255, 0.05)');
+    gradient.addColorStop(1, 'rgba(0, 170, 255, 0.4)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 10, 10);
+    const svg = ctx.toString();
+    assert.match(svg, /<linearGradient id="gradient1" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="0" y2="50">/);
+    assert.match(svg, /fill="url\(#gradient1\)"/);
+});
@@ -0,0 +1,68 @@
+// tolerance.test.js
+
+// Monte Carlo tolerancing and the sensitivity ranking
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OpticalSystem } = require('../sim/js/optics.js');
+const { ToleranceAnalysis } = require('../sim/js/tolerance.js');
+
+function twoLenses() {
+    const s = new OpticalSystem();
+    s.addLens(100, 0);
+    s.addLens(50, 60);
+    return s;
+}
+
+test('a system at nominal is within spec and the parameters are restored', () => {
+    const s = twoLenses();
+    const analysis = new ToleranceAnalysis(s);
+    for (const l of s.lenses) analysis.tolerance(l).power = analysis.tolerance(l).z = analysis.tolerance(l).decenter = 0;
+    const result = analysis.run(-200, 10, { imageZ: 0.1 });
+    assert.equal(result.yield, 1);
+    assert.deepEqual(s.lenses.map(l => [l.f, l.z]), [[100, 0], [50, 60]]);
+});
+
+test('sensitivity scores only quantities with a spec', () => {
+    const s = twoLenses();
+    const analysis = new ToleranceAnalysis(s);
+    const params = analysis.parameters();
+    const nominal = analysis.evaluate(-200);
+
+    // Decenters move the image sideways only: with no decenter spec they score nothing
+    const ranking = analysis.sensitivity(-200, params, nominal, { imageZ: 1 });
+    for (const item of ranking.filter(item => item.param === 'decenterY')) assert.equal(item.score, 0);
+    const top = ranking[0];
+    assert.ok(top.score > 0);
+    assert.equal(top.score, top.deltas.imageZ / 1);
+
+    assert.ok(analysis.sensitivity(-200, params, nominal, {}).every(item => item.score === 0));
+});
+
+test('the surfaces of a lens move together and its thickness is a separate tolerance', () => {
+    const s = new OpticalSystem();
+    const [front, cemented, back] = s.addDoublet(60, -45, -200, 6, 3, 'N-BK7', 'F2', 0);
+    const analysis = new ToleranceAnalysis(s);
+    const params = analysis.parameters();
+    const of = (element) => params.filter(p => p.element === element).map(p => p.param);
+    assert.deepEqual(of(front), ['R', 'z', 'decenterY']);
+    assert.deepEqual(of(cemented), ['R', 'thickness', 'decenterY']);
+    assert.deepEqual(of(back), ['R', 'thickness', 'decenterY']);
+
+    // Moving the lens keeps its thicknesses; a thickness moves the surfaces behind it
+    const position = params.find(p => p.element === front && p.param === 'z');
+    analysis.perturb(position, 0.5);
+    assert.deepEqual(s.lenses.map(l => l.z), [0.5, 6.5, 9.5]);
+    const thickness = params.find(p => p.element === cemented && p.param === 'thickness');
+    analysis.perturb(thickness, 0.1);
+    assert.deepEqual(s.lenses.map(l => l.z), [0.5, 6.6, 9.6]);
+
+    // A run with only the lens position toleranced never changes the thicknesses
+    for (const l of s.lenses) Object.assign(analysis.tolerance(l), { power: 0, thickness: 0, decenter: 0 });
+    analysis.perturb(position, -0.5);
+    analysis.perturb(thickness, -0.1);
+    const efl = s.calculateCardinalPoints().efl;
+    const result = analysis.run(-Infinity, 20, {});
+    for (const value of result.samples.efl) assert.ok(Math.abs(value - efl) < 1e-9);
+    assert.ok(result.stats.imageZ.std > 0);
+    assert.deepEqual(s.lenses.map(l => l.z), [0, 6, 9]);
+});